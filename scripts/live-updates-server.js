@@ -0,0 +1,127 @@
+/* eslint-disable no-console */
+// Stand-in for the server's live update endpoints, for local development and manual tests.
+//
+//   node scripts/live-updates-server.js            (listens on port 5007)
+//   REACT_APP_LIVE_UPDATES_URL=http://localhost:5007/api npm start
+//
+// Streams are opened with a single-use ticket from POST /api/live/ticket (any Bearer token is accepted).
+//
+// Push an event to every connected client:
+//   curl -X POST http://localhost:5007/api/live/emit -H 'Content-Type: application/json' \
+//     -d '{"type":"task.updated","seasonId":"<id>","task":{"_id":"<taskId>","status":"completed"}}'
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 5007;
+const HEARTBEAT_MS = 25000;
+const TICKET_TTL_MS = 30000;
+const clients = new Set(); // { res, seasonId }
+const tickets = new Map(); // ticket -> expiry time
+
+const issueTicket = () => {
+  const ticket = crypto.randomBytes(24).toString('hex');
+  tickets.set(ticket, Date.now() + TICKET_TTL_MS);
+  return ticket;
+};
+
+// A ticket opens one stream, once
+const redeemTicket = (ticket) => {
+  const expiresAt = tickets.get(ticket);
+  tickets.delete(ticket);
+  return Boolean(expiresAt) && expiresAt > Date.now();
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+};
+
+const openStream = (req, res, seasonId) => {
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('retry: 3000\n\n');
+  const client = { res, seasonId };
+  clients.add(client);
+  console.log(`Client connected (${seasonId ? `season ${seasonId}` : 'all seasons'}), ${clients.size} open`);
+  req.on('close', () => {
+    clients.delete(client);
+    console.log(`Client disconnected, ${clients.size} open`);
+  });
+};
+
+const eventSeasonId = (event) => event.seasonId || event.season?._id;
+
+const broadcast = (event) => {
+  const data = `data: ${JSON.stringify(event)}\n\n`;
+  let delivered = 0;
+  clients.forEach(({ res, seasonId }) => {
+    if (!seasonId || seasonId === eventSeasonId(event)) {
+      res.write(data);
+      delivered++;
+    }
+  });
+  return delivered;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const server = http.createServer(async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method === 'POST' && pathname === '/api/live/ticket') {
+    const authorized = /^Bearer \S+/.test(req.headers.authorization || '');
+    res.writeHead(authorized ? 200 : 401, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(authorized ? { ticket: issueTicket() } : { message: 'Not authorized' }));
+    return;
+  }
+  if (req.method === 'GET' && pathname.endsWith('/events') && !redeemTicket(searchParams.get('ticket'))) {
+    res.writeHead(401, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method === 'GET' && pathname === '/api/seasons/events') {
+    openStream(req, res, null);
+    return;
+  }
+  const seasonMatch = /^\/api\/seasons\/([^/]+)\/events$/.exec(pathname);
+  if (req.method === 'GET' && seasonMatch) {
+    openStream(req, res, seasonMatch[1]);
+    return;
+  }
+  if (req.method === 'POST' && pathname === '/api/live/emit') {
+    try {
+      const event = JSON.parse(await readBody(req));
+      const delivered = broadcast(event);
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ delivered }));
+    } catch (error) {
+      res.writeHead(400, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: `Invalid event: ${error.message}` }));
+    }
+    return;
+  }
+  res.writeHead(404, CORS_HEADERS);
+  res.end();
+});
+
+// Comments keep idle connections open through proxies
+setInterval(() => clients.forEach(({ res }) => res.write(': heartbeat\n\n')), HEARTBEAT_MS);
+
+server.listen(PORT, () => {
+  console.log(`Live updates stand-in server listening on http://localhost:${PORT}/api`);
+});
@@ -9,6 +9,10 @@ import SeasonDetailPage from './pages/SeasonDetailPage';
 import CreateSeasonPage from './pages/CreateSeasonPage';
 import PlannerDashboardPage from './pages/PlannerDashboardPage'; 
 import ChangePasswordPage from './pages/ChangePasswordPage'; // Added ChangePasswordPage
+import MyTasksPage from './pages/MyTasksPage';
+import WorkloadPage from './pages/WorkloadPage';
+import AnalyticsPage from './pages/AnalyticsPage';
+import SeasonReportPage from './pages/SeasonReportPage';
 import MainLayout from './layouts/MainLayout';
 import AuthLayout from './layouts/AuthLayout';
 import ProtectedRoute from './components/ProtectedRoute';
@@ -36,12 +40,18 @@ function App() {
         <Route path="/dashboard" element={<DashboardPage />} />
         <Route path="/seasons/:seasonId" element={<SeasonDetailPage />} />
         <Route path="/seasons/new" element={<CreateSeasonPage />} />
+        <Route path="/my-tasks" element={<MyTasksPage />} />
         <Route path="/admin" element={<ProtectedRoute roles={['Admin']}><AdminDashboardPage /></ProtectedRoute>} />
         <Route path="/planner-dashboard" element={<ProtectedRoute roles={['Planner', 'Admin']}><PlannerDashboardPage /></ProtectedRoute>} />
+        <Route path="/workload" element={<ProtectedRoute roles={['Planner', 'Admin']}><WorkloadPage /></ProtectedRoute>} />
+        <Route path="/analytics" element={<ProtectedRoute roles={['Planner', 'Admin']}><AnalyticsPage /></ProtectedRoute>} />
         <Route path="/change-password" element={<ChangePasswordPage />} />
         {/* Add other user-specific and admin routes here, e.g., /profile, /settings, /users, /departments */}
       </Route>
 
+      {/* Printable report: outside MainLayout so only the report is printed */}
+      <Route path="/seasons/:seasonId/report" element={<ProtectedRoute><SeasonReportPage /></ProtectedRoute>} />
+
       {/* Fallback route: Redirect to dashboard if authenticated, else to login */}
       <Route 
         path="*" 
@@ -41,7 +41,7 @@ const BuyerList = () => {
             const data = await buyerService.getAllBuyers();
             setBuyers(data);
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to fetch buyers.');
+            setError(err.message || 'Failed to fetch buyers.');
             console.error("Fetch buyers error:", err);
         }
         setLoading(false);
@@ -66,7 +66,7 @@ const BuyerList = () => {
             setBuyerToDelete(null);
             fetchBuyers(); // Refresh the list
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to delete buyer.');
+            setError(err.message || 'Failed to delete buyer.');
             console.error("Delete buyer error:", err);
         }
         setOpenDeleteDialog(false);
@@ -32,7 +32,7 @@ const CreateBuyerForm = ({ onBuyerCreated }) => {
         onBuyerCreated(newBuyer); // Callback for parent component
       }
     } catch (err) {
-      const errorMessage = err.response?.data?.message || err.message || 'Failed to create buyer.';
+      const errorMessage = err.message || 'Failed to create buyer.';
       toast.error(errorMessage);
       setError(errorMessage);
       console.error('Failed to create buyer:', err);
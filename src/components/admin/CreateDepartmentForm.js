@@ -32,7 +32,7 @@ const CreateDepartmentForm = ({ onDepartmentCreated }) => {
         onDepartmentCreated(newDepartment); // Callback for parent component if needed
       }
     } catch (err) {
-      const errorMessage = err.response?.data?.message || err.message || 'Failed to create department.';
+      const errorMessage = err.message || 'Failed to create department.';
       toast.error(errorMessage);
       setError(errorMessage);
       console.error('Failed to create department:', err);
@@ -1,11 +1,16 @@
 import React, { useState } from 'react';
 import {
   Button, TextField, Box, Typography, Paper, Grid,
-  Select, MenuItem, InputLabel, FormControl, Chip, OutlinedInput
+  Select, MenuItem, InputLabel, FormControl, Chip, OutlinedInput, Alert
 } from '@mui/material';
 import { toast } from 'react-toastify';
-import { createTaskTemplate } from '../../services/taskTemplateService';
+import { createTaskTemplate, getTaskTemplates } from '../../services/taskTemplateService';
 import departmentService from '../../services/departmentService';
+import { queryKeys } from '../../services/queryCache';
+import { useQuery } from '../../hooks/useQuery';
+import { parseOrderCodeList, validateTemplateCandidate, formatDependencyIssues } from '../../utils/dependencyValidation';
+
+const NO_DEPARTMENTS = []; // Stable while the departments load
 
 const toTitleCase = (str) => {
   return str.replace(
@@ -23,28 +28,15 @@ const CreateTaskTemplateForm = ({ onTemplateCreated }) => {
     defaultLeadTime: ''
   });
   const [loading, setLoading] = useState(false);
-  const [departments, setDepartments] = useState([]);
-  const [departmentsLoading, setDepartmentsLoading] = useState(true);
-  const [departmentsError, setDepartmentsError] = useState('');
+  const [dependencyError, setDependencyError] = useState('');
+  const {
+    data: departments = NO_DEPARTMENTS, loading: departmentsLoading, error: departmentsLoadError,
+  } = useQuery(queryKeys.departments(), departmentService.getAllDepartments);
+  const departmentsError = departmentsLoadError ? departmentsLoadError.message || 'Failed to load departments for selection.' : '';
 
   React.useEffect(() => {
-    const fetchDepartments = async () => {
-      try {
-        setDepartmentsLoading(true);
-        const fetchedDepartments = await departmentService.getAllDepartments();
-        setDepartments(fetchedDepartments || []);
-        setDepartmentsError('');
-      } catch (error) {
-        console.error('Failed to fetch departments:', error);
-        const errorMessage = error.message || 'Failed to load departments for selection.';
-        setDepartmentsError(errorMessage);
-        toast.error(errorMessage);
-        setDepartments([]); // Ensure departments is an array even on error
-      }
-      setDepartmentsLoading(false);
-    };
-    fetchDepartments();
-  }, []);
+    if (departmentsError) toast.error(departmentsError);
+  }, [departmentsError]);
 
   const handleChange = (e) => {
     let { name, value } = e.target;
@@ -60,6 +52,9 @@ const CreateTaskTemplateForm = ({ onTemplateCreated }) => {
       ...prev,
       [name]: value
     }));
+    if (name === 'order' || name === 'defaultPrecedingTasks') {
+      setDependencyError('');
+    }
   };
 
   const handleMultiSelectChange = (event) => {
@@ -89,11 +84,7 @@ const CreateTaskTemplateForm = ({ onTemplateCreated }) => {
     const processedName = toTitleCase(formData.name.trim());
 
     // Capitalize preceding tasks
-    const precedingTasksArray = formData.defaultPrecedingTasks
-      .toUpperCase() // Uppercase the whole string first
-      .split(',')
-      .map(task => task.trim())
-      .filter(task => task !== '');
+    const precedingTasksArray = parseOrderCodeList(formData.defaultPrecedingTasks);
 
     const templateData = {
       ...formData, // Spread first to get other fields like defaultResponsible
@@ -104,6 +95,16 @@ const CreateTaskTemplateForm = ({ onTemplateCreated }) => {
     };
 
     try {
+      const existingTemplates = await getTaskTemplates(true);
+      const dependencyIssues = validateTemplateCandidate(existingTemplates, templateData);
+      if (dependencyIssues.length > 0) {
+        const message = formatDependencyIssues(dependencyIssues);
+        setDependencyError(message);
+        toast.error(message);
+        setLoading(false);
+        return;
+      }
+
       const newTemplate = await createTaskTemplate(templateData);
       toast.success(`Task Template '${newTemplate.name}' created successfully!`);
 
@@ -231,6 +232,7 @@ const CreateTaskTemplateForm = ({ onTemplateCreated }) => {
             />
           </Grid>
         </Grid>
+        {dependencyError && <Alert severity="error" sx={{ mt: 2 }}>{dependencyError}</Alert>}
         <Button
           type="submit"
           variant="contained"
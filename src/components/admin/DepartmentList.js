@@ -41,7 +41,7 @@ const DepartmentList = () => {
             const data = await departmentService.getAllDepartments();
             setDepartments(data);
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to fetch departments.');
+            setError(err.message || 'Failed to fetch departments.');
             console.error("Fetch departments error:", err);
         }
         setLoading(false);
@@ -66,7 +66,7 @@ const DepartmentList = () => {
             setDepartmentToDelete(null);
             fetchDepartments(); // Refresh the list
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to delete department.');
+            setError(err.message || 'Failed to delete department.');
             console.error("Delete department error:", err);
         }
         setOpenDeleteDialog(false);
@@ -119,7 +119,10 @@ const DepartmentList = () => {
                 )}
                 {departments.map((dept) => (
                     <ListItem key={dept._id} divider>
-                        <ListItemText primary={dept.name} />
+                        <ListItemText
+                            primary={dept.name}
+                            secondary={dept.weeklyCapacity ? `Weekly capacity: ${dept.weeklyCapacity} tasks` : 'No weekly capacity set'}
+                        />
                         <ListItemSecondaryAction>
                             <IconButton edge="end" aria-label="edit" sx={{ mr: 1 }} onClick={() => handleEditClick(dept)}>
                                 <EditIcon />
@@ -42,9 +42,9 @@ const EditBuyerForm = ({ buyer, open, onClose, onUpdated }) => {
                 handleClose();
             }, 1500);
         } catch (err) {
-            const errorMessage = err.response?.data?.message || 'Failed to update buyer.';
+            const errorMessage = err.message || 'Failed to update buyer.';
             toast.error(errorMessage); // Replaced Alert with toast
-            setError(errorMessage); // Keep for TextField helperText if needed
+            setError(err.fieldErrors?.name || errorMessage); // Shown under the name field
             console.error("Update buyer error:", err);
         }
         setLoading(false);
@@ -88,6 +88,8 @@ const EditBuyerForm = ({ buyer, open, onClose, onUpdated }) => {
                         onChange={(e) => setName(e.target.value)}
                         required
                         disabled={loading}
+                        error={Boolean(error)}
+                        helperText={error}
                     />
                 </DialogContent>
                 <DialogActions sx={{ p: '16px 24px' }}>
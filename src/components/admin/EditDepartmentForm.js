@@ -14,6 +14,7 @@ import { toast } from 'react-toastify'; // Added react-toastify
 
 const EditDepartmentForm = ({ department, open, onClose, onUpdated }) => {
     const [name, setName] = useState('');
+    const [weeklyCapacity, setWeeklyCapacity] = useState(''); // Tasks due per week; empty means no limit
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(''); // Keep for TextField helperText if desired, or remove if toast is sufficient
     // const [successMessage, setSuccessMessage] = useState(''); // Remove if toast is sufficient
@@ -21,6 +22,7 @@ const EditDepartmentForm = ({ department, open, onClose, onUpdated }) => {
     useEffect(() => {
         if (department) {
             setName(department.name);
+            setWeeklyCapacity(department.weeklyCapacity ?? '');
         }
         setError('');
         // setSuccessMessage(''); // Removed as successMessage state is no longer used
@@ -32,11 +34,18 @@ const EditDepartmentForm = ({ department, open, onClose, onUpdated }) => {
             setError('Department name cannot be empty.');
             return;
         }
+        if (weeklyCapacity !== '' && (!Number.isInteger(Number(weeklyCapacity)) || Number(weeklyCapacity) < 1)) {
+            setError('Weekly capacity must be a whole number of at least 1.');
+            return;
+        }
         setLoading(true);
         setError('');
         // setSuccessMessage(''); // Removed as successMessage state is no longer used
         try {
-            await departmentService.updateDepartment(department._id, { name });
+            await departmentService.updateDepartment(department._id, {
+                name,
+                weeklyCapacity: weeklyCapacity === '' ? null : Number(weeklyCapacity),
+            });
             toast.success('Department updated successfully!'); // Replaced Alert with toast
             if (onUpdated) {
                 onUpdated(); // Callback to refresh parent list
@@ -46,7 +55,7 @@ const EditDepartmentForm = ({ department, open, onClose, onUpdated }) => {
                 handleClose();
             }, 1500); 
         } catch (err) {
-            const errorMessage = err.response?.data?.message || 'Failed to update department.';
+            const errorMessage = err.message || 'Failed to update department.';
             toast.error(errorMessage); // Replaced Alert with toast
             setError(errorMessage); // Keep for TextField helperText if needed
             console.error("Update department error:", err);
@@ -59,6 +68,7 @@ const EditDepartmentForm = ({ department, open, onClose, onUpdated }) => {
             onClose();
         }
         setName('');
+        setWeeklyCapacity('');
         setError('');
         // setSuccessMessage('');
         setLoading(false);
@@ -94,6 +104,20 @@ const EditDepartmentForm = ({ department, open, onClose, onUpdated }) => {
                         required
                         disabled={loading}
                     />
+                    <TextField
+                        margin="dense"
+                        id="weeklyCapacity"
+                        label="Weekly Capacity (tasks)"
+                        type="number"
+                        fullWidth
+                        variant="outlined"
+                        value={weeklyCapacity}
+                        onChange={(e) => setWeeklyCapacity(e.target.value)}
+                        inputProps={{ min: 1, step: 1 }}
+                        error={Boolean(error)}
+                        helperText={error || 'Tasks the department can finish per week. Leave empty for no limit.'}
+                        disabled={loading}
+                    />
                 </DialogContent>
                 <DialogActions sx={{ p: '16px 24px' }}>
                     <Button onClick={handleClose} color="inherit" disabled={loading}>Cancel</Button>
@@ -5,8 +5,9 @@ import {
   Select, MenuItem, InputLabel, FormControl, Chip, OutlinedInput
 } from '@mui/material';
 import { toast } from 'react-toastify';
-import { getTaskTemplateById, updateTaskTemplate } from '../../services/taskTemplateService';
+import { getTaskTemplateById, getTaskTemplates, updateTaskTemplate } from '../../services/taskTemplateService';
 import departmentService from '../../services/departmentService'; // Import departmentService
+import { parseOrderCodeList, validateTemplateCandidate, formatDependencyIssues } from '../../utils/dependencyValidation';
 
 const toTitleCase = (str) => {
   return str.replace(
@@ -30,6 +31,7 @@ const EditTaskTemplateModal = ({ open, onClose, templateId, onTemplateUpdated })
   const [departments, setDepartments] = useState([]);
   const [departmentsLoading, setDepartmentsLoading] = useState(true);
   const [departmentsError, setDepartmentsError] = useState('');
+  const [dependencyError, setDependencyError] = useState('');
 
   useEffect(() => {
     const fetchInitialData = async () => {
@@ -58,7 +60,6 @@ const EditTaskTemplateModal = ({ open, onClose, templateId, onTemplateUpdated })
           const errorMessage = error.message || 'Failed to load data for editing.';
           setFormError(errorMessage);
           toast.error(errorMessage);
-          if (!departments.length) setDepartments([]); // Ensure array if dept fetch failed earlier
         }
         setPageLoading(false);
       } else if (!open) {
@@ -79,6 +80,7 @@ const EditTaskTemplateModal = ({ open, onClose, templateId, onTemplateUpdated })
         defaultLeadTime: ''
       });
       setFormError('');
+      setDependencyError('');
     }
   }, [open, templateId]);
 
@@ -94,6 +96,9 @@ const EditTaskTemplateModal = ({ open, onClose, templateId, onTemplateUpdated })
       ...prev,
       [name]: value
     }));
+    if (name === 'order' || name === 'defaultPrecedingTasks') {
+      setDependencyError('');
+    }
   };
 
   const handleMultiSelectChange = (event) => {
@@ -124,11 +129,7 @@ const EditTaskTemplateModal = ({ open, onClose, templateId, onTemplateUpdated })
     const processedName = toTitleCase(formData.name.trim());
 
     // Capitalize preceding tasks
-    const precedingTasksArray = formData.defaultPrecedingTasks
-      .toUpperCase() // Uppercase the whole string first
-      .split(',')
-      .map(task => task.trim())
-      .filter(task => task !== '');
+    const precedingTasksArray = parseOrderCodeList(formData.defaultPrecedingTasks);
 
     const templateUpdateData = {
       // Explicitly set all fields to ensure transformations are applied
@@ -143,6 +144,16 @@ const EditTaskTemplateModal = ({ open, onClose, templateId, onTemplateUpdated })
     };
 
     try {
+      const existingTemplates = await getTaskTemplates(true);
+      const dependencyIssues = validateTemplateCandidate(existingTemplates, templateUpdateData, templateId);
+      if (dependencyIssues.length > 0) {
+        const message = formatDependencyIssues(dependencyIssues);
+        setDependencyError(message);
+        toast.error(message);
+        setLoading(false);
+        return;
+      }
+
       const updatedTemplate = await updateTaskTemplate(templateId, templateUpdateData);
       toast.success(`Task Template '${updatedTemplate.name}' updated successfully!`);
       if (onTemplateUpdated) {
@@ -266,6 +277,7 @@ const EditTaskTemplateModal = ({ open, onClose, templateId, onTemplateUpdated })
               </Grid>
             </Grid>
             {formError && !pageLoading && <Alert severity="error" sx={{ mt: 2, mb:1 }}>{formError}</Alert>}
+            {dependencyError && <Alert severity="error" sx={{ mt: 2, mb:1 }}>{dependencyError}</Alert>}
             <DialogActions sx={{pt:2}}>
               <Button onClick={onClose} disabled={loading}>Cancel</Button>
               <Button type="submit" variant="contained" disabled={loading || pageLoading}>
@@ -1,6 +1,8 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import userService from '../../services/userService';
 import departmentService from '../../services/departmentService';
+import { queryKeys } from '../../services/queryCache';
+import { useQuery } from '../../hooks/useQuery';
 import {
     Button,
     TextField,
@@ -22,6 +24,8 @@ import {
 } from '@mui/material';
 import { toast } from 'react-toastify';
 
+const NO_DEPARTMENTS = []; // Stable while the departments load
+
 const EditUserForm = ({ user, open, onClose, onUpdated }) => {
     const [formData, setFormData] = useState({
         firstName: '',
@@ -32,26 +36,16 @@ const EditUserForm = ({ user, open, onClose, onUpdated }) => {
         department: '',
         isActive: true,
     });
-    const [departments, setDepartments] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
-    const [submitted, setSubmitted] = useState(false);
     const [confirmResetOpen, setConfirmResetOpen] = useState(false);
     const [isResetting, setIsResetting] = useState(false);
 
-    const fetchDepartments = useCallback(async () => {
-        try {
-            const depts = await departmentService.getAllDepartments();
-            setDepartments(depts);
-        } catch (err) {
-            console.error('Failed to fetch departments for edit user form:', err);
-            toast.error('Could not load department list.');
-        }
-    }, []);
+    const { data: departments = NO_DEPARTMENTS, error: departmentsError } = useQuery(queryKeys.departments(), departmentService.getAllDepartments);
 
     useEffect(() => {
-        fetchDepartments();
-    }, [fetchDepartments]);
+        if (departmentsError) toast.error('Could not load department list.');
+    }, [departmentsError]);
 
     useEffect(() => {
         if (user && open && departments.length > 0) { // Ensure departments are loaded
@@ -130,7 +124,6 @@ const EditUserForm = ({ user, open, onClose, onUpdated }) => {
         // onUpdated is now called directly in handleSubmit after successful API call
         // and before the setTimeout for this handleClose.
         // So, we only need to reset local component state here.
-        setSubmitted(false); 
         setError('');
         setLoading(false);
     };
@@ -174,7 +167,6 @@ const EditUserForm = ({ user, open, onClose, onUpdated }) => {
             console.log('Submitting User Update Payload:', finalPayload); // DEBUGGING
             await userService.updateUser(user._id, finalPayload);
             toast.success('User updated successfully!');
-            setSubmitted(true); // Mark as submitted
             if (onUpdated) { // Call onUpdated immediately to refresh the list
                 onUpdated();
             }
@@ -182,7 +174,7 @@ const EditUserForm = ({ user, open, onClose, onUpdated }) => {
                 handleClose(); // This will now mainly handle closing the dialog
             }, 1500);
         } catch (err) {
-            const errorMessage = err.response?.data?.message || 'Failed to update user.';
+            const errorMessage = err.message || 'Failed to update user.';
             toast.error(errorMessage);
             setError(errorMessage);
             console.error("Update user error:", err);
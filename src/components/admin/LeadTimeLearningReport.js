@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import moment from 'moment';
+import {
+  Box, Typography, Button, CircularProgress, Alert, Table, TableBody, TableCell, TableContainer, TableHead, TableRow,
+  IconButton, Collapse, Checkbox, FormControlLabel, Switch, Chip, Tooltip
+} from '@mui/material';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import { toast } from 'react-toastify';
+import { getTaskTemplates, updateTaskTemplate } from '../../services/taskTemplateService';
+import seasonService from '../../services/seasonService';
+import calendarService from '../../services/calendarService';
+import { sortByOrder } from '../../utils/timeline';
+import { collectDurationsByOrder, calculatePercentile, getOutlierFences } from '../../utils/analytics';
+import { createWorkingCalendar, hasNonWorkingDays } from '../../utils/workingCalendar';
+
+const MIN_SAMPLES = 3;
+const CLOSED_SEASON_LIMIT = 500;
+
+// The suggestion covers four in five past runs, rounded up to whole days
+const suggestLeadTime = (durations) => Math.max(1, Math.ceil(calculatePercentile(durations, 80)));
+
+const formatDuration = (value) => (value === null ? '-' : `${Number.isInteger(value) ? value : value.toFixed(1)}d`);
+
+const LeadTimeLearningReport = ({ onTemplateUpdated }) => {
+  const [templates, setTemplates] = useState([]);
+  const [durationsByOrder, setDurationsByOrder] = useState(new Map());
+  const [closedSeasonCount, setClosedSeasonCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [excludeOutliers, setExcludeOutliers] = useState(true);
+  const [manualExclusions, setManualExclusions] = useState({}); // sample key -> true (excluded) / false (included)
+  const [expandedOrder, setExpandedOrder] = useState(null);
+  const [applyingId, setApplyingId] = useState(null);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        const [templateList, closedSeasons, calendar] = await Promise.all([
+          getTaskTemplates(true),
+          seasonService.getSeasonsWithTasks({ status: 'Closed', limit: CLOSED_SEASON_LIMIT }),
+          calendarService.getCalendar().catch(() => null), // Fall back to calendar days
+        ]);
+        const workingCalendar = calendar && hasNonWorkingDays(calendar) ? createWorkingCalendar(calendar) : null;
+        setTemplates(sortByOrder(templateList || []));
+        setDurationsByOrder(collectDurationsByOrder(closedSeasons, { calendar: workingCalendar }));
+        setClosedSeasonCount(closedSeasons.length);
+      } catch (err) {
+        console.error('Failed to load lead-time report:', err);
+        setError(err.message || 'Failed to load lead-time report.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchReport();
+  }, []);
+
+  const rows = useMemo(() => templates.map(template => {
+    const samples = durationsByOrder.get(template.order) || [];
+    const fences = getOutlierFences(samples.map(sample => sample.duration));
+    const annotated = samples.map(sample => {
+      const isOutlier = sample.duration < fences.low || sample.duration > fences.high;
+      const excluded = manualExclusions[sample.key] ?? (excludeOutliers && isOutlier);
+      return { ...sample, isOutlier, excluded };
+    });
+    const durations = annotated.filter(sample => !sample.excluded).map(sample => sample.duration);
+    return {
+      template,
+      samples: annotated,
+      usedCount: durations.length,
+      median: calculatePercentile(durations, 50),
+      p80: calculatePercentile(durations, 80),
+      suggested: durations.length > 0 ? suggestLeadTime(durations) : null,
+    };
+  }), [templates, durationsByOrder, manualExclusions, excludeOutliers]);
+
+  const toggleSample = (sample) => {
+    setManualExclusions(prev => ({ ...prev, [sample.key]: !sample.excluded }));
+  };
+
+  const handleApply = async ({ template, suggested }) => {
+    setApplyingId(template._id);
+    try {
+      const updatedTemplate = await updateTaskTemplate(template._id, {
+        order: template.order,
+        name: template.name,
+        defaultResponsible: template.defaultResponsible,
+        defaultLeadTime: suggested,
+        defaultPrecedingTasks: template.defaultPrecedingTasks,
+      });
+      setTemplates(prev => prev.map(item => (item._id === template._id ? { ...item, ...updatedTemplate, defaultLeadTime: suggested } : item)));
+      toast.success(`Lead time of '${template.name}' set to ${suggested} day(s).`);
+      if (onTemplateUpdated) onTemplateUpdated();
+    } catch (err) {
+      console.error(`Failed to apply suggested lead time to template ${template.order}:`, err);
+      toast.error(err.message || 'Failed to update task template.');
+    } finally {
+      setApplyingId(null);
+    }
+  };
+
+  if (loading) {
+    return <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}><CircularProgress /></Box>;
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 1 }}>
+        <Typography variant="body2" color="text.secondary">
+          Actual durations from {closedSeasonCount} closed season(s), measured from the completion of the preceding tasks
+          to the task's own completion. Suggestions need at least {MIN_SAMPLES} runs.
+        </Typography>
+        <FormControlLabel
+          control={<Switch checked={excludeOutliers} onChange={(e) => setExcludeOutliers(e.target.checked)} />}
+          label="Exclude outliers"
+        />
+      </Box>
+      <TableContainer>
+        <Table size="small" aria-label="lead-time learning table">
+          <TableHead>
+            <TableRow>
+              <TableCell />
+              <TableCell>Order</TableCell>
+              <TableCell>Task Template</TableCell>
+              <TableCell align="right">Current Lead Time</TableCell>
+              <TableCell align="right">Runs Used</TableCell>
+              <TableCell align="right">Median</TableCell>
+              <TableCell align="right">80th Percentile</TableCell>
+              <TableCell align="right">Suggested</TableCell>
+              <TableCell align="right">Action</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(row => {
+              const { template, samples, usedCount, median, p80, suggested } = row;
+              const isExpanded = expandedOrder === template.order;
+              const difference = suggested !== null ? suggested - template.defaultLeadTime : 0;
+              const canApply = usedCount >= MIN_SAMPLES && suggested !== null && difference !== 0;
+              return (
+                <React.Fragment key={template._id}>
+                  <TableRow hover sx={{ opacity: template.isActive === false ? 0.6 : 1 }}>
+                    <TableCell padding="checkbox">
+                      <IconButton
+                        size="small"
+                        aria-label="show runs"
+                        onClick={() => setExpandedOrder(isExpanded ? null : template.order)}
+                        disabled={samples.length === 0}
+                      >
+                        {isExpanded ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+                      </IconButton>
+                    </TableCell>
+                    <TableCell>{template.order}</TableCell>
+                    <TableCell>{template.name}</TableCell>
+                    <TableCell align="right">{template.defaultLeadTime}d</TableCell>
+                    <TableCell align="right">{usedCount} / {samples.length}</TableCell>
+                    <TableCell align="right">{formatDuration(median)}</TableCell>
+                    <TableCell align="right">{formatDuration(p80)}</TableCell>
+                    <TableCell align="right">
+                      {suggested === null ? '-' : (
+                        <Chip
+                          size="small"
+                          label={`${suggested}d${difference ? ` (${difference > 0 ? '+' : ''}${difference})` : ''}`}
+                          color={difference > 0 ? 'warning' : difference < 0 ? 'success' : 'default'}
+                        />
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title={usedCount < MIN_SAMPLES ? `Needs at least ${MIN_SAMPLES} runs` : ''}>
+                        <span>
+                          <Button
+                            size="small"
+                            variant="outlined"
+                            onClick={() => handleApply(row)}
+                            disabled={!canApply || applyingId !== null}
+                          >
+                            {applyingId === template._id ? <CircularProgress size={18} /> : 'Apply Suggested'}
+                          </Button>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                  <TableRow>
+                    <TableCell colSpan={9} sx={{ py: 0, borderBottom: isExpanded ? undefined : 'none' }}>
+                      <Collapse in={isExpanded} timeout="auto" unmountOnExit>
+                        <Table size="small" sx={{ my: 1 }} aria-label={`runs of ${template.name}`}>
+                          <TableHead>
+                            <TableRow>
+                              <TableCell padding="checkbox">Use</TableCell>
+                              <TableCell>Season</TableCell>
+                              <TableCell>Completed</TableCell>
+                              <TableCell align="right">Planned</TableCell>
+                              <TableCell align="right">Actual</TableCell>
+                            </TableRow>
+                          </TableHead>
+                          <TableBody>
+                            {samples.map(sample => (
+                              <TableRow key={sample.key}>
+                                <TableCell padding="checkbox">
+                                  <Checkbox size="small" checked={!sample.excluded} onChange={() => toggleSample(sample)} />
+                                </TableCell>
+                                <TableCell>{sample.season.name}</TableCell>
+                                <TableCell>{moment(sample.task.actualCompletion).format('DD-MMM-YY')}</TableCell>
+                                <TableCell align="right">{sample.task.leadTime}d</TableCell>
+                                <TableCell align="right">
+                                  {sample.duration}d
+                                  {sample.isOutlier && <Chip size="small" label="Outlier" color="warning" variant="outlined" sx={{ ml: 1 }} />}
+                                </TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      </Collapse>
+                    </TableCell>
+                  </TableRow>
+                </React.Fragment>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default LeadTimeLearningReport;
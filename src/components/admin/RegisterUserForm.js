@@ -15,9 +15,12 @@ import {
 import Grid from '@mui/material/Grid';
 import { toast } from 'react-toastify';
 import departmentService from '../../services/departmentService';
+import { queryKeys } from '../../services/queryCache';
+import { useQuery } from '../../hooks/useQuery';
 import { useAuth } from '../../contexts/AuthContext'; // To get adminRegisterUser function
 
 const ROLES = ['User', 'Planner', 'Admin']; // Define available roles
+const NO_DEPARTMENTS = []; // Stable while the departments load
 
 const RegisterUserForm = ({ onUserRegistered }) => {
   const [formData, setFormData] = useState({
@@ -30,22 +33,14 @@ const RegisterUserForm = ({ onUserRegistered }) => {
     department: '', // Department ID
     role: 'User', // Default role
   });
-  const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const { adminRegisterUser } = useAuth(); // This function will be added to AuthContext
+  const { data: departments = NO_DEPARTMENTS, error: departmentsError } = useQuery(queryKeys.departments(), departmentService.getAllDepartments);
 
   useEffect(() => {
-    const fetchDepartments = async () => {
-      try {
-        const depts = await departmentService.getAllDepartments();
-        setDepartments(depts || []);
-      } catch (error) {
-        toast.error('Failed to load departments. Please try again later.');
-      }
-    };
-    fetchDepartments();
-  }, []);
+    if (departmentsError) toast.error('Failed to load departments. Please try again later.');
+  }, [departmentsError]);
 
   const handleChange = (event) => {
     const { name, value } = event.target;
@@ -104,7 +99,7 @@ const RegisterUserForm = ({ onUserRegistered }) => {
         onUserRegistered(newUser);
       }
     } catch (err) {
-      const errorMessage = err.response?.data?.message || err.message || 'Failed to register user.';
+      const errorMessage = err.message || 'Failed to register user.';
       toast.error(errorMessage);
       console.error('Failed to register user:', err);
     }
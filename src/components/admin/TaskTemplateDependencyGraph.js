@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+  Box, Typography, Button, CircularProgress, Alert, Chip
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { getTaskTemplates, updateTaskTemplate } from '../../services/taskTemplateService';
+import { calculateCriticalPath, sortByOrder, compareOrderCodes } from '../../utils/timeline';
+import { validateTaskTemplates, formatDependencyIssues } from '../../utils/dependencyValidation';
+
+const NODE_WIDTH = 150;
+const NODE_HEIGHT = 52;
+const COLUMN_GAP = 90;
+const ROW_GAP = 24;
+const PADDING = 24;
+
+// Places every template in a column equal to the length of its longest
+// dependency chain, so edges always point left to right.
+const layoutNodes = (templates, precedingByOrder) => {
+  const orders = templates.map(t => t.order);
+  const known = new Set(orders);
+  const layer = new Map();
+  let changed = true;
+  let guard = 0;
+  orders.forEach(order => layer.set(order, 0));
+  while (changed && guard < orders.length + 1) {
+    changed = false;
+    guard++;
+    for (const order of orders) {
+      let next = 0;
+      for (const preceding of precedingByOrder[order] || []) {
+        if (known.has(preceding) && preceding !== order) {
+          next = Math.max(next, layer.get(preceding) + 1);
+        }
+      }
+      if (next !== layer.get(order)) {
+        layer.set(order, next);
+        changed = true;
+      }
+    }
+  }
+
+  const columns = new Map();
+  [...orders].sort(compareOrderCodes).forEach(order => {
+    const column = Math.min(layer.get(order), orders.length);
+    if (!columns.has(column)) columns.set(column, []);
+    columns.get(column).push(order);
+  });
+
+  const positions = new Map();
+  columns.forEach((columnOrders, column) => {
+    columnOrders.forEach((order, row) => {
+      positions.set(order, {
+        x: PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+        y: PADDING + row * (NODE_HEIGHT + ROW_GAP),
+      });
+    });
+  });
+  const width = PADDING * 2 + Math.max(1, columns.size) * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+  const height = PADDING * 2 + Math.max(1, ...[...columns.values()].map(c => c.length)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+  return { positions, width, height };
+};
+
+const sameList = (a, b) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+const TaskTemplateDependencyGraph = ({ onSaved }) => {
+  const [templates, setTemplates] = useState([]);
+  const [precedingByOrder, setPrecedingByOrder] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [dragFrom, setDragFrom] = useState(null);
+  const [pointer, setPointer] = useState(null);
+  const svgRef = useRef(null);
+
+  const fetchTemplates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const fetched = sortByOrder(await getTaskTemplates(true));
+      setTemplates(fetched);
+      setPrecedingByOrder(Object.fromEntries(
+        fetched.filter(t => t.isActive).map(t => [t.order, [...(t.defaultPrecedingTasks || [])]])
+      ));
+      setError('');
+    } catch (err) {
+      console.error('Failed to fetch task templates for dependency graph:', err);
+      setError(err.message || 'Failed to load task templates.');
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const activeTemplates = useMemo(() => templates.filter(t => t.isActive), [templates]);
+
+  // Templates with their edited preceding tasks, used for layout, validation and the lead-time path
+  const editedTemplates = useMemo(() => templates.map(t => (
+    t.isActive ? { ...t, defaultPrecedingTasks: precedingByOrder[t.order] || [] } : t
+  )), [templates, precedingByOrder]);
+
+  const changedTemplates = useMemo(() => editedTemplates.filter((t, index) => (
+    t.isActive && !sameList(t.defaultPrecedingTasks, templates[index].defaultPrecedingTasks || [])
+  )), [editedTemplates, templates]);
+
+  const issues = useMemo(() => validateTaskTemplates(editedTemplates), [editedTemplates]);
+
+  const leadTimePath = useMemo(() => calculateCriticalPath(
+    editedTemplates.filter(t => t.isActive).map(t => ({
+      _id: t._id,
+      order: t.order,
+      leadTime: t.defaultLeadTime,
+      precedingTasks: t.defaultPrecedingTasks,
+    }))
+  ), [editedTemplates]);
+
+  const { positions, width, height } = useMemo(
+    () => layoutNodes(activeTemplates, precedingByOrder),
+    [activeTemplates, precedingByOrder]
+  );
+
+  const criticalOrders = useMemo(() => new Set(leadTimePath.criticalPath), [leadTimePath]);
+  const isCriticalEdge = (from, to) => {
+    const index = leadTimePath.criticalPath.indexOf(to);
+    return index > 0 && leadTimePath.criticalPath[index - 1] === from;
+  };
+
+  const toSvgPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  const toggleEdge = (from, to) => {
+    if (from === to) return;
+    setPrecedingByOrder(prev => {
+      const current = prev[to] || [];
+      const next = current.includes(from)
+        ? current.filter(order => order !== from)
+        : [...current, from].sort(compareOrderCodes);
+      return { ...prev, [to]: next };
+    });
+  };
+
+  const handleNodeMouseDown = (order) => (event) => {
+    event.preventDefault();
+    setDragFrom(order);
+    setPointer(toSvgPoint(event));
+  };
+
+  const handleNodeMouseUp = (order) => (event) => {
+    event.stopPropagation();
+    if (dragFrom && dragFrom !== order) {
+      toggleEdge(dragFrom, order);
+    }
+    setDragFrom(null);
+    setPointer(null);
+  };
+
+  const handleMouseMove = (event) => {
+    if (dragFrom) setPointer(toSvgPoint(event));
+  };
+
+  const handleCancelDrag = () => {
+    setDragFrom(null);
+    setPointer(null);
+  };
+
+  const handleSave = async () => {
+    if (issues.length > 0) {
+      toast.error(formatDependencyIssues(issues));
+      return;
+    }
+    setSaving(true);
+    const failures = [];
+    for (const template of changedTemplates) {
+      try {
+        await updateTaskTemplate(template._id, {
+          order: template.order,
+          name: template.name,
+          defaultResponsible: template.defaultResponsible,
+          defaultLeadTime: template.defaultLeadTime,
+          defaultPrecedingTasks: template.defaultPrecedingTasks,
+        });
+      } catch (err) {
+        console.error(`Failed to update dependencies of template ${template.order}:`, err);
+        failures.push(`${template.order}: ${err.message}`);
+      }
+    }
+    if (failures.length > 0) {
+      toast.error(`Some templates could not be saved. ${failures.join('; ')}`);
+    } else {
+      toast.success(`Dependencies of ${changedTemplates.length} template(s) saved successfully!`);
+    }
+    setSaving(false);
+    await fetchTemplates();
+    if (onSaved) {
+      onSaved();
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', p: 3 }}>
+        <CircularProgress />
+        <Typography sx={{ ml: 2 }}>Loading Task Templates...</Typography>
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ mt: 2 }}>
+        {error}
+        <Button onClick={fetchTemplates} size="small" sx={{ ml: 2 }}>Retry</Button>
+      </Alert>
+    );
+  }
+
+  const edges = [];
+  activeTemplates.forEach(t => {
+    (precedingByOrder[t.order] || []).forEach(from => {
+      if (positions.has(from) && from !== t.order) edges.push({ from, to: t.order });
+    });
+  });
+
+  const dragOrigin = dragFrom && positions.get(dragFrom);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2, flexWrap: 'wrap' }}>
+        <Typography variant="body2" color="text.secondary">
+          Drag from one template onto another to make it a preceding task. Drag again, or click an arrow, to remove the link.
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {changedTemplates.length > 0 && (
+            <Chip label={`${changedTemplates.length} unsaved change(s)`} color="warning" size="small" />
+          )}
+          <Button onClick={fetchTemplates} disabled={saving || changedTemplates.length === 0}>Discard</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || changedTemplates.length === 0 || issues.length > 0}>
+            {saving ? <CircularProgress size={24} /> : 'Save Dependencies'}
+          </Button>
+        </Box>
+      </Box>
+
+      {issues.length > 0 && (
+        <Alert severity="error" sx={{ mb: 2 }}>{formatDependencyIssues(issues)}</Alert>
+      )}
+      {leadTimePath.criticalPath.length > 0 && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Longest lead-time path: <strong>{leadTimePath.criticalPath.join(' → ')}</strong> ({leadTimePath.projectDuration} days)
+        </Alert>
+      )}
+
+      <Box sx={{ overflow: 'auto', border: '1px solid #e0e0e0', borderRadius: 1, maxHeight: '65vh', userSelect: 'none' }}>
+        <svg
+          ref={svgRef}
+          width={width}
+          height={height}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleCancelDrag}
+          onMouseLeave={handleCancelDrag}
+          style={{ display: 'block', fontFamily: 'inherit' }}
+        >
+          <defs>
+            <marker id="template-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#757575" />
+            </marker>
+            <marker id="template-graph-arrow-critical" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#d32f2f" />
+            </marker>
+          </defs>
+
+          {edges.map(({ from, to }) => {
+            const start = positions.get(from);
+            const end = positions.get(to);
+            const x1 = start.x + NODE_WIDTH;
+            const y1 = start.y + NODE_HEIGHT / 2;
+            const x2 = end.x;
+            const y2 = end.y + NODE_HEIGHT / 2;
+            const midX = (x1 + x2) / 2;
+            const critical = isCriticalEdge(from, to);
+            const d = `M ${x1} ${y1} C ${midX} ${y1}, ${midX} ${y2}, ${x2} ${y2}`;
+            return (
+              <g key={`${from}-${to}`} onClick={() => toggleEdge(from, to)} style={{ cursor: 'pointer' }}>
+                <title>{`${from} → ${to} (click to remove)`}</title>
+                {/* Wide transparent stroke makes the edge easier to click */}
+                <path d={d} fill="none" stroke="transparent" strokeWidth={10} />
+                <path
+                  d={d}
+                  fill="none"
+                  stroke={critical ? '#d32f2f' : '#9e9e9e'}
+                  strokeWidth={critical ? 2 : 1.5}
+                  markerEnd={critical ? 'url(#template-graph-arrow-critical)' : 'url(#template-graph-arrow)'}
+                />
+              </g>
+            );
+          })}
+
+          {dragOrigin && pointer && (
+            <line
+              x1={dragOrigin.x + NODE_WIDTH}
+              y1={dragOrigin.y + NODE_HEIGHT / 2}
+              x2={pointer.x}
+              y2={pointer.y}
+              stroke="#1976d2"
+              strokeDasharray="5 4"
+              strokeWidth={1.5}
+              pointerEvents="none"
+            />
+          )}
+
+          {activeTemplates.map(t => {
+            const { x, y } = positions.get(t.order);
+            const critical = criticalOrders.has(t.order);
+            const finish = leadTimePath.schedule.get(t._id)?.earlyFinish;
+            const isDropTarget = dragFrom && dragFrom !== t.order;
+            return (
+              <g
+                key={t._id}
+                transform={`translate(${x}, ${y})`}
+                onMouseDown={handleNodeMouseDown(t.order)}
+                onMouseUp={handleNodeMouseUp(t.order)}
+                style={{ cursor: dragFrom ? 'copy' : 'grab' }}
+              >
+                <title>{`${t.order} - ${t.name}`}</title>
+                <rect
+                  width={NODE_WIDTH}
+                  height={NODE_HEIGHT}
+                  rx={6}
+                  fill={dragFrom === t.order ? '#e3f2fd' : '#ffffff'}
+                  stroke={critical ? '#d32f2f' : isDropTarget ? '#1976d2' : '#bdbdbd'}
+                  strokeWidth={critical ? 2 : 1}
+                />
+                <text x={10} y={20} fontSize={14} fontWeight="bold" fill={critical ? '#d32f2f' : '#212121'}>{t.order}</text>
+                <text x={NODE_WIDTH - 10} y={20} fontSize={11} textAnchor="end" fill="#616161">
+                  {`${t.defaultLeadTime}d${finish !== undefined ? ` · day ${finish}` : ''}`}
+                </text>
+                <text x={10} y={40} fontSize={11} fill="#424242">
+                  {t.name.length > 22 ? `${t.name.substring(0, 22)}...` : t.name}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </Box>
+    </Box>
+  );
+};
+
+export default TaskTemplateDependencyGraph;
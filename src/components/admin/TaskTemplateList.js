@@ -1,11 +1,13 @@
 import React, { useEffect, useState, useCallback, forwardRef, useImperativeHandle } from 'react';
 import {
   Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper,
-  Typography, Box, CircularProgress, Alert, Button, Switch, FormControlLabel, Chip
+  Typography, Box, CircularProgress, Alert, Button, Switch, FormControlLabel, Chip,
+  Dialog, DialogTitle, DialogContent, DialogActions, List, ListItem, ListItemText
 } from '@mui/material';
 import { getTaskTemplates, toggleTaskTemplateActive, deleteTaskTemplate } from '../../services/taskTemplateService';
 import EditTaskTemplateModal from './EditTaskTemplateModal';
 import { toast } from 'react-toastify';
+import { validateTaskTemplates } from '../../utils/dependencyValidation';
 
 const TaskTemplateList = React.forwardRef((props, ref) => {
   const [templates, setTemplates] = useState([]);
@@ -14,6 +16,8 @@ const TaskTemplateList = React.forwardRef((props, ref) => {
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [selectedTemplateId, setSelectedTemplateId] = useState(null);
   const [showInactive, setShowInactive] = useState(false); // Default to false (show only active)
+  const [validating, setValidating] = useState(false);
+  const [validationIssues, setValidationIssues] = useState(null); // null = dialog closed
 
   const fetchTemplates = useCallback(async () => {
     try {
@@ -99,10 +103,28 @@ const TaskTemplateList = React.forwardRef((props, ref) => {
       fetchTemplates(); // Refresh list and handle loading state
     } catch (err) {
       console.error('Failed to delete task template:', err);
-      toast.error(err.response?.data?.message || err.message || 'An error occurred while deleting the template.');
+      toast.error(err.message || 'An error occurred while deleting the template.');
     }
   };
 
+  const handleValidateAll = async () => {
+    setValidating(true);
+    try {
+      // Always validate against every template so references to inactive codes are recognised
+      const allTemplates = await getTaskTemplates(true);
+      const issues = validateTaskTemplates(allTemplates);
+      if (issues.length === 0) {
+        toast.success('All active task templates have valid dependencies.');
+      } else {
+        setValidationIssues(issues);
+      }
+    } catch (err) {
+      console.error('Failed to validate task templates:', err);
+      toast.error(err.message || 'Failed to validate task templates.');
+    }
+    setValidating(false);
+  };
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', p: 3 }}>
@@ -131,10 +153,15 @@ const TaskTemplateList = React.forwardRef((props, ref) => {
         <Typography variant="h6" gutterBottom component="div">
           Existing Task Templates
         </Typography>
-        <FormControlLabel
-          control={<Switch checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />}
-          label="Show Inactive Templates"
-        />
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <Button variant="outlined" onClick={handleValidateAll} disabled={validating}>
+            {validating ? 'Validating...' : 'Validate All Templates'}
+          </Button>
+          <FormControlLabel
+            control={<Switch checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />}
+            label="Show Inactive Templates"
+          />
+        </Box>
       </Box>
       <TableContainer component={Paper}>
         <Table sx={{ minWidth: 650 }} aria-label="task templates table">
@@ -185,6 +212,24 @@ const TaskTemplateList = React.forwardRef((props, ref) => {
           </TableBody>
         </Table>
       </TableContainer>
+      <Dialog open={Boolean(validationIssues)} onClose={() => setValidationIssues(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Dependency Problems Found</DialogTitle>
+        <DialogContent>
+          <Alert severity="error" sx={{ mb: 1 }}>
+            {validationIssues?.length} problem(s) must be fixed before seasons can be scheduled reliably.
+          </Alert>
+          <List dense>
+            {validationIssues?.map((issue, index) => (
+              <ListItem key={`${issue.order}-${index}`} divider>
+                <ListItemText primary={issue.message} secondary={issue.type} />
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setValidationIssues(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
       {selectedTemplateId && (
         <EditTaskTemplateModal
           open={editModalOpen}
@@ -42,7 +42,7 @@ const UserList = () => {
             const data = await userService.getAllUsers();
             setUsers(data);
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to fetch users.');
+            setError(err.message || 'Failed to fetch users.');
             console.error("Fetch users error:", err);
         }
         setLoading(false);
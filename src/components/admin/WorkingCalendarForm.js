@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useRef } from 'react';
+import moment from 'moment';
+import {
+  Box, Button, TextField, Typography, Paper, Checkbox, FormControlLabel, FormGroup,
+  Select, MenuItem, InputLabel, FormControl, Chip, OutlinedInput, CircularProgress, Alert,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, IconButton
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { toast } from 'react-toastify';
+import calendarService from '../../services/calendarService';
+import departmentService from '../../services/departmentService';
+import { WEEKDAYS, parseIcsHolidays } from '../../utils/workingCalendar';
+
+const emptyHoliday = { date: '', name: '', departments: [] };
+
+const WorkingCalendarForm = ({ onSaved }) => {
+  const [restDays, setRestDays] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [newHoliday, setNewHoliday] = useState(emptyHoliday);
+  const [departments, setDepartments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setLoading(true);
+      try {
+        const [calendar, depts] = await Promise.all([
+          calendarService.getCalendar(),
+          departmentService.getAllDepartments(),
+        ]);
+        setRestDays(calendar?.restDays || []);
+        setHolidays((calendar?.holidays || []).map(h => ({ ...h, date: moment(h.date).format('YYYY-MM-DD') })));
+        setDepartments(depts || []);
+        setError('');
+      } catch (err) {
+        console.error('Failed to load working calendar:', err);
+        setError(err.message || 'Failed to load working calendar.');
+      }
+      setLoading(false);
+    };
+    fetchData();
+  }, []);
+
+  const sortHolidays = (list) => [...list].sort((a, b) => a.date.localeCompare(b.date));
+
+  const handleRestDayToggle = (day) => (event) => {
+    setRestDays(prev => (event.target.checked
+      ? [...prev, day].sort()
+      : prev.filter(d => d !== day)));
+  };
+
+  const handleNewHolidayChange = (event) => {
+    const { name, value } = event.target;
+    setNewHoliday(prev => ({
+      ...prev,
+      [name]: name === 'departments' && typeof value === 'string' ? value.split(',') : value,
+    }));
+  };
+
+  const handleAddHoliday = () => {
+    if (!newHoliday.date || !newHoliday.name.trim()) {
+      toast.error('Holiday date and name are required.');
+      return;
+    }
+    setHolidays(prev => sortHolidays([...prev, { ...newHoliday, name: newHoliday.name.trim() }]));
+    setNewHoliday(emptyHoliday);
+  };
+
+  const handleRemoveHoliday = (index) => {
+    setHolidays(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    try {
+      const imported = parseIcsHolidays(await file.text());
+      const existing = new Set(holidays.map(h => `${h.date}|${h.name}`));
+      const additions = imported
+        .filter(h => !existing.has(`${h.date}|${h.name}`))
+        .map(h => ({ ...h, departments: [] }));
+      setHolidays(prev => sortHolidays([...prev, ...additions]));
+      toast.success(`Imported ${additions.length} holiday(s) from ${file.name}.`);
+    } catch (err) {
+      console.error('Failed to import calendar file:', err);
+      toast.error('Could not read the iCalendar file.');
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await calendarService.updateCalendar({ restDays, holidays });
+      toast.success('Working calendar saved successfully!');
+      if (onSaved) {
+        onSaved(saved);
+      }
+    } catch (err) {
+      console.error('Failed to save working calendar:', err);
+      toast.error(err.message || 'Failed to save working calendar.');
+    }
+    setSaving(false);
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', p: 3 }}>
+        <CircularProgress />
+        <Typography sx={{ ml: 2 }}>Loading Working Calendar...</Typography>
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>;
+  }
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" gutterBottom>Weekly Rest Days</Typography>
+      <FormGroup row sx={{ mb: 2 }}>
+        {WEEKDAYS.map((label, day) => (
+          <FormControlLabel
+            key={label}
+            control={<Checkbox checked={restDays.includes(day)} onChange={handleRestDayToggle(day)} />}
+            label={label}
+          />
+        ))}
+      </FormGroup>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="subtitle1">Holidays</Typography>
+        <input type="file" accept=".ics,text/calendar" ref={fileInputRef} onChange={handleImportFile} style={{ display: 'none' }} />
+        <Button variant="outlined" startIcon={<UploadFileIcon />} onClick={() => fileInputRef.current.click()}>
+          Import .ics
+        </Button>
+      </Box>
+      <Paper variant="outlined" sx={{ p: 2, mb: 2, display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+        <TextField
+          name="date"
+          label="Date"
+          type="date"
+          size="small"
+          InputLabelProps={{ shrink: true }}
+          value={newHoliday.date}
+          onChange={handleNewHolidayChange}
+        />
+        <TextField
+          name="name"
+          label="Holiday Name"
+          size="small"
+          autoComplete="off"
+          value={newHoliday.name}
+          onChange={handleNewHolidayChange}
+        />
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel id="holiday-departments-label">Departments (all if empty)</InputLabel>
+          <Select
+            labelId="holiday-departments-label"
+            name="departments"
+            multiple
+            value={newHoliday.departments}
+            onChange={handleNewHolidayChange}
+            input={<OutlinedInput label="Departments (all if empty)" />}
+            renderValue={(selected) => selected.join(', ')}
+          >
+            {departments.map((dept) => (
+              <MenuItem key={dept._id} value={dept.name}>{dept.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="contained" onClick={handleAddHoliday}>Add Holiday</Button>
+      </Paper>
+
+      <TableContainer component={Paper} sx={{ maxHeight: 360 }}>
+        <Table size="small" stickyHeader aria-label="holidays table">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Name</TableCell>
+              <TableCell>Departments</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {holidays.length === 0 ? (
+              <TableRow><TableCell colSpan={4} align="center">No holidays defined.</TableCell></TableRow>
+            ) : holidays.map((holiday, index) => (
+              <TableRow key={`${holiday.date}-${holiday.name}-${index}`}>
+                <TableCell>{moment(holiday.date).format('DD-MMM-YY (ddd)')}</TableCell>
+                <TableCell>{holiday.name}</TableCell>
+                <TableCell>
+                  {holiday.departments?.length > 0
+                    ? holiday.departments.map(dept => <Chip key={dept} label={dept} size="small" sx={{ mr: 0.5 }} />)
+                    : 'All'}
+                </TableCell>
+                <TableCell align="right">
+                  <IconButton size="small" aria-label="delete" onClick={() => handleRemoveHoliday(index)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Button variant="contained" sx={{ mt: 3, minWidth: 300 }} onClick={handleSave} disabled={saving}>
+        {saving ? <CircularProgress size={24} /> : 'Save Working Calendar'}
+      </Button>
+    </Box>
+  );
+};
+
+export default WorkingCalendarForm;
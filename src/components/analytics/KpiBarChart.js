@@ -0,0 +1,109 @@
+import React, { useRef } from 'react';
+import { toast } from 'react-toastify';
+import { Paper, Box, Typography, Button } from '@mui/material';
+import ImageIcon from '@mui/icons-material/Image';
+import TableChartIcon from '@mui/icons-material/TableChart';
+import { downloadCsv, downloadSvgAsPng } from '../../utils/exportFiles';
+
+const WIDTH = 720;
+const LABEL_WIDTH = 210;
+const VALUE_LABEL_WIDTH = 70;
+const ROW_HEIGHT = 26;
+const BAR_HEIGHT = 16;
+const PADDING_TOP = 8;
+const MAX_LABEL_LENGTH = 30;
+const FONT_FAMILY = 'Roboto, Helvetica, Arial, sans-serif';
+
+const truncate = (text) => (text.length > MAX_LABEL_LENGTH ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…` : text);
+
+// Horizontal bar chart drawn as plain SVG so it can be exported as PNG. Bars grow left of
+// the zero line for negative values. Styling is set as attributes for the same reason.
+const KpiBarChart = ({ title, subtitle, data, formatValue = (value) => String(value), getColor, filename, csvColumns, csvRows }) => {
+  const svgRef = useRef(null);
+  const values = data.map(item => item.value ?? 0);
+  const minValue = Math.min(0, ...values);
+  const maxValue = Math.max(0, ...values);
+  const range = maxValue - minValue || 1;
+  const plotWidth = WIDTH - LABEL_WIDTH - VALUE_LABEL_WIDTH * 2;
+  const scale = (value) => LABEL_WIDTH + VALUE_LABEL_WIDTH + ((value - minValue) / range) * plotWidth;
+  const zeroX = scale(0);
+  const height = PADDING_TOP * 2 + Math.max(data.length, 1) * ROW_HEIGHT;
+
+  const handleExportPng = async () => {
+    try {
+      await downloadSvgAsPng(svgRef.current, `${filename}.png`);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, height: '100%' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 1 }}>
+        <Box>
+          <Typography variant="h6">{title}</Typography>
+          {subtitle && <Typography variant="caption" color="text.secondary">{subtitle}</Typography>}
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, flexShrink: 0 }}>
+          <Button size="small" startIcon={<ImageIcon />} onClick={handleExportPng} disabled={data.length === 0}>PNG</Button>
+          <Button
+            size="small"
+            startIcon={<TableChartIcon />}
+            onClick={() => downloadCsv(csvRows || data, csvColumns, `${filename}.csv`)}
+            disabled={data.length === 0}
+          >
+            CSV
+          </Button>
+        </Box>
+      </Box>
+      <svg
+        ref={svgRef}
+        xmlns="http://www.w3.org/2000/svg"
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        width="100%"
+        fontFamily={FONT_FAMILY}
+        fontSize="12"
+        role="img"
+        aria-label={title}
+      >
+        <rect x="0" y="0" width={WIDTH} height={height} fill="#ffffff" />
+        {data.length === 0 && (
+          <text x={WIDTH / 2} y={height / 2 + 4} textAnchor="middle" fill="#757575">No data for the selected filters</text>
+        )}
+        {data.map((item, index) => {
+          const value = item.value ?? 0;
+          const y = PADDING_TOP + index * ROW_HEIGHT;
+          const barX = Math.min(scale(value), zeroX);
+          const barWidth = Math.max(Math.abs(scale(value) - zeroX), value !== 0 ? 1 : 0);
+          return (
+            <g key={item.key ?? item.label}>
+              <title>{`${item.label}: ${item.value === null || item.value === undefined ? 'n/a' : formatValue(item.value)}`}</title>
+              <text x={LABEL_WIDTH - 8} y={y + ROW_HEIGHT / 2 + 4} textAnchor="end" fill="#424242">{truncate(item.label)}</text>
+              <rect
+                x={barX}
+                y={y + (ROW_HEIGHT - BAR_HEIGHT) / 2}
+                width={barWidth}
+                height={BAR_HEIGHT}
+                rx="2"
+                fill={getColor ? getColor(item) : '#1976d2'}
+              />
+              <text
+                x={value < 0 ? barX - 6 : barX + barWidth + 6}
+                y={y + ROW_HEIGHT / 2 + 4}
+                textAnchor={value < 0 ? 'end' : 'start'}
+                fill="#212121"
+              >
+                {item.value === null || item.value === undefined ? 'n/a' : formatValue(item.value)}
+              </text>
+            </g>
+          );
+        })}
+        {data.length > 0 && (
+          <line x1={zeroX} x2={zeroX} y1={PADDING_TOP / 2} y2={height - PADDING_TOP / 2} stroke="#9e9e9e" strokeWidth="1" />
+        )}
+      </svg>
+    </Paper>
+  );
+};
+
+export default KpiBarChart;
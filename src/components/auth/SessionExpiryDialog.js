@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, Button, CircularProgress, Alert
+} from '@mui/material';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
+
+const WARNING_BEFORE_EXPIRY_MS = 5 * 60 * 1000;
+const MAX_TIMEOUT_MS = 2147483647; // Longer delays overflow and make setTimeout fire at once
+
+// Runs the callback at the given time; sessions longer than the setTimeout range are not watched
+const scheduleAt = (time, callback) => {
+  const delay = Math.max(0, time - Date.now());
+  return delay <= MAX_TIMEOUT_MS ? setTimeout(callback, delay) : null;
+};
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Warns a few minutes before the session token expires and offers to extend it.
+// When the token expires the session is renewed silently; the user is signed out
+// only if that fails.
+const SessionExpiryDialog = () => {
+  const { sessionExpiresAt, extendSession, logout } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const [extending, setExtending] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setOpen(false);
+    setError('');
+    if (!sessionExpiresAt) return undefined;
+    const warningTimer = scheduleAt(sessionExpiresAt - WARNING_BEFORE_EXPIRY_MS, () => {
+      setNow(Date.now());
+      setOpen(true);
+    });
+    const expiryTimer = scheduleAt(sessionExpiresAt, async () => {
+      // A renewed session brings a new expiry time, which resets these timers
+      if (await extendSession()) return;
+      toast.warning('Your session has expired. Please log in again.', { toastId: 'session-expired' });
+      logout();
+    });
+    return () => {
+      clearTimeout(warningTimer);
+      clearTimeout(expiryTimer);
+    };
+  }, [sessionExpiresAt, extendSession, logout]);
+
+  // Countdown while the warning is shown
+  useEffect(() => {
+    if (!open) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [open]);
+
+  const handleExtend = async () => {
+    setExtending(true);
+    setError('');
+    const extended = await extendSession();
+    setExtending(false);
+    // On success the new expiry time resets the timers and closes the dialog
+    if (!extended) setError('The session could not be extended. Save your work and log in again.');
+  };
+
+  return (
+    <Dialog open={open} aria-labelledby="session-expiry-title">
+      <DialogTitle id="session-expiry-title">Your session is about to expire</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <DialogContentText>
+          You will be signed out in {formatRemaining(sessionExpiresAt - now)}. Unsaved changes will be lost.
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={logout} disabled={extending}>Log Out</Button>
+        <Button variant="contained" onClick={handleExtend} disabled={extending}>
+          {extending ? <CircularProgress size={24} /> : 'Stay Signed In'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SessionExpiryDialog;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog, DialogActions, DialogContent, DialogTitle, Button, CircularProgress, Alert, FormControl, FormLabel,
+  FormControlLabel, FormGroup, Checkbox, RadioGroup, Radio, InputLabel, Select, MenuItem, TextField, Box, Typography
+} from '@mui/material';
+import { DATE_FORMATS } from '../../utils/gridExport';
+
+// Lets the user choose what to export; the caller builds and writes the file in `onExport(settings)`.
+// `columns` should be a stable array, as the selection resets whenever it changes.
+const ExportDialog = ({ open, onClose, title = 'Export', description, columns, options = [], defaultFilename, onExport }) => {
+  const [format, setFormat] = useState('xlsx');
+  const [columnKeys, setColumnKeys] = useState([]);
+  const [dateFormat, setDateFormat] = useState('DD-MMM-YY');
+  const [selectedOptions, setSelectedOptions] = useState({});
+  const [filename, setFilename] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setColumnKeys(columns.map(column => column.key));
+    setSelectedOptions({});
+    setFilename(defaultFilename);
+    setError('');
+  }, [open, columns, defaultFilename]);
+
+  const toggleColumn = (key) => {
+    setColumnKeys(prev => (prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]));
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      await onExport({
+        format,
+        // Keep the grid's column order whatever order they were ticked in
+        columnKeys: columns.filter(column => columnKeys.includes(column.key)).map(column => column.key),
+        dateFormat,
+        options: selectedOptions,
+        filename: filename.trim() || defaultFilename,
+      });
+      onClose();
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError(err.message || 'Export failed.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={exporting ? undefined : onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        {description && <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>{description}</Typography>}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Box sx={{ display: 'flex', gap: 2, mt: 1, mb: 2, flexWrap: 'wrap' }}>
+          <TextField
+            label="File name"
+            size="small"
+            value={filename}
+            onChange={(e) => setFilename(e.target.value)}
+            sx={{ flex: 1, minWidth: 200 }}
+          />
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel id="export-date-format-label">Date format</InputLabel>
+            <Select labelId="export-date-format-label" label="Date format" value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+              {Object.keys(DATE_FORMATS).map(option => <MenuItem key={option} value={option}>{option}</MenuItem>)}
+            </Select>
+          </FormControl>
+        </Box>
+        <FormControl sx={{ mb: 2 }}>
+          <FormLabel id="export-format-label">Format</FormLabel>
+          <RadioGroup row aria-labelledby="export-format-label" value={format} onChange={(e) => setFormat(e.target.value)}>
+            <FormControlLabel value="xlsx" control={<Radio />} label="Excel (.xlsx)" />
+            <FormControlLabel value="csv" control={<Radio />} label="CSV" />
+          </RadioGroup>
+        </FormControl>
+        <FormControl component="fieldset" sx={{ display: 'block', mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <FormLabel component="legend">Columns</FormLabel>
+            <Box>
+              <Button size="small" onClick={() => setColumnKeys(columns.map(column => column.key))}>All</Button>
+              <Button size="small" onClick={() => setColumnKeys([])}>None</Button>
+            </Box>
+          </Box>
+          <FormGroup sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' } }}>
+            {columns.map(column => (
+              <FormControlLabel
+                key={column.key}
+                control={<Checkbox size="small" checked={columnKeys.includes(column.key)} onChange={() => toggleColumn(column.key)} />}
+                label={column.label}
+              />
+            ))}
+          </FormGroup>
+        </FormControl>
+        {options.length > 0 && (
+          <FormControl component="fieldset" sx={{ display: 'block' }}>
+            <FormLabel component="legend">Include</FormLabel>
+            <FormGroup>
+              {options.map(option => (
+                <FormControlLabel
+                  key={option.key}
+                  control={(
+                    <Checkbox
+                      size="small"
+                      checked={Boolean(selectedOptions[option.key])}
+                      onChange={(e) => setSelectedOptions(prev => ({ ...prev, [option.key]: e.target.checked }))}
+                    />
+                  )}
+                  label={option.label}
+                />
+              ))}
+            </FormGroup>
+          </FormControl>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={exporting}>Cancel</Button>
+        <Button variant="contained" onClick={handleExport} disabled={exporting || columnKeys.length === 0}>
+          {exporting ? <CircularProgress size={24} /> : 'Export'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ExportDialog;
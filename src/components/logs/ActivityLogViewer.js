@@ -12,11 +12,25 @@ import {
 import { DataGrid } from '@mui/x-data-grid';
 import { format } from 'date-fns';
 import seasonService from '../../services/seasonService';
+import ExportDialog from '../export/ExportDialog';
+import { exportSheets } from '../../utils/gridExport';
 
-const ActivityLogViewer = ({ open, onClose, seasonId }) => {
+const formatAction = (action) => action.replace(/_/g, ' ').toLowerCase();
+
+const LOG_EXPORT_COLUMNS = [
+  { key: 'createdAt', label: 'Date', type: 'date' },
+  { key: 'user', label: 'User', value: (row) => (row.user ? `${row.user.firstName} ${row.user.lastName}` : 'System') },
+  { key: 'department', label: 'Department', value: (row) => row.user?.department?.name || 'N/A' },
+  { key: 'action', label: 'Action', value: (row) => formatAction(row.action || '') },
+  { key: 'taskName', label: 'Task Name' },
+  { key: 'details', label: 'Details', wrap: true },
+];
+
+const ActivityLogViewer = ({ open, onClose, seasonId, seasonName }) => {
   const [logs, setLogs] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [exportOpen, setExportOpen] = useState(false);
 
   const fetchLogs = useCallback(async () => {
     if (!seasonId) return;
@@ -61,7 +75,7 @@ const ActivityLogViewer = ({ open, onClose, seasonId }) => {
       field: 'action',
       headerName: 'Action',
       width: 300,
-      valueFormatter: (value) => value.replace(/_/g, ' ').toLowerCase(),
+      valueFormatter: (value) => formatAction(value),
       renderCell: (params) => (
         <Typography sx={{ textTransform: 'capitalize' }}>{params.value}</Typography>
       ),
@@ -83,6 +97,18 @@ const ActivityLogViewer = ({ open, onClose, seasonId }) => {
     },
   ];
 
+  // Exports the logs newest first, as the grid shows them by default
+  const handleExport = ({ format: fileFormat, columnKeys, dateFormat, filename }) => exportSheets({
+    sheets: [{
+      name: 'Activity Logs',
+      columns: LOG_EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key)),
+      rows: [...logs].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+    }],
+    format: fileFormat,
+    filename,
+    dateFormat,
+  });
+
   return (
     <Dialog open={open} onClose={onClose} fullWidth maxWidth="xl">
       <DialogTitle>Activity Logs</DialogTitle>
@@ -113,8 +139,17 @@ const ActivityLogViewer = ({ open, onClose, seasonId }) => {
         </Box>
       </DialogContent>
       <DialogActions>
+        <Button onClick={() => setExportOpen(true)} disabled={loading || logs.length === 0}>Export</Button>
         <Button onClick={onClose}>Close</Button>
       </DialogActions>
+      <ExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        title="Export Activity Logs"
+        columns={LOG_EXPORT_COLUMNS}
+        defaultFilename={`activity-logs-${seasonName || seasonId}`}
+        onExport={handleExport}
+      />
     </Dialog>
   );
 };
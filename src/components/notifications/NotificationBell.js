@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import moment from 'moment';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import {
+  IconButton, Badge, Menu, MenuItem, ListItemIcon, ListItemText, Typography, Box, Button, Divider, CircularProgress
+} from '@mui/material';
+import NotificationsIcon from '@mui/icons-material/Notifications';
+import PlayCircleOutlineIcon from '@mui/icons-material/PlayCircleOutline';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import AlternateEmailIcon from '@mui/icons-material/AlternateEmail';
+import FlagIcon from '@mui/icons-material/Flag';
+import notificationService from '../../services/notificationService';
+
+const POLL_INTERVAL_MS = 60000;
+const NOTIFICATION_LIMIT = 30;
+// The badge shows 99+ above this, so one more unread notification is enough to count
+const UNREAD_COUNT_LIMIT = 100;
+const BADGE_MAX = UNREAD_COUNT_LIMIT - 1;
+
+const TYPE_ICONS = {
+  'task.actionable': <PlayCircleOutlineIcon fontSize="small" color="warning" />,
+  'task.overdue': <ScheduleIcon fontSize="small" color="error" />,
+  'remark.mention': <AlternateEmailIcon fontSize="small" color="primary" />,
+  'season.status': <FlagIcon fontSize="small" color="action" />,
+};
+
+// Links to the task row when the notification is about a task, otherwise to the season
+const getNotificationLink = (notification) => (notification.taskId
+  ? `/seasons/${notification.seasonId}?task=${notification.taskId}`
+  : `/seasons/${notification.seasonId}`);
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  // Counted from the unread notifications alone, since the list only holds the newest ones
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const unread = await notificationService.getNotifications({ unreadOnly: true, limit: UNREAD_COUNT_LIMIT });
+      setUnreadCount(unread.length);
+    } catch (error) {
+      console.error('Failed to refresh unread notifications:', error);
+    }
+  }, []);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      setNotifications(await notificationService.getNotifications({ limit: NOTIFICATION_LIMIT }));
+    } catch (error) {
+      console.error('Failed to refresh notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUnreadCount();
+    const interval = setInterval(fetchUnreadCount, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchUnreadCount]);
+
+  const handleOpen = async (event) => {
+    setAnchorEl(event.currentTarget);
+    setLoading(true);
+    await Promise.all([fetchNotifications(), fetchUnreadCount()]);
+    setLoading(false);
+  };
+
+  const handleMarkAsRead = async (notification) => {
+    if (notification.read) return;
+    try {
+      await notificationService.markAsRead(notification._id);
+      setNotifications(prev => prev.map(item => (item._id === notification._id ? { ...item, read: true } : item)));
+      setUnreadCount(prev => Math.max(0, prev - 1));
+    } catch (error) {
+      toast.error(error.message || 'Failed to mark notification as read.');
+    }
+  };
+
+  const handleMarkAllAsRead = async () => {
+    try {
+      await notificationService.markAllAsRead();
+      setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      toast.error(error.message || 'Failed to mark notifications as read.');
+    }
+  };
+
+  const handleNotificationClick = (notification) => {
+    setAnchorEl(null);
+    handleMarkAsRead(notification);
+    navigate(getNotificationLink(notification));
+  };
+
+  return (
+    <>
+      <IconButton size="large" aria-label="notifications" color="inherit" onClick={handleOpen}>
+        <Badge badgeContent={unreadCount} color="error" max={BADGE_MAX}>
+          <NotificationsIcon />
+        </Badge>
+      </IconButton>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        slotProps={{ paper: { sx: { width: 400, maxHeight: 480 } } }}
+      >
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', px: 2, py: 1 }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 500 }}>Notifications</Typography>
+          <Button size="small" onClick={handleMarkAllAsRead} disabled={unreadCount === 0}>
+            Mark all as read
+          </Button>
+        </Box>
+        <Divider />
+        {loading && notifications.length === 0 ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : notifications.length === 0 ? (
+          <MenuItem disabled>No notifications</MenuItem>
+        ) : (
+          notifications.map(notification => (
+            <MenuItem
+              key={notification._id}
+              onClick={() => handleNotificationClick(notification)}
+              sx={{
+                alignItems: 'flex-start',
+                whiteSpace: 'normal',
+                bgcolor: notification.read ? 'inherit' : 'action.hover',
+              }}
+            >
+              <ListItemIcon sx={{ mt: 0.5 }}>{TYPE_ICONS[notification.type] || <NotificationsIcon fontSize="small" />}</ListItemIcon>
+              <ListItemText
+                primary={notification.message}
+                secondary={`${notification.seasonName ? `${notification.seasonName} · ` : ''}${moment(notification.createdAt).fromNow()}`}
+                primaryTypographyProps={{ variant: 'body2', fontWeight: notification.read ? 400 : 600 }}
+              />
+              {!notification.read && (
+                <Button
+                  size="small"
+                  sx={{ ml: 1, minWidth: 0, flexShrink: 0 }}
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    handleMarkAsRead(notification);
+                  }}
+                >
+                  Mark read
+                </Button>
+              )}
+            </MenuItem>
+          ))
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import moment from 'moment';
+import {
+  Dialog, DialogActions, DialogContent, DialogTitle, TextField, Button, CircularProgress, Typography, Chip,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow
+} from '@mui/material';
+
+export const BULK_ACTIONS = {
+  complete: { title: 'Mark Completed', confirm: 'Mark Completed' },
+  remark: { title: 'Append Remark', confirm: 'Append Remark' },
+  clear: { title: 'Clear Completion', confirm: 'Clear Completion' },
+};
+
+// Collects the input for a bulk action, runs it and lists the outcome per task
+const BulkTaskActionsDialog = ({ open, action, tasks, onClose, onRun }) => {
+  const [completionDate, setCompletionDate] = useState('');
+  const [remark, setRemark] = useState('');
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setCompletionDate(moment().format('YYYY-MM-DD'));
+      setRemark('');
+      setResults(null);
+    }
+  }, [open, action]);
+
+  const config = BULK_ACTIONS[action];
+  if (!config) return null;
+
+  const isInputMissing = (action === 'complete' && !completionDate) || (action === 'remark' && !remark.trim());
+
+  const handleRun = async () => {
+    setRunning(true);
+    const value = action === 'complete' ? moment(completionDate).startOf('day').toISOString() : remark.trim();
+    setResults(await onRun(action, value));
+    setRunning(false);
+  };
+
+  const succeeded = results ? results.filter(result => result.success).length : 0;
+
+  return (
+    <Dialog open={open} onClose={() => !running && onClose()} fullWidth maxWidth="md">
+      <DialogTitle>{config.title} ({tasks.length} task(s))</DialogTitle>
+      <DialogContent dividers>
+        {!results && action === 'complete' && (
+          <TextField
+            label="Completion Date"
+            type="date"
+            fullWidth
+            margin="dense"
+            InputLabelProps={{ shrink: true }}
+            value={completionDate}
+            onChange={(e) => setCompletionDate(e.target.value)}
+            disabled={running}
+          />
+        )}
+        {!results && action === 'remark' && (
+          <TextField
+            label="Remark to append"
+            multiline
+            rows={3}
+            fullWidth
+            margin="dense"
+            value={remark}
+            onChange={(e) => setRemark(e.target.value)}
+            disabled={running}
+          />
+        )}
+        {!results && action === 'clear' && (
+          <Typography variant="body2">
+            The actual completion date of the selected tasks will be removed and they will be set back to pending.
+          </Typography>
+        )}
+        {results && (
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            {succeeded} of {results.length} task(s) updated.
+          </Typography>
+        )}
+        <TableContainer sx={{ maxHeight: 360, mt: 1 }}>
+          <Table size="small" stickyHeader aria-label="bulk action tasks table">
+            <TableHead>
+              <TableRow>
+                <TableCell>Order</TableCell>
+                <TableCell>Task Name</TableCell>
+                {results && <TableCell>Result</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {(results || tasks.map(task => ({ task }))).map(({ task, success, queued, message }) => (
+                <TableRow key={task._id}>
+                  <TableCell>{task.order}</TableCell>
+                  <TableCell>{task.name}</TableCell>
+                  {results && (
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={queued ? 'Pending sync' : success ? 'Updated' : 'Failed'}
+                        color={queued ? 'info' : success ? 'success' : 'error'}
+                        sx={{ mr: 1 }}
+                      />
+                      {!success && <Typography variant="caption">{message}</Typography>}
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="secondary" disabled={running}>
+          {results ? 'Close' : 'Cancel'}
+        </Button>
+        {!results && (
+          <Button variant="contained" onClick={handleRun} disabled={running || isInputMissing || tasks.length === 0}>
+            {running ? <CircularProgress size={24} /> : config.confirm}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BulkTaskActionsDialog;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useRef } from 'react';
+import moment from 'moment';
+import {
+  Dialog, DialogActions, DialogContent, DialogTitle, TextField, Button, CircularProgress, Alert,
+  FormControlLabel, Checkbox, Typography
+} from '@mui/material';
+import seasonService from '../../services/seasonService';
+
+// Copies the task definitions of a season; progress (status, completion, attachments) starts over
+const toDuplicatedTask = (task, includeRemarks) => ({
+  templateId: task.templateId,
+  order: task.order,
+  name: task.name,
+  responsible: task.responsible || [],
+  precedingTasks: task.precedingTasks || [],
+  leadTime: task.leadTime,
+  remarks: includeRemarks ? task.remarks || '' : '',
+  status: 'pending',
+  actualCompletion: null,
+  attachments: [],
+});
+
+const DuplicateSeasonDialog = ({ open, onClose, season, tasks, onDuplicated }) => {
+  const [name, setName] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [includeRemarks, setIncludeRemarks] = useState(false);
+  const [fetchedTasks, setFetchedTasks] = useState([]);
+  const [loadingTasks, setLoadingTasks] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // The season page passes live data that changes while the dialog is open; the form
+  // is filled once per opening and the tasks are read when duplicating
+  const propsRef = useRef({ season, tasks });
+  propsRef.current = { season, tasks };
+  const sourceTasks = tasks || fetchedTasks;
+
+  useEffect(() => {
+    const { season: openedSeason, tasks: givenTasks } = propsRef.current;
+    if (!open || !openedSeason) return undefined;
+    setName(`${openedSeason.name} (Copy)`);
+    setStartDate(moment().format('YYYY-MM-DD'));
+    setIncludeRemarks(false);
+    setError('');
+
+    if (givenTasks) return undefined;
+    // The dashboard only lists seasons, so fetch the task list on demand
+    let closed = false;
+    const fetchTasks = async () => {
+      setFetchedTasks([]);
+      setLoadingTasks(true);
+      try {
+        const data = await seasonService.getSeasonById(openedSeason._id);
+        if (!closed) setFetchedTasks(data.tasks || []);
+      } catch (err) {
+        console.error('Failed to fetch season tasks for duplication:', err);
+        if (!closed) {
+          setError(err.message || 'Failed to load the tasks of this season.');
+          setFetchedTasks([]);
+        }
+      }
+      if (!closed) setLoadingTasks(false);
+    };
+    fetchTasks();
+    return () => { closed = true; };
+  }, [open]);
+
+  const handleDuplicate = async () => {
+    if (!name.trim() || !startDate) {
+      setError('Season name and start date are required.');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const created = await seasonService.createSeason({
+        name: name.trim(),
+        buyerId: season.buyer?._id || season.buyer,
+        startDate: moment(startDate).startOf('day').toISOString(),
+        sourceSeasonId: season._id,
+        tasks: sourceTasks.map(task => toDuplicatedTask(task, includeRemarks)),
+      });
+      onDuplicated(created?.season || created);
+    } catch (err) {
+      console.error('Failed to duplicate season:', err);
+      setError(err.message || 'Failed to duplicate season.');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !loading && onClose()} fullWidth maxWidth="sm">
+      <DialogTitle>Duplicate Season</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ color: 'text.secondary', mb: 1 }}>
+          Creates a new season for {season?.buyer?.name || 'the same buyer'} with the same tasks, responsible departments,
+          preceding tasks and lead times. Statuses, completion dates and attachments are reset.
+        </Typography>
+        <TextField
+          autoFocus
+          margin="dense"
+          label="Season Name"
+          type="text"
+          fullWidth
+          variant="outlined"
+          autoComplete="off"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          disabled={loading}
+          sx={{ mt: 1 }}
+        />
+        <TextField
+          margin="dense"
+          label="Start Date"
+          type="date"
+          fullWidth
+          variant="outlined"
+          InputLabelProps={{ shrink: true }}
+          value={startDate}
+          onChange={(e) => setStartDate(e.target.value)}
+          disabled={loading}
+        />
+        <FormControlLabel
+          control={<Checkbox checked={includeRemarks} onChange={(e) => setIncludeRemarks(e.target.checked)} disabled={loading} />}
+          label="Carry over task remarks"
+        />
+        <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+          {loadingTasks ? 'Loading tasks...' : `${sourceTasks.length} task(s) will be copied.`}
+        </Typography>
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} color="secondary" disabled={loading}>
+          Cancel
+        </Button>
+        <Button variant="contained" onClick={handleDuplicate} disabled={loading || loadingTasks || sourceTasks.length === 0}>
+          {loading ? <CircularProgress size={24} /> : 'Duplicate'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DuplicateSeasonDialog;
@@ -40,7 +40,7 @@ const EditSeasonModal = ({ open, onClose, season, onSave }) => {
   }, []);
 
   const handleSave = () => {
-    onSave({ name, buyer: buyerId });
+    onSave({ name, buyer: buyerId }, buyers.find((b) => b._id === buyerId));
   };
 
   return (
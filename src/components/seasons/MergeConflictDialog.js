@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog, DialogActions, DialogContent, DialogTitle, Button, Typography, Radio, Alert,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow
+} from '@mui/material';
+
+// Lets the user pick, per field, between their value and the one saved by someone else meanwhile
+const MergeConflictDialog = ({ open, title, fields, onResolve, onCancel }) => {
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    if (open) {
+      setChoices(Object.fromEntries(fields.map(({ field, choice }) => [field, choice])));
+    }
+  }, [open, fields]);
+
+  const handleResolve = () => {
+    onResolve(Object.fromEntries(fields.map(({ field, yours, theirs }) => [
+      field,
+      choices[field] === 'theirs' ? theirs : yours,
+    ])));
+  };
+
+  return (
+    <Dialog open={open} onClose={onCancel} fullWidth maxWidth="md">
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent dividers>
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Someone else saved changes after you loaded this page. Choose which value to keep for each field.
+        </Alert>
+        <TableContainer>
+          <Table size="small" aria-label="merge conflict table">
+            <TableHead>
+              <TableRow>
+                <TableCell>Field</TableCell>
+                <TableCell>Original</TableCell>
+                <TableCell>Yours</TableCell>
+                <TableCell>Theirs</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {fields.map(({ field, label, original, yours, theirs, conflicting, format }) => (
+                <TableRow key={field} sx={conflicting ? { backgroundColor: 'rgba(255, 167, 38, 0.15)' } : undefined}>
+                  <TableCell sx={{ fontWeight: conflicting ? 'bold' : 'normal' }}>{label}</TableCell>
+                  <TableCell sx={{ color: 'text.secondary' }}>{format(original)}</TableCell>
+                  <TableCell>
+                    <Radio
+                      size="small"
+                      checked={choices[field] === 'yours'}
+                      onChange={() => setChoices(prev => ({ ...prev, [field]: 'yours' }))}
+                    />
+                    <Typography variant="body2" component="span" sx={{ whiteSpace: 'pre-wrap' }}>{format(yours)}</Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Radio
+                      size="small"
+                      checked={choices[field] === 'theirs'}
+                      onChange={() => setChoices(prev => ({ ...prev, [field]: 'theirs' }))}
+                    />
+                    <Typography variant="body2" component="span" sx={{ whiteSpace: 'pre-wrap' }}>{format(theirs)}</Typography>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel} color="secondary">
+          Discard My Changes
+        </Button>
+        <Button variant="contained" onClick={handleResolve}>
+          Save Merged Values
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MergeConflictDialog;
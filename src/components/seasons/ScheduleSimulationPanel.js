@@ -0,0 +1,279 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import moment from 'moment';
+import { Box, Typography, Button, Alert, Chip, CircularProgress } from '@mui/material';
+import { DataGrid, GridActionsCellItem } from '@mui/x-data-grid';
+import TodayIcon from '@mui/icons-material/Today';
+import UndoIcon from '@mui/icons-material/Undo';
+import { calculateReferenceTimeline } from '../../utils/timeline';
+import { validateLeadTime } from '../../utils/taskRules';
+
+const formatDate = (value) => (value ? moment(value).format('DD-MMM-YY') : '');
+
+const toIsoOrNull = (value) => (value ? moment(value).toISOString() : null);
+
+const formatDelta = (days) => {
+  if (days === null || days === undefined) return '';
+  return days > 0 ? `+${days}d` : `${days}d`;
+};
+
+const getSeasonEnd = (timeline) => {
+  const ends = [...timeline.values()].map(({ end }) => moment(end));
+  return ends.length > 0 ? moment.max(ends) : null;
+};
+
+// What-if playground: overrides stay local and downstream dates are recomputed with
+// the reference timeline rules until the planner applies the scenario.
+const ScheduleSimulationPanel = ({ tasks, seasonStartDate, calendar, onApply }) => {
+  const [overrides, setOverrides] = useState({});
+  const [applying, setApplying] = useState(false);
+
+  const tasksById = useMemo(() => new Map(tasks.map(task => [task._id, task])), [tasks]);
+
+  const simulatedTasks = useMemo(() => tasks.map(task => (
+    overrides[task._id] ? { ...task, ...overrides[task._id] } : task
+  )), [tasks, overrides]);
+
+  const currentTimeline = useMemo(
+    () => calculateReferenceTimeline(tasks, seasonStartDate, { useActualCompletion: true, calendar }),
+    [tasks, seasonStartDate, calendar]
+  );
+  const simulatedTimeline = useMemo(
+    () => calculateReferenceTimeline(simulatedTasks, seasonStartDate, { useActualCompletion: true, calendar }),
+    [simulatedTasks, seasonStartDate, calendar]
+  );
+
+  const currentSeasonEnd = getSeasonEnd(currentTimeline);
+  const simulatedSeasonEnd = getSeasonEnd(simulatedTimeline);
+  const seasonEndDelta = currentSeasonEnd && simulatedSeasonEnd
+    ? simulatedSeasonEnd.clone().startOf('day').diff(currentSeasonEnd.clone().startOf('day'), 'days')
+    : null;
+  const overrideCount = Object.keys(overrides).length;
+
+  const setOverride = useCallback((taskId, changes) => {
+    const original = tasksById.get(taskId);
+    setOverrides(prev => {
+      const merged = { ...prev[taskId], ...changes };
+      // Drop fields that are back to their saved value
+      if (merged.leadTime !== undefined && Number(merged.leadTime) === Number(original.leadTime)) {
+        delete merged.leadTime;
+      }
+      if (merged.actualCompletion !== undefined && toIsoOrNull(merged.actualCompletion) === toIsoOrNull(original.actualCompletion)) {
+        delete merged.actualCompletion;
+      }
+      const next = { ...prev };
+      if (Object.keys(merged).length > 0) {
+        next[taskId] = merged;
+      } else {
+        delete next[taskId];
+      }
+      return next;
+    });
+  }, [tasksById]);
+
+  const handleProcessRowUpdate = useCallback((newRow, oldRow) => {
+    const changes = {};
+    if (Number(newRow.leadTime) !== Number(oldRow.leadTime)) {
+      if (validateLeadTime(newRow.leadTime)) {
+        return oldRow;
+      }
+      changes.leadTime = Number(newRow.leadTime);
+    }
+    if (toIsoOrNull(newRow.actualCompletion) !== toIsoOrNull(oldRow.actualCompletion)) {
+      changes.actualCompletion = toIsoOrNull(newRow.actualCompletion);
+    }
+    if (Object.keys(changes).length > 0) {
+      setOverride(newRow._id, changes);
+    }
+    return newRow;
+  }, [setOverride]);
+
+  const handleResetRow = (taskId) => () => {
+    setOverrides(prev => {
+      const next = { ...prev };
+      delete next[taskId];
+      return next;
+    });
+  };
+
+  const handleApply = async () => {
+    const changes = Object.entries(overrides).map(([taskId, override]) => {
+      const task = tasksById.get(taskId);
+      const payload = {};
+      if (override.leadTime !== undefined) payload.leadTime = override.leadTime;
+      if (override.actualCompletion !== undefined) {
+        payload.actualCompletion = override.actualCompletion;
+        // Same status rules as the bulk actions: a completion date completes the task, clearing it reopens it
+        if (!override.actualCompletion) {
+          payload.status = 'pending';
+        } else if (task.status !== 'completed') {
+          payload.status = 'completed';
+        }
+      }
+      return { task, payload };
+    });
+    setApplying(true);
+    try {
+      // Rejected changes stay in the scenario so the planner can correct them
+      const results = await onApply(changes);
+      const rejectedIds = new Set(results.filter(result => !result.success).map(result => result.task._id));
+      setOverrides(prev => Object.fromEntries(Object.entries(prev).filter(([taskId]) => rejectedIds.has(taskId))));
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const rows = simulatedTasks.map(task => {
+    const current = currentTimeline.get(task._id);
+    const simulated = simulatedTimeline.get(task._id);
+    const delta = current && simulated
+      ? moment(simulated.end).startOf('day').diff(moment(current.end).startOf('day'), 'days')
+      : null;
+    return {
+      ...task,
+      currentEnd: current?.end || null,
+      simulatedStart: simulated?.start || null,
+      simulatedEnd: simulated?.end || null,
+      delta,
+    };
+  });
+
+  const columns = [
+    { field: 'order', headerName: 'Order', width: 70, cellClassName: 'font-tabular-nums' },
+    { field: 'name', headerName: 'Task Name', flex: 2, minWidth: 200 },
+    {
+      field: 'leadTime',
+      headerName: 'Lead Time (days)',
+      type: 'number',
+      width: 130,
+      editable: true,
+      headerClassName: 'header-editable',
+      cellClassName: (params) => (overrides[params.row._id]?.leadTime !== undefined ? 'cell-overridden' : 'cell-editable'),
+    },
+    {
+      field: 'actualCompletion',
+      headerName: 'Actual Completion',
+      type: 'date',
+      width: 160,
+      editable: true,
+      headerClassName: 'header-editable',
+      valueGetter: (value, row) => (row.actualCompletion ? new Date(row.actualCompletion) : null),
+      valueFormatter: (value) => formatDate(value),
+      cellClassName: (params) => (overrides[params.row._id]?.actualCompletion !== undefined ? 'cell-overridden' : 'cell-editable'),
+    },
+    {
+      field: 'currentEnd',
+      headerName: 'Current End',
+      width: 120,
+      valueFormatter: (value) => formatDate(value),
+    },
+    {
+      field: 'simulatedStart',
+      headerName: 'Simulated Start',
+      width: 130,
+      valueFormatter: (value) => formatDate(value),
+    },
+    {
+      field: 'simulatedEnd',
+      headerName: 'Simulated End',
+      width: 130,
+      valueFormatter: (value) => formatDate(value),
+    },
+    {
+      field: 'delta',
+      headerName: 'Delta',
+      width: 80,
+      align: 'center',
+      headerAlign: 'center',
+      renderCell: (params) => (
+        <Typography
+          variant="body2"
+          color={params.value > 0 ? 'error.main' : params.value < 0 ? 'success.main' : 'text.secondary'}
+          sx={{ fontWeight: params.value ? 'bold' : 'normal', pt: 2 }}
+        >
+          {formatDelta(params.value)}
+        </Typography>
+      ),
+    },
+    {
+      field: 'actions',
+      type: 'actions',
+      headerName: 'Actions',
+      width: 100,
+      getActions: (params) => [
+        <GridActionsCellItem
+          icon={<TodayIcon />}
+          label="Finish today"
+          title="What if this finishes today"
+          onClick={() => setOverride(params.id, { actualCompletion: moment().startOf('day').toISOString() })}
+        />,
+        <GridActionsCellItem
+          icon={<UndoIcon />}
+          label="Reset"
+          title="Reset this row"
+          onClick={handleResetRow(params.id)}
+          disabled={!overrides[params.id]}
+        />,
+      ],
+    },
+  ];
+
+  return (
+    <Box>
+      <Alert severity="info" sx={{ mb: 2 }}>
+        Simulation mode: edit lead times or completion dates below to see how the schedule moves. Nothing is saved until you apply the scenario.
+      </Alert>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, flexWrap: 'wrap' }}>
+          <Typography variant="body2" sx={{ color: 'text.secondary', fontWeight: 500 }}>Season End:</Typography>
+          <Typography variant="body2">{currentSeasonEnd ? formatDate(currentSeasonEnd) : 'N/A'}</Typography>
+          <Typography variant="body2" sx={{ color: 'text.secondary' }}>→</Typography>
+          <Typography variant="body2" sx={{ fontWeight: 600 }}>{simulatedSeasonEnd ? formatDate(simulatedSeasonEnd) : 'N/A'}</Typography>
+          {seasonEndDelta !== null && (
+            <Chip
+              size="small"
+              label={seasonEndDelta === 0 ? 'No change' : formatDelta(seasonEndDelta)}
+              color={seasonEndDelta > 0 ? 'error' : seasonEndDelta < 0 ? 'success' : 'default'}
+            />
+          )}
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Button onClick={() => setOverrides({})} disabled={applying || overrideCount === 0}>
+            Discard Scenario
+          </Button>
+          <Button variant="contained" onClick={handleApply} disabled={applying || overrideCount === 0}>
+            {applying ? <CircularProgress size={20} /> : `Apply ${overrideCount} Change(s)`}
+          </Button>
+        </Box>
+      </Box>
+      <Box sx={{ height: 'calc(100vh - 350px)', width: '100%' }}>
+        <DataGrid
+          rows={rows}
+          columns={columns}
+          getRowId={(row) => row._id}
+          processRowUpdate={handleProcessRowUpdate}
+          onProcessRowUpdateError={(error) => console.error('Simulation row update failed:', error)}
+          initialState={{ pagination: { paginationModel: { pageSize: 100 } } }}
+          pageSizeOptions={[10, 25, 50, 100]}
+          disableRowSelectionOnClick
+          sx={{
+            '& .header-editable': {
+              backgroundColor: 'rgba(227, 242, 253, 0.9)',
+              fontWeight: 'bold',
+            },
+            '& .cell-editable': {
+              backgroundColor: 'rgba(227, 242, 253, 0.7)',
+              cursor: 'pointer',
+            },
+            '& .cell-overridden': {
+              backgroundColor: 'rgba(255, 229, 102, 0.6)',
+              fontWeight: 'bold',
+              cursor: 'pointer',
+            },
+          }}
+        />
+      </Box>
+    </Box>
+  );
+};
+
+export default ScheduleSimulationPanel;
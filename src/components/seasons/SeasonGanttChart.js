@@ -0,0 +1,237 @@
+import React, { useMemo, useState } from 'react';
+import moment from 'moment';
+import { Box, Typography, ToggleButton, ToggleButtonGroup, Tooltip } from '@mui/material';
+
+const ROW_HEIGHT = 32;
+const HEADER_HEIGHT = 40;
+const LABEL_WIDTH = 260;
+const BAR_HEIGHT = 14;
+const BASELINE_HEIGHT = 4;
+
+// Pixels per day and tick spacing for each zoom level
+const ZOOM_LEVELS = {
+  day: { dayWidth: 32, tickUnit: 'day', tickFormat: 'DD' },
+  week: { dayWidth: 10, tickUnit: 'isoWeek', tickFormat: 'DD-MMM' },
+  month: { dayWidth: 3, tickUnit: 'month', tickFormat: 'MMM-YY' },
+};
+
+// Same palette as the row classes of the season grid
+const BAR_COLORS = {
+  completed: 'rgb(102, 187, 106)',
+  actionable: 'rgb(255, 167, 38)',
+  blocked: 'rgb(229, 115, 115)',
+  pending: 'rgb(176, 170, 164)',
+};
+
+const getBarColor = (task, isTaskActionable) => {
+  if (task.status === 'completed') return BAR_COLORS.completed;
+  if (task.status === 'blocked') return BAR_COLORS.blocked;
+  if (isTaskActionable(task)) return BAR_COLORS.actionable;
+  return BAR_COLORS.pending;
+};
+
+const SeasonGanttChart = ({ tasks, referenceTimeline, isTaskActionable, criticalSchedule, onTaskClick }) => {
+  const [zoom, setZoom] = useState('week');
+  const { dayWidth, tickUnit, tickFormat } = ZOOM_LEVELS[zoom];
+
+  // Overall date range covering planned, baseline and actual dates
+  const range = useMemo(() => {
+    const dates = [];
+    tasks.forEach((task) => {
+      if (task.computedDates?.start) dates.push(moment(task.computedDates.start));
+      if (task.computedDates?.end) dates.push(moment(task.computedDates.end));
+      if (task.actualCompletion) dates.push(moment(task.actualCompletion));
+      const reference = referenceTimeline.get(task._id);
+      if (reference) {
+        dates.push(moment(reference.start), moment(reference.end));
+      }
+    });
+    if (dates.length === 0) return null;
+    return {
+      start: moment.min(dates).startOf('day').subtract(2, 'days'),
+      end: moment.max(dates).startOf('day').add(3, 'days'),
+    };
+  }, [tasks, referenceTimeline]);
+
+  const rowIndexByOrder = useMemo(
+    () => new Map(tasks.map((task, index) => [task.order, index])),
+    [tasks]
+  );
+
+  if (!range) {
+    return <Typography sx={{ p: 2 }}>No scheduled tasks to display.</Typography>;
+  }
+
+  const totalDays = range.end.diff(range.start, 'days');
+  const chartWidth = totalDays * dayWidth;
+  const chartHeight = HEADER_HEIGHT + tasks.length * ROW_HEIGHT;
+  const xOf = (date) => moment(date).diff(range.start, 'hours') / 24 * dayWidth;
+  const yOf = (index) => HEADER_HEIGHT + index * ROW_HEIGHT;
+
+  const ticks = [];
+  for (let tick = moment(range.start).startOf(tickUnit); tick.isBefore(range.end); tick.add(1, tickUnit === 'isoWeek' ? 'week' : tickUnit)) {
+    if (!tick.isBefore(range.start)) ticks.push(moment(tick));
+  }
+
+  const dependencyPaths = [];
+  tasks.forEach((task, index) => {
+    if (!task.computedDates?.start) return;
+    (task.precedingTasks || []).forEach((precedingOrder) => {
+      const fromIndex = rowIndexByOrder.get(precedingOrder);
+      const fromTask = tasks[fromIndex];
+      if (fromIndex === undefined || !fromTask.computedDates?.end) return;
+      const x1 = xOf(fromTask.computedDates.end);
+      const y1 = yOf(fromIndex) + ROW_HEIGHT / 2;
+      const x2 = xOf(task.computedDates.start);
+      const y2 = yOf(index) + ROW_HEIGHT / 2;
+      const elbowX = x1 + 6;
+      dependencyPaths.push({
+        key: `${precedingOrder}-${task.order}`,
+        d: `M ${x1} ${y1} H ${elbowX} V ${y2} H ${x2}`,
+      });
+    });
+  });
+
+  const todayX = xOf(moment().startOf('day'));
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          {Object.entries(BAR_COLORS).map(([label, color]) => (
+            <Box key={label} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <Box sx={{ width: 14, height: 10, backgroundColor: color, borderRadius: 0.5 }} />
+              <Typography variant="caption" sx={{ textTransform: 'capitalize' }}>{label}</Typography>
+            </Box>
+          ))}
+          {criticalSchedule && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <Box sx={{ width: 14, height: 10, border: '2px solid #d32f2f', borderRadius: 0.5 }} />
+              <Typography variant="caption">Critical path</Typography>
+            </Box>
+          )}
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Box sx={{ width: 14, height: BASELINE_HEIGHT, backgroundColor: 'text.secondary' }} />
+            <Typography variant="caption">Timeline reference</Typography>
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Box sx={{ width: 8, height: 8, backgroundColor: 'secondary.main', transform: 'rotate(45deg)' }} />
+            <Typography variant="caption">Actual completion</Typography>
+          </Box>
+        </Box>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={zoom}
+          onChange={(e, value) => value && setZoom(value)}
+        >
+          <ToggleButton value="day">Day</ToggleButton>
+          <ToggleButton value="week">Week</ToggleButton>
+          <ToggleButton value="month">Month</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+      <Box sx={{ display: 'flex', border: '1px solid #e0e0e0', borderRadius: 1, maxHeight: 'calc(100vh - 300px)', overflow: 'auto' }}>
+        {/* Task labels */}
+        <Box sx={{ width: LABEL_WIDTH, flexShrink: 0, position: 'sticky', left: 0, zIndex: 1, backgroundColor: 'background.paper', borderRight: '1px solid #e0e0e0' }}>
+          <Box sx={{ height: HEADER_HEIGHT, borderBottom: '1px solid #e0e0e0' }} />
+          {tasks.map((task) => (
+            <Box
+              key={task._id}
+              onClick={() => onTaskClick(task)}
+              sx={{ height: ROW_HEIGHT, display: 'flex', alignItems: 'center', px: 1, cursor: 'pointer', borderBottom: '1px solid #f0f0f0', '&:hover': { backgroundColor: 'action.hover' } }}
+            >
+              <Typography variant="body2" noWrap sx={{ width: 36, flexShrink: 0, fontWeight: 600, fontVariantNumeric: 'tabular-nums' }}>{task.order}</Typography>
+              <Typography variant="body2" noWrap>{task.name}</Typography>
+            </Box>
+          ))}
+        </Box>
+
+        {/* Timeline */}
+        <svg width={chartWidth} height={chartHeight} style={{ flexShrink: 0, fontFamily: 'inherit' }}>
+          <defs>
+            <marker id="gantt-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#757575" />
+            </marker>
+          </defs>
+
+          {/* Row stripes */}
+          {tasks.map((task, index) => (
+            <rect key={task._id} x={0} y={yOf(index)} width={chartWidth} height={ROW_HEIGHT} fill={index % 2 ? '#fafafa' : '#ffffff'} />
+          ))}
+
+          {/* Axis ticks */}
+          {ticks.map((tick) => (
+            <g key={tick.valueOf()}>
+              <line x1={xOf(tick)} x2={xOf(tick)} y1={HEADER_HEIGHT - 8} y2={chartHeight} stroke="#eeeeee" />
+              <text x={xOf(tick) + 3} y={HEADER_HEIGHT - 14} fontSize={11} fill="#616161">{tick.format(tickFormat)}</text>
+            </g>
+          ))}
+          <line x1={0} x2={chartWidth} y1={HEADER_HEIGHT} y2={HEADER_HEIGHT} stroke="#e0e0e0" />
+
+          {/* Today */}
+          {todayX >= 0 && todayX <= chartWidth && (
+            <line x1={todayX} x2={todayX} y1={HEADER_HEIGHT} y2={chartHeight} stroke="#1976d2" strokeDasharray="4 3" />
+          )}
+
+          {/* Dependencies */}
+          {dependencyPaths.map(({ key, d }) => (
+            <path key={key} d={d} fill="none" stroke="#9e9e9e" strokeWidth={1} markerEnd="url(#gantt-arrow)" />
+          ))}
+
+          {/* Bars */}
+          {tasks.map((task, index) => {
+            const y = yOf(index);
+            const reference = referenceTimeline.get(task._id);
+            const hasDates = task.computedDates?.start && task.computedDates?.end;
+            const barX = hasDates ? xOf(task.computedDates.start) : 0;
+            const barWidth = hasDates ? Math.max(xOf(task.computedDates.end) - barX, 2) : 0;
+            return (
+              <g key={task._id} onClick={() => onTaskClick(task)} style={{ cursor: 'pointer' }}>
+                {reference && (
+                  <rect
+                    x={xOf(reference.start)}
+                    y={y + ROW_HEIGHT - BASELINE_HEIGHT - 4}
+                    width={Math.max(xOf(reference.end) - xOf(reference.start), 2)}
+                    height={BASELINE_HEIGHT}
+                    fill="#757575"
+                    opacity={0.6}
+                  />
+                )}
+                {hasDates && (
+                  <Tooltip
+                    title={`${task.order} - ${task.name}: ${moment(task.computedDates.start).format('DD-MMM-YY')} to ${moment(task.computedDates.end).format('DD-MMM-YY')} (${task.leadTime}d)`}
+                  >
+                    <rect
+                      x={barX}
+                      y={y + 5}
+                      width={barWidth}
+                      height={BAR_HEIGHT}
+                      rx={3}
+                      fill={getBarColor(task, isTaskActionable)}
+                      stroke={criticalSchedule?.get(task._id)?.isCritical ? '#d32f2f' : 'none'}
+                      strokeWidth={2}
+                    />
+                  </Tooltip>
+                )}
+                {task.actualCompletion && (
+                  <Tooltip title={`Completed ${moment(task.actualCompletion).format('DD-MMM-YY')}`}>
+                    <rect
+                      x={xOf(moment(task.actualCompletion).startOf('day')) - 4}
+                      y={y + 5 + BAR_HEIGHT / 2 - 4}
+                      width={8}
+                      height={8}
+                      fill="#dc004e"
+                      transform={`rotate(45 ${xOf(moment(task.actualCompletion).startOf('day'))} ${y + 5 + BAR_HEIGHT / 2})`}
+                    />
+                  </Tooltip>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      </Box>
+    </Box>
+  );
+};
+
+export default SeasonGanttChart;
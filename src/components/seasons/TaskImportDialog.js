@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog, DialogActions, DialogContent, DialogTitle, Button, CircularProgress, Alert, Stepper, Step, StepLabel,
+  Box, Typography, FormControl, InputLabel, Select, MenuItem, Table, TableBody, TableCell, TableContainer, TableHead,
+  TableRow, Chip, LinearProgress
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import seasonService from '../../services/seasonService';
+import departmentService from '../../services/departmentService';
+import taskService from '../../services/taskService';
+import { readSpreadsheet } from '../../utils/spreadsheetImport';
+import { TASK_IMPORT_FIELDS, guessColumnMapping, validateTaskImport } from '../../utils/taskImport';
+import { getRecordVersion } from '../../utils/concurrency';
+import { downloadCsv } from '../../utils/exportFiles';
+
+const STEPS = ['Upload File', 'Map Columns', 'Preview', 'Import'];
+const PREVIEW_ROW_LIMIT = 200;
+
+// New tasks are created after the new tasks they depend on, so the server can resolve them
+const orderForCreation = (items) => {
+  const pending = [...items];
+  const ordered = [];
+  while (pending.length > 0) {
+    const waiting = new Set(pending.map(item => item.task.order));
+    const readyIndex = pending.findIndex(item => !(item.task.precedingTasks || []).some(order => waiting.has(order)));
+    ordered.push(...pending.splice(readyIndex === -1 ? 0 : readyIndex, 1));
+  }
+  return ordered;
+};
+
+const TaskImportDialog = ({ open, onClose, season, tasks, onImported }) => {
+  const [activeStep, setActiveStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [sheet, setSheet] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [departments, setDepartments] = useState([]);
+  const [validation, setValidation] = useState({ valid: [], rejected: [] });
+  const [results, setResults] = useState(null); // { created, updated, failed }
+  const [progress, setProgress] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    setActiveStep(0);
+    setFile(null);
+    setSheet({ headers: [], rows: [] });
+    setMapping({});
+    setValidation({ valid: [], rejected: [] });
+    setResults(null);
+    setProgress(0);
+    setError('');
+    const fetchDepartments = async () => {
+      try {
+        const departmentList = await departmentService.getAllDepartments();
+        setDepartments(departmentList || []);
+      } catch (err) {
+        console.error('Failed to fetch departments for the import:', err);
+        setError('Could not load departments. Responsible departments cannot be checked.');
+      }
+    };
+    fetchDepartments();
+  }, [open]);
+
+  const handleFileChange = async (event) => {
+    const selectedFile = event.target.files[0];
+    event.target.value = ''; // Allow picking the same file again
+    if (!selectedFile) return;
+    setLoading(true);
+    setError('');
+    try {
+      const data = await readSpreadsheet(selectedFile);
+      if (data.rows.length === 0) {
+        setError('The file has no task rows under its header row.');
+        return;
+      }
+      setFile(selectedFile);
+      setSheet(data);
+      setMapping(guessColumnMapping(data.headers));
+    } catch (err) {
+      console.error('Failed to read the import file:', err);
+      setError('Could not read the file. Use an .xlsx workbook or a .csv file.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const missingFields = TASK_IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === '');
+
+  const handleNext = () => {
+    setError('');
+    if (activeStep === 1) {
+      setValidation(validateTaskImport(sheet.rows, mapping, { departments, existingTasks: tasks }));
+    }
+    setActiveStep(prev => prev + 1);
+  };
+
+  const handleImport = async () => {
+    setActiveStep(3);
+    setLoading(true);
+    const outcome = { created: 0, updated: 0, failed: [] };
+    const updates = validation.valid.filter(item => item.existing);
+    const creations = orderForCreation(validation.valid.filter(item => !item.existing));
+    let done = 0;
+
+    for (const item of [...creations, ...updates]) {
+      try {
+        if (item.existing) {
+          await seasonService.updateTaskInSeason(season._id, item.existing._id, item.task, { version: getRecordVersion(item.existing) });
+          outcome.updated++;
+        } else {
+          await taskService.createTask(season._id, {
+            precedingTasks: [],
+            remarks: '',
+            ...item.task,
+            status: 'pending',
+            actualCompletion: null,
+            attachments: [],
+          });
+          outcome.created++;
+        }
+      } catch (err) {
+        console.error(`Failed to import task ${item.task.order}:`, err);
+        const row = sheet.rows.find(candidate => candidate.rowNumber === item.rowNumber);
+        outcome.failed.push({ rowNumber: item.rowNumber, cells: row.cells, reasons: [err.message || 'The server rejected the task.'] });
+      }
+      done++;
+      setProgress((done / validation.valid.length) * 100);
+    }
+
+    setResults(outcome);
+    setLoading(false);
+    if (outcome.created > 0 || outcome.updated > 0) onImported();
+  };
+
+  const downloadRejectedRows = (rejected) => {
+    const columns = [
+      { key: 'rowNumber', label: 'Row' },
+      ...sheet.headers.map((header, index) => ({ key: `column${index}`, label: header || `Column ${index + 1}`, value: (row) => row.cells[index] })),
+      { key: 'reasons', label: 'Error Reasons', value: (row) => row.reasons.join(' ') },
+    ];
+    const baseName = file ? file.name.replace(/\.[^.]+$/, '') : 'task-import';
+    downloadCsv(rejected, columns, `${baseName}-rejected.csv`);
+  };
+
+  const renderUploadStep = () => (
+    <Box sx={{ textAlign: 'center', py: 3 }}>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Pick an .xlsx workbook (first sheet) or a .csv file with one task per row and a header row.
+        Rows whose order matches a task of {season?.name} update that task; the others are added.
+      </Typography>
+      <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={loading}>
+        Choose File
+        <input hidden type="file" accept=".xlsx,.csv" onChange={handleFileChange} />
+      </Button>
+      {loading && <CircularProgress size={24} sx={{ ml: 2, verticalAlign: 'middle' }} />}
+      {file && (
+        <Typography variant="body2" sx={{ mt: 2 }}>
+          {file.name}: {sheet.rows.length} row(s), {sheet.headers.length} column(s)
+        </Typography>
+      )}
+    </Box>
+  );
+
+  const renderMappingStep = () => (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Choose the column that holds each field. Separate several departments or preceding tasks with commas.
+      </Typography>
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 2 }}>
+        {TASK_IMPORT_FIELDS.map(field => (
+          <FormControl key={field.key} size="small" required={field.required} error={field.required && mapping[field.key] === ''}>
+            <InputLabel id={`import-${field.key}-label`}>{field.label}</InputLabel>
+            <Select
+              labelId={`import-${field.key}-label`}
+              label={field.label}
+              value={mapping[field.key] ?? ''}
+              onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+            >
+              <MenuItem value=""><em>Not in file</em></MenuItem>
+              {sheet.headers.map((header, index) => (
+                <MenuItem key={index} value={index}>{header || `Column ${index + 1}`}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        ))}
+      </Box>
+    </Box>
+  );
+
+  const renderRejectedTable = (rejected) => (
+    <TableContainer sx={{ maxHeight: 240 }}>
+      <Table size="small" stickyHeader aria-label="rejected rows">
+        <TableHead>
+          <TableRow>
+            <TableCell>Row</TableCell>
+            <TableCell>Reasons</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rejected.slice(0, PREVIEW_ROW_LIMIT).map(item => (
+            <TableRow key={item.rowNumber}>
+              <TableCell>{item.rowNumber}</TableCell>
+              <TableCell>{item.reasons.join(' ')}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+
+  const renderPreviewStep = () => {
+    const { valid, rejected } = validation;
+    return (
+      <Box>
+        <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+          <Chip color="success" label={`${valid.filter(item => !item.existing).length} new`} />
+          <Chip color="info" label={`${valid.filter(item => item.existing).length} update(s)`} />
+          <Chip color={rejected.length > 0 ? 'error' : 'default'} label={`${rejected.length} rejected`} />
+        </Box>
+        <TableContainer sx={{ maxHeight: 320, mb: 2 }}>
+          <Table size="small" stickyHeader aria-label="import preview">
+            <TableHead>
+              <TableRow>
+                <TableCell>Row</TableCell>
+                <TableCell>Action</TableCell>
+                <TableCell>Order</TableCell>
+                <TableCell>Task Name</TableCell>
+                <TableCell>Responsible</TableCell>
+                <TableCell>Preceding</TableCell>
+                <TableCell align="right">Lead Time</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {valid.slice(0, PREVIEW_ROW_LIMIT).map(({ rowNumber, task, existing }) => (
+                <TableRow key={rowNumber}>
+                  <TableCell>{rowNumber}</TableCell>
+                  <TableCell>{existing ? 'Update' : 'Create'}</TableCell>
+                  <TableCell>{task.order}</TableCell>
+                  <TableCell>{task.name}</TableCell>
+                  <TableCell>{task.responsible.join(', ')}</TableCell>
+                  <TableCell>{(task.precedingTasks ?? existing?.precedingTasks ?? []).join(', ')}</TableCell>
+                  <TableCell align="right">{task.leadTime}d</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        {rejected.length > 0 && (
+          <>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="subtitle2">Rejected rows</Typography>
+              <Button size="small" onClick={() => downloadRejectedRows(rejected)}>Download Rejected Rows</Button>
+            </Box>
+            {renderRejectedTable(rejected)}
+          </>
+        )}
+      </Box>
+    );
+  };
+
+  const renderImportStep = () => {
+    if (!results) {
+      return (
+        <Box sx={{ py: 3 }}>
+          <Typography variant="body2" sx={{ mb: 1 }}>Importing tasks...</Typography>
+          <LinearProgress variant="determinate" value={progress} />
+        </Box>
+      );
+    }
+    const rejected = [...validation.rejected, ...results.failed].sort((a, b) => a.rowNumber - b.rowNumber);
+    return (
+      <Box>
+        <Alert severity={rejected.length > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+          {results.created} task(s) created and {results.updated} updated.
+          {rejected.length > 0 && ` ${rejected.length} row(s) were not imported.`}
+        </Alert>
+        {rejected.length > 0 && (
+          <>
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+              <Button size="small" onClick={() => downloadRejectedRows(rejected)}>Download Rejected Rows</Button>
+            </Box>
+            {renderRejectedTable(rejected)}
+          </>
+        )}
+      </Box>
+    );
+  };
+
+  const stepContent = [renderUploadStep, renderMappingStep, renderPreviewStep, renderImportStep][activeStep];
+
+  return (
+    <Dialog open={open} onClose={loading ? undefined : onClose} fullWidth maxWidth="md">
+      <DialogTitle>Import Tasks from Spreadsheet</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={activeStep} sx={{ mb: 3, mt: 1 }}>
+          {STEPS.map(label => <Step key={label}><StepLabel>{label}</StepLabel></Step>)}
+        </Stepper>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {stepContent()}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={loading}>{results ? 'Close' : 'Cancel'}</Button>
+        {activeStep > 0 && activeStep < 3 && (
+          <Button onClick={() => setActiveStep(prev => prev - 1)}>Back</Button>
+        )}
+        {activeStep < 2 && (
+          <Button
+            variant="contained"
+            onClick={handleNext}
+            disabled={!file || loading || (activeStep === 1 && missingFields.length > 0)}
+          >
+            Next
+          </Button>
+        )}
+        {activeStep === 2 && (
+          <Button variant="contained" onClick={handleImport} disabled={validation.valid.length === 0}>
+            Import {validation.valid.length} Task(s)
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TaskImportDialog;
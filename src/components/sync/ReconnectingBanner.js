@@ -0,0 +1,23 @@
+import React, { useState, useEffect } from 'react';
+import { Alert, LinearProgress, Box } from '@mui/material';
+import { subscribeToReconnecting } from '../../services/api';
+
+// Shown while failed requests are being retried, so a slow network is not mistaken for a frozen page
+const ReconnectingBanner = () => {
+  const [reconnecting, setReconnecting] = useState(false);
+
+  useEffect(() => subscribeToReconnecting(setReconnecting), []);
+
+  if (!reconnecting) return null;
+
+  return (
+    <Box sx={{ position: 'sticky', top: 0, zIndex: (theme) => theme.zIndex.appBar }} role="status">
+      <Alert severity="warning" variant="filled" sx={{ borderRadius: 0, py: 0 }}>
+        Connection problem, reconnecting…
+      </Alert>
+      <LinearProgress color="warning" />
+    </Box>
+  );
+};
+
+export default ReconnectingBanner;
@@ -0,0 +1,104 @@
+import React from 'react';
+import moment from 'moment';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Dialog, DialogActions, DialogContent, DialogTitle, Button, CircularProgress, Chip, Typography, Link, IconButton,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import PublishIcon from '@mui/icons-material/Publish';
+import { useSyncQueue } from '../../contexts/SyncQueueContext';
+
+const STATUS_CHIPS = {
+  queued: { label: 'Pending sync', color: 'info' },
+  conflict: { label: 'Conflict', color: 'warning' },
+  failed: { label: 'Failed', color: 'error' },
+};
+
+const describePayload = (payload) => {
+  const changes = [];
+  if ('actualCompletion' in payload) {
+    changes.push(payload.actualCompletion
+      ? `Completion: ${moment(payload.actualCompletion).format('DD-MMM-YY')}`
+      : 'Completion cleared');
+  }
+  if ('remarks' in payload) changes.push('Remarks updated');
+  return changes.join(', ') || 'Task updated';
+};
+
+const SyncQueueDialog = ({ open, onClose }) => {
+  const { queue, isSyncing, syncNow, discardUpdate, clearQueue } = useSyncQueue();
+
+  const handleClearQueue = () => {
+    if (window.confirm('Discard all task updates that have not been synced yet?')) {
+      clearQueue();
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>Pending Sync</DialogTitle>
+      <DialogContent dividers>
+        {queue.length === 0 ? (
+          <Typography variant="body2">All task updates are synced.</Typography>
+        ) : (
+          <TableContainer sx={{ maxHeight: 420 }}>
+            <Table size="small" stickyHeader aria-label="sync queue table">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Season</TableCell>
+                  <TableCell>Task</TableCell>
+                  <TableCell>Change</TableCell>
+                  <TableCell>Queued</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {queue.map(entry => (
+                  <TableRow key={entry.id}>
+                    <TableCell>
+                      <Link component={RouterLink} to={`/seasons/${entry.seasonId}`} onClick={onClose}>{entry.seasonName}</Link>
+                    </TableCell>
+                    <TableCell>{entry.taskOrder} - {entry.taskName}</TableCell>
+                    <TableCell>{describePayload(entry.payload)}</TableCell>
+                    <TableCell>{moment(entry.queuedAt).format('DD-MMM-YY HH:mm')}</TableCell>
+                    <TableCell>
+                      <Chip size="small" {...STATUS_CHIPS[entry.status]} />
+                      {entry.message && (
+                        <Typography variant="caption" component="div" sx={{ color: 'text.secondary' }}>{entry.message}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      {entry.status !== 'queued' && (
+                        <IconButton size="small" title="Send anyway and overwrite the server" onClick={() => syncNow([entry.id])} disabled={isSyncing}>
+                          <PublishIcon fontSize="small" />
+                        </IconButton>
+                      )}
+                      <IconButton size="small" title="Discard this update" onClick={() => discardUpdate(entry.id)} disabled={isSyncing}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button color="error" onClick={handleClearQueue} disabled={isSyncing || queue.length === 0}>
+          Clear Queue
+        </Button>
+        <Button onClick={() => syncNow()} disabled={isSyncing || queue.length === 0}>
+          {isSyncing ? <CircularProgress size={20} /> : 'Sync Now'}
+        </Button>
+        <Button onClick={onClose} color="secondary">
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SyncQueueDialog;
@@ -1,6 +1,8 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import api from '../services/api';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import api, { subscribeToSession, refreshSession, storeTokens, clearTokens, toApiError } from '../services/api';
 import { jwtDecode } from 'jwt-decode'; // Corrected import name
+import { clearQueryCache, invalidateQueries, queryKeys } from '../services/queryCache';
 
 const AuthContext = createContext(null);
 
@@ -11,28 +13,65 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      try {
-        const decodedUser = jwtDecode(token);
-        // Check if token is expired
-        const currentTime = Date.now() / 1000;
-        if (decodedUser.exp < currentTime) {
-          localStorage.removeItem('token');
+    const restoreSession = async () => {
+      const token = localStorage.getItem('token');
+      if (token) {
+        try {
+          const decodedUser = jwtDecode(token);
+          // Check if token is expired
+          const currentTime = Date.now() / 1000;
+          if (decodedUser.exp < currentTime) {
+            // An expired token can still be renewed while the refresh token is valid
+            const refreshedToken = await refreshSession();
+            setUser(jwtDecode(refreshedToken));
+          } else {
+            setUser(decodedUser); 
+            // Optionally, set the token in api headers again if page reloads
+            // and api instance is re-created without the interceptor immediately active
+            api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+          }
+        } catch (error) {
+          console.error('Failed to restore session:', error);
+          clearTokens();
           setUser(null);
-        } else {
-          setUser(decodedUser); 
-          // Optionally, set the token in api headers again if page reloads
-          // and api instance is re-created without the interceptor immediately active
-          api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
         }
-      } catch (error) {
-        console.error('Failed to decode token:', error);
-        localStorage.removeItem('token');
-        setUser(null);
       }
+      setLoading(false);
+    };
+    restoreSession();
+  }, []);
+
+  const logout = useCallback(() => {
+    clearTokens();
+    clearQueryCache();
+    setUser(null);
+    delete api.defaults.headers.common['Authorization'];
+  }, []);
+
+  // Silent refreshes by the api interceptors update the user; a failed one ends the session.
+  // ProtectedRoute then sends the user to /login with the current location in `state.from`.
+  useEffect(() => subscribeToSession((event) => {
+    if (event.type === 'refreshed') {
+      api.defaults.headers.common['Authorization'] = `Bearer ${event.token}`;
+      setUser(jwtDecode(event.token));
+    } else if (event.type === 'expired') {
+      // Several requests can fail at once; only the first one still finds a token to clear
+      if (localStorage.getItem('token')) {
+        toast.warning('Your session has expired. Please log in again.', { toastId: 'session-expired' });
+      }
+      logout();
+    }
+  }), [logout]);
+
+  // Renews the session before it expires; used by the expiry warning dialog
+  const extendSession = useCallback(async () => {
+    try {
+      await refreshSession();
+      return true;
+    } catch (error) {
+      console.error('Failed to extend session:', error.response?.data?.message || error.message);
+      return false;
     }
-    setLoading(false);
   }, []);
 
   const login = async (username, password) => {
@@ -40,14 +79,14 @@ export const AuthProvider = ({ children }) => {
       // The backend expects the field to be `usernameOrEmail`
       const response = await api.post('/auth/login', { usernameOrEmail: username, password });
       const { token } = response.data;
-      localStorage.setItem('token', token);
+      storeTokens(response.data); // The access token and, when the server issues one, the refresh token
       const decodedUser = jwtDecode(token);
       setUser(decodedUser);
       api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
       return { success: true };
     } catch (error) {
       console.error('Login failed:', error.response?.data?.message || error.message);
-      return { success: false, message: error.response?.data?.message || 'Login failed' };
+      return { success: false, message: toApiError(error, 'Login failed').message };
     }
   };
 
@@ -55,28 +94,24 @@ export const AuthProvider = ({ children }) => {
     try {
       // Backend /auth/register is already protected and expects admin privileges
       const response = await api.post('/auth/register', userData);
+      invalidateQueries(queryKeys.users());
       // The response might contain the newly created user object or a success message
       // For now, let's assume it returns the new user, which can be useful for UI updates
       return response.data; // Or response.data.user if the user object is nested
     } catch (error) {
       console.error('Admin user registration failed:', error.response?.data?.message || error.message);
-      // Re-throw the error to be caught by the calling component (RegisterUserForm)
-      // This allows the form to display specific error messages from the backend
-      throw error.response?.data || new Error('Admin user registration failed');
+      // The ApiError carries the backend's message, so RegisterUserForm can display it
+      throw toApiError(error, 'Admin user registration failed');
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setUser(null);
-    delete api.defaults.headers.common['Authorization'];
-  };
-
   const value = {
     user,
     isAuthenticated: !!user,
     login,
     logout,
+    extendSession,
+    sessionExpiresAt: user?.exp ? user.exp * 1000 : null,
     adminRegisterUser, // Added adminRegisterUser
     loading,
   };
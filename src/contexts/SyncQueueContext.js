@@ -0,0 +1,170 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { toast } from 'react-toastify';
+import seasonService from '../services/seasonService';
+import { useAuth } from './AuthContext';
+import {
+  getQueuedUpdates, addQueuedUpdate, putQueuedUpdate, deleteQueuedUpdate, clearQueuedUpdates,
+  captureBaseline, findConflictingFields, getQueueOwner, isNetworkError
+} from '../utils/offlineQueue';
+import { getRecordVersion } from '../utils/concurrency';
+
+const RETRY_INTERVAL_MS = 30000;
+
+const SyncQueueContext = createContext(null);
+
+export const useSyncQueue = () => useContext(SyncQueueContext);
+
+export const SyncQueueProvider = ({ children }) => {
+  const { user, isAuthenticated } = useAuth();
+  // Only the logged-in user's edits are shown and replayed; others wait for their owner to log in
+  const userId = getQueueOwner(user);
+  const [queue, setQueue] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const syncingRef = useRef(false);
+
+  const refreshQueue = useCallback(async () => {
+    if (!userId) {
+      setQueue([]);
+      return;
+    }
+    try {
+      setQueue(await getQueuedUpdates(userId));
+    } catch (error) {
+      console.error('Failed to read the offline sync queue:', error);
+    }
+  }, [userId]);
+
+  const queueTaskUpdate = useCallback(async ({ season, task, payload }) => {
+    await addQueuedUpdate({
+      userId,
+      seasonId: season._id,
+      seasonName: season.name,
+      taskId: task._id,
+      taskOrder: task.order,
+      taskName: task.name,
+      payload,
+      baseline: captureBaseline(task, payload),
+    });
+    await refreshQueue();
+  }, [userId, refreshQueue]);
+
+  // Replays queued updates in the order they were made. A task whose entry conflicts or
+  // fails keeps its later entries queued, so edits to one task are never applied out of order.
+  const syncNow = useCallback(async (forcedIds = []) => {
+    if (syncingRef.current || !isAuthenticated || !userId) return;
+    syncingRef.current = true;
+    setIsSyncing(true);
+    const forced = new Set(forcedIds);
+    const serverTasksBySeason = new Map();
+    const heldTasks = new Set();
+    let syncedCount = 0;
+
+    try {
+      const entries = await getQueuedUpdates(userId);
+      for (const entry of entries) {
+        if (heldTasks.has(entry.taskId)) continue;
+        if (entry.status !== 'queued' && !forced.has(entry.id)) {
+          heldTasks.add(entry.taskId);
+          continue;
+        }
+        try {
+          // An overwrite is sent without a version so the server accepts it regardless
+          let serverTask = null;
+          if (!forced.has(entry.id)) {
+            if (!serverTasksBySeason.has(entry.seasonId)) {
+              const data = await seasonService.getSeasonById(entry.seasonId);
+              serverTasksBySeason.set(entry.seasonId, data.tasks || []);
+            }
+            serverTask = serverTasksBySeason.get(entry.seasonId).find(task => task._id === entry.taskId);
+            const conflictingFields = serverTask ? findConflictingFields(entry.baseline, serverTask) : [];
+            if (!serverTask || conflictingFields.length > 0) {
+              await putQueuedUpdate({
+                ...entry,
+                status: 'conflict',
+                message: serverTask
+                  ? `Changed on the server since your edit: ${conflictingFields.join(', ')}.`
+                  : 'The task no longer exists on the server.',
+              });
+              heldTasks.add(entry.taskId);
+              continue;
+            }
+          }
+          const response = await seasonService.updateTaskInSeason(entry.seasonId, entry.taskId, entry.payload, {
+            version: getRecordVersion(serverTask),
+          });
+          if (response?.tasks) {
+            serverTasksBySeason.set(entry.seasonId, response.tasks);
+          }
+          await deleteQueuedUpdate(entry.id);
+          syncedCount++;
+        } catch (error) {
+          if (isNetworkError(error)) {
+            break; // Still offline; try again later
+          }
+          console.error(`Failed to sync queued update for task ${entry.taskOrder}:`, error);
+          await putQueuedUpdate({
+            ...entry,
+            status: error.isConflict ? 'conflict' : 'failed',
+            message: error.message || 'The server rejected this update.',
+          });
+          heldTasks.add(entry.taskId);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to replay the offline sync queue:', error);
+    } finally {
+      syncingRef.current = false;
+      setIsSyncing(false);
+      await refreshQueue();
+      if (syncedCount > 0) {
+        setLastSyncedAt(Date.now());
+        toast.success(`Synced ${syncedCount} queued task update(s).`);
+      }
+    }
+  }, [isAuthenticated, userId, refreshQueue]);
+
+  const discardUpdate = useCallback(async (id) => {
+    await deleteQueuedUpdate(id);
+    await refreshQueue();
+  }, [refreshQueue]);
+
+  const clearQueue = useCallback(async () => {
+    await clearQueuedUpdates(userId);
+    await refreshQueue();
+  }, [userId, refreshQueue]);
+
+  useEffect(() => {
+    refreshQueue();
+  }, [refreshQueue]);
+
+  const hasQueuedUpdates = queue.some(entry => entry.status === 'queued');
+
+  // Replay when the browser reports the connection is back, and poll while updates are
+  // waiting because a connected network does not guarantee the server is reachable.
+  useEffect(() => {
+    if (!hasQueuedUpdates || !isAuthenticated) return undefined;
+    const handleOnline = () => syncNow();
+    window.addEventListener('online', handleOnline);
+    const interval = setInterval(() => {
+      if (navigator.onLine) syncNow();
+    }, RETRY_INTERVAL_MS);
+    if (navigator.onLine) syncNow();
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      clearInterval(interval);
+    };
+  }, [hasQueuedUpdates, isAuthenticated, syncNow]);
+
+  const value = {
+    queue,
+    isSyncing,
+    lastSyncedAt,
+    queueTaskUpdate,
+    syncNow,
+    discardUpdate,
+    clearQueue,
+  };
+
+  return <SyncQueueContext.Provider value={value}>{children}</SyncQueueContext.Provider>;
+};
@@ -0,0 +1,43 @@
+import { useState, useEffect, useRef } from 'react';
+import { getQueryData, subscribeToQuery } from '../services/queryCache';
+
+/**
+ * Reads a cached query with stale-while-revalidate: data cached by an earlier
+ * page is shown at once while `queryFn` checks it with the server, and later
+ * refetches (e.g. after another page changes the data) update it in place.
+ * @param {Array} key - From queryKeys; must be the key `queryFn` caches under.
+ * @param {Function} queryFn - A service read, called with { signal }.
+ * @returns {{ data: *, loading: boolean, error: Error|null }} `loading` is only true while nothing is cached.
+ */
+export const useQuery = (key, queryFn) => {
+  const keyHash = JSON.stringify(key);
+  const [data, setData] = useState(() => getQueryData(key));
+  const [loading, setLoading] = useState(data === undefined);
+  const [error, setError] = useState(null);
+  const queryFnRef = useRef(queryFn);
+  queryFnRef.current = queryFn;
+
+  useEffect(() => {
+    const queryKey = JSON.parse(keyHash);
+    const controller = new AbortController();
+    const cached = getQueryData(queryKey);
+    setData(cached);
+    setLoading(cached === undefined);
+    setError(null);
+    const unsubscribe = subscribeToQuery(queryKey, setData);
+    queryFnRef.current({ signal: controller.signal })
+      .then(setData)
+      .catch((err) => {
+        if (!err.isCanceled) setError(err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => {
+      controller.abort();
+      unsubscribe();
+    };
+  }, [keyHash]);
+
+  return { data, loading, error };
+};
@@ -0,0 +1,19 @@
+import { useRef, useEffect, useCallback } from 'react';
+
+/**
+ * Hands out AbortSignals for a component's requests. Each call aborts the request
+ * started by the previous call, and unmounting aborts whatever is still in flight,
+ * so a page that is left stops loading (and retrying) its data.
+ * @returns {Function} Returns a fresh AbortSignal.
+ */
+export const useRequestSignal = () => {
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = new AbortController();
+    return controllerRef.current.signal;
+  }, []);
+};
@@ -8,6 +8,7 @@ import 'react-toastify/dist/ReactToastify.css';
 
 import App from './App';
 import { AuthProvider } from './contexts/AuthContext';
+import { SyncQueueProvider } from './contexts/SyncQueueContext';
 import theme from './theme';
 import reportWebVitals from './reportWebVitals';
 import './index.css'; // Keep global styles if any, or move to App.css
@@ -17,6 +18,7 @@ root.render(
   <React.StrictMode>
     <BrowserRouter>
       <AuthProvider>
+        <SyncQueueProvider>
         <ThemeProvider theme={theme}>
           <CssBaseline />
           <App />
@@ -33,6 +35,7 @@ root.render(
             theme="colored"
           />
         </ThemeProvider>
+        </SyncQueueProvider>
       </AuthProvider>
     </BrowserRouter>
   </React.StrictMode>
@@ -1,17 +1,24 @@
 import React from 'react';
 import { Outlet, useNavigate, Link as RouterLink } from 'react-router-dom'; // Added Link as RouterLink
 import { useAuth } from '../contexts/AuthContext';
+import { useSyncQueue } from '../contexts/SyncQueueContext';
 import {
-  AppBar, Toolbar, Typography, Box, Container, IconButton, Menu, MenuItem, Avatar
+  AppBar, Toolbar, Typography, Box, Container, IconButton, Menu, MenuItem, Avatar, Badge
 } from '@mui/material';
 // import MenuIcon from '@mui/icons-material/Menu'; // Example for a potential sidebar toggle - removed as unused
 import AccountCircle from '@mui/icons-material/AccountCircle';
 import backgroundImage from '../public/low-poly-grid-haikei.svg';
+import SyncQueueDialog from '../components/sync/SyncQueueDialog';
+import NotificationBell from '../components/notifications/NotificationBell';
+import SessionExpiryDialog from '../components/auth/SessionExpiryDialog';
+import ReconnectingBanner from '../components/sync/ReconnectingBanner';
 
 const MainLayout = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
   const [anchorEl, setAnchorEl] = React.useState(null);
+  const [syncQueueOpen, setSyncQueueOpen] = React.useState(false);
+  const { queue } = useSyncQueue();
 
   const handleMenu = (event) => {
     setAnchorEl(event.currentTarget);
@@ -32,6 +39,11 @@ const MainLayout = () => {
     handleClose();
   };
 
+  const handleOpenSyncQueue = () => {
+    setSyncQueueOpen(true);
+    handleClose();
+  };
+
   return (
     <Box sx={{ display: 'flex', flexDirection: 'column', minHeight: '100vh',
       width: '100%',
@@ -55,6 +67,7 @@ const MainLayout = () => {
           </Typography>
           {user && (
             <div style={{ display: 'flex', alignItems: 'center' }}>
+              <NotificationBell />
               <Typography variant="subtitle1" sx={{ mr: 1, color: 'inherit' }}>
                 {user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : user.username || 'User'}
               </Typography>
@@ -66,9 +79,11 @@ const MainLayout = () => {
                 onClick={handleMenu}
                 color="inherit"
               >
-                <Avatar sx={{ bgcolor: 'secondary.main', width: 32, height: 32 }}>
-                  {user.username ? user.username.charAt(0).toUpperCase() : <AccountCircle />}
-                </Avatar>
+                <Badge badgeContent={queue.length} color="warning" overlap="circular">
+                  <Avatar sx={{ bgcolor: 'secondary.main', width: 32, height: 32 }}>
+                    {user.username ? user.username.charAt(0).toUpperCase() : <AccountCircle />}
+                  </Avatar>
+                </Badge>
               </IconButton>
               <Menu
                 id="menu-appbar"
@@ -85,6 +100,9 @@ const MainLayout = () => {
                 open={Boolean(anchorEl)}
                 onClose={handleClose}
               >
+                <MenuItem component={RouterLink} to="/my-tasks" onClick={handleClose}>
+                  My Tasks
+                </MenuItem>
                 <MenuItem onClick={handleChangePassword}>Change Password</MenuItem>
                                 {user && user.role === 'Admin' && (
                   <MenuItem component={RouterLink} to="/admin" onClick={handleClose}>
@@ -96,12 +114,28 @@ const MainLayout = () => {
                     Planner Dashboard
                   </MenuItem>
                 )}
+                {user && (user.role === 'Planner' || user.role === 'Admin') && (
+                  <MenuItem component={RouterLink} to="/workload" onClick={handleClose}>
+                    Department Workload
+                  </MenuItem>
+                )}
+                {user && (user.role === 'Planner' || user.role === 'Admin') && (
+                  <MenuItem component={RouterLink} to="/analytics" onClick={handleClose}>
+                    Season Analytics
+                  </MenuItem>
+                )}
+                <MenuItem onClick={handleOpenSyncQueue}>
+                  Pending Sync ({queue.length})
+                </MenuItem>
                 <MenuItem onClick={handleLogout}>Logout</MenuItem>
               </Menu>
+              <SyncQueueDialog open={syncQueueOpen} onClose={() => setSyncQueueOpen(false)} />
+              <SessionExpiryDialog />
             </div>
           )}
         </Toolbar>
       </AppBar>
+      <ReconnectingBanner />
       
       {/* Sidebar could be added here if needed */}
       
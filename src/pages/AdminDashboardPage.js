@@ -17,6 +17,9 @@ import BuyerList from '../components/admin/BuyerList';
 import UserList from '../components/admin/UserList'; // Import UserList
 import CreateTaskTemplateForm from '../components/admin/CreateTaskTemplateForm';
 import TaskTemplateList from '../components/admin/TaskTemplateList';
+import TaskTemplateDependencyGraph from '../components/admin/TaskTemplateDependencyGraph';
+import WorkingCalendarForm from '../components/admin/WorkingCalendarForm';
+import LeadTimeLearningReport from '../components/admin/LeadTimeLearningReport';
 
 // Placeholder components for admin actions - will be developed later
 
@@ -56,6 +59,36 @@ const AdminDashboardPage = () => {
     setOpenUserListModal(false);
   };
 
+  const [openCalendarModal, setOpenCalendarModal] = useState(false);
+
+  const handleOpenCalendarModal = () => {
+    setOpenCalendarModal(true);
+  };
+
+  const handleCloseCalendarModal = () => {
+    setOpenCalendarModal(false);
+  };
+
+  const [openLeadTimeReportModal, setOpenLeadTimeReportModal] = useState(false);
+
+  const handleOpenLeadTimeReportModal = () => {
+    setOpenLeadTimeReportModal(true);
+  };
+
+  const handleCloseLeadTimeReportModal = () => {
+    setOpenLeadTimeReportModal(false);
+  };
+
+  const [openDependencyGraphModal, setOpenDependencyGraphModal] = useState(false);
+
+  const handleOpenDependencyGraphModal = () => {
+    setOpenDependencyGraphModal(true);
+  };
+
+  const handleCloseDependencyGraphModal = () => {
+    setOpenDependencyGraphModal(false);
+  };
+
   return (
     <Box sx={{ flexGrow: 1 }}>
       <Typography variant="h4" gutterBottom sx={{ mb: 3 }}>
@@ -100,6 +133,21 @@ const AdminDashboardPage = () => {
           </Paper>
         </Grid>
 
+        {/* Working calendar used for lead-time calculations */}
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 2, mt: 3 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Typography variant="h6">Manage Working Calendar</Typography>
+              <Button variant="contained" color="success" onClick={handleOpenCalendarModal}>
+                Edit Working Calendar
+              </Button>
+            </Box>
+            <Typography variant="body2" color="text.secondary">
+              Weekly rest days and holidays are skipped when lead times are added to task dates.
+            </Typography>
+          </Paper>
+        </Grid>
+
         {/* Row 3: Create Task Form (placeholder, might be removed or repurposed) */}
         {/* <Grid item xs={12}>
           <Grid container spacing={3}>
@@ -114,7 +162,17 @@ const AdminDashboardPage = () => {
         {/* Row 4: Create Task Template Form */}
         <Grid item xs={12}>
           <Paper sx={{ p: 3, mt: 3 }}>
-            <Typography variant="h6" gutterBottom>Manage Task Templates</Typography>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Typography variant="h6">Manage Task Templates</Typography>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button variant="outlined" color="success" onClick={handleOpenLeadTimeReportModal}>
+                  Lead-time Learning
+                </Button>
+                <Button variant="contained" color="success" onClick={handleOpenDependencyGraphModal}>
+                  View Dependency Graph
+                </Button>
+              </Box>
+            </Box>
             <CreateTaskTemplateForm onTemplateCreated={() => taskListRef.current?.refresh()} />
             <TaskTemplateList ref={taskListRef} />
           </Paper>
@@ -144,6 +202,39 @@ const AdminDashboardPage = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Working Calendar Modal */}
+      <Dialog open={openCalendarModal} onClose={handleCloseCalendarModal} fullWidth maxWidth="md">
+        <DialogTitle>Working Calendar</DialogTitle>
+        <DialogContent>
+          <WorkingCalendarForm onSaved={handleCloseCalendarModal} />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseCalendarModal}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Task Template Dependency Graph Modal */}
+      <Dialog open={openDependencyGraphModal} onClose={handleCloseDependencyGraphModal} fullWidth maxWidth="xl">
+        <DialogTitle>Task Template Dependencies</DialogTitle>
+        <DialogContent>
+          <TaskTemplateDependencyGraph onSaved={() => taskListRef.current?.refresh()} />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseDependencyGraphModal}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Lead-time Learning Modal */}
+      <Dialog open={openLeadTimeReportModal} onClose={handleCloseLeadTimeReportModal} fullWidth maxWidth="lg">
+        <DialogTitle>Lead-time Learning from Closed Seasons</DialogTitle>
+        <DialogContent>
+          <LeadTimeLearningReport onTemplateUpdated={() => taskListRef.current?.refresh()} />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleCloseLeadTimeReportModal}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
       {/* User List Modal */}
       <Dialog open={openUserListModal} onClose={handleCloseUserListModal} fullWidth maxWidth="lg"> {/* Changed maxWidth to lg for more space */}
         <DialogTitle>User List</DialogTitle>
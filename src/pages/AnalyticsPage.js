@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import moment from 'moment';
+import {
+  Typography, Paper, CircularProgress, Alert, Box, Grid, TextField, FormControl, InputLabel, Select, MenuItem, LinearProgress
+} from '@mui/material';
+import seasonService from '../services/seasonService';
+import buyerService from '../services/buyerService';
+import calendarService from '../services/calendarService';
+import KpiBarChart from '../components/analytics/KpiBarChart';
+import { calculateSeasonKpis, calculateLeadTimeAccuracy } from '../utils/analytics';
+import { createWorkingCalendar, hasNonWorkingDays } from '../utils/workingCalendar';
+
+const SEASON_LIMIT = 1000;
+// Season details are loaded a few at a time so a wide filter does not flood the server
+const TASK_FETCH_BATCH_SIZE = 5;
+const SEASON_STATUSES = ['Open', 'Closed', 'On-Hold', 'Canceled'];
+
+const formatDays = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}d`;
+const formatPercent = (value) => `${value.toFixed(0)}%`;
+const toPercent = (rate) => (rate === null ? null : rate * 100);
+const formatRate = (rate) => (rate === null ? '-' : formatPercent(rate * 100));
+
+const slippageColor = ({ value }) => (value > 0 ? '#d32f2f' : '#2e7d32');
+const onTimeColor = ({ value }) => {
+  if (value >= 90) return '#2e7d32';
+  if (value >= 70) return '#f9a825';
+  return '#d32f2f';
+};
+
+const SLIPPAGE_CSV_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'completedCount', label: 'Completed Tasks' },
+  { key: 'lateCount', label: 'Late Tasks' },
+  { key: 'onTimeRate', label: 'On-time Rate (%)', value: (row) => (row.onTimeRate === null ? '' : (row.onTimeRate * 100).toFixed(1)) },
+  { key: 'averageDateSpend', label: 'Average Date Spend (days)', value: (row) => row.averageDateSpend?.toFixed(2) ?? '' },
+  { key: 'averageDaysLate', label: 'Average Days Late', value: (row) => row.averageDaysLate?.toFixed(2) ?? '' },
+];
+
+const LEAD_TIME_CSV_COLUMNS = [
+  { key: 'name', label: 'Task Template' },
+  { key: 'sampleCount', label: 'Completed Tasks' },
+  { key: 'plannedLeadTime', label: 'Planned Lead Time (days)', value: (row) => row.plannedLeadTime.toFixed(1) },
+  { key: 'averageDuration', label: 'Average Actual Duration (days)', value: (row) => row.averageDuration.toFixed(1) },
+  { key: 'averageDeviation', label: 'Average Deviation (days)', value: (row) => row.averageDeviation.toFixed(2) },
+  { key: 'onTargetRate', label: 'Within 1 Day (%)', value: (row) => (row.onTargetRate * 100).toFixed(1) },
+];
+
+const getSeasonDate = (season) => season.startDate || season.createdAt;
+
+const StatCard = ({ label, value, caption }) => (
+  <Paper sx={{ p: 2, height: '100%' }}>
+    <Typography variant="overline" color="text.secondary">{label}</Typography>
+    <Typography variant="h4">{value}</Typography>
+    {caption && <Typography variant="caption" color="text.secondary">{caption}</Typography>}
+  </Paper>
+);
+
+const AnalyticsPage = () => {
+  const [seasonList, setSeasonList] = useState([]);
+  const [tasksBySeason, setTasksBySeason] = useState({}); // seasonId -> tasks
+  const [buyers, setBuyers] = useState([]);
+  const [workingCalendar, setWorkingCalendar] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingTasks, setLoadingTasks] = useState(false);
+  const [error, setError] = useState('');
+  const [fromDate, setFromDate] = useState(moment().subtract(1, 'year').format('YYYY-MM-DD'));
+  const [toDate, setToDate] = useState('');
+  const [buyerId, setBuyerId] = useState('');
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    const fetchInitialData = async () => {
+      try {
+        const [seasonsResponse, buyerList] = await Promise.all([
+          seasonService.getAllSeasons({ limit: SEASON_LIMIT }),
+          buyerService.getAllBuyers(),
+        ]);
+        setSeasonList(seasonsResponse.seasons || []);
+        setBuyers(buyerList || []);
+      } catch (err) {
+        console.error('Error fetching analytics data:', err);
+        setError(err.message || 'Failed to fetch seasons.');
+      } finally {
+        setLoading(false);
+      }
+      // Without a calendar the figures count calendar days
+      try {
+        const calendar = await calendarService.getCalendar();
+        setWorkingCalendar(hasNonWorkingDays(calendar) ? createWorkingCalendar(calendar) : null);
+      } catch (err) {
+        console.error('Failed to load the working calendar:', err);
+      }
+    };
+    fetchInitialData();
+  }, []);
+
+  const filteredSeasons = useMemo(() => seasonList.filter(season => {
+    const seasonDate = moment(getSeasonDate(season));
+    if (fromDate && seasonDate.isBefore(moment(fromDate), 'day')) return false;
+    if (toDate && seasonDate.isAfter(moment(toDate), 'day')) return false;
+    if (buyerId && (season.buyer?._id || season.buyer) !== buyerId) return false;
+    if (status && season.status !== status) return false;
+    return true;
+  }), [seasonList, fromDate, toDate, buyerId, status]);
+
+  // Tasks are loaded per season the first time a filter includes it, one batch per run;
+  // storing a batch runs the effect again for the next one
+  useEffect(() => {
+    const missing = filteredSeasons.filter(season => !tasksBySeason[season._id]).slice(0, TASK_FETCH_BATCH_SIZE);
+    if (missing.length === 0) {
+      setLoadingTasks(false);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const { signal } = controller;
+    const fetchTasks = async () => {
+      setLoadingTasks(true);
+      try {
+        const details = await Promise.all(missing.map(season => seasonService.getSeasonById(season._id, { signal })));
+        if (signal.aborted) return;
+        setTasksBySeason(prev => ({
+          ...prev,
+          ...Object.fromEntries(details.map((data, index) => [missing[index]._id, data.tasks || []])),
+        }));
+      } catch (err) {
+        if (!signal.aborted) {
+          setError(err.message || 'Failed to fetch season tasks.');
+          setLoadingTasks(false);
+        }
+      }
+    };
+    fetchTasks();
+    return () => controller.abort();
+  }, [filteredSeasons, tasksBySeason]);
+
+  const seasonsWithTasks = useMemo(() => filteredSeasons
+    .filter(season => tasksBySeason[season._id])
+    .map(season => ({ season, tasks: tasksBySeason[season._id] })), [filteredSeasons, tasksBySeason]);
+
+  const kpis = useMemo(() => calculateSeasonKpis(seasonsWithTasks, { calendar: workingCalendar }), [seasonsWithTasks, workingCalendar]);
+  const leadTimeAccuracy = useMemo(
+    () => calculateLeadTimeAccuracy(seasonsWithTasks, { calendar: workingCalendar }),
+    [seasonsWithTasks, workingCalendar]
+  );
+
+  const toSlippageData = (groups) => groups.map(group => ({ ...group, label: group.name, value: group.averageDateSpend }));
+  const filenameSuffix = moment().format('YYYYMMDD');
+
+  if (loading) {
+    return <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}><CircularProgress /></Box>;
+  }
+
+  return (
+    <Box sx={{ pb: 4 }}>
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Typography variant="h5" component="h1" gutterBottom>Season Analytics</Typography>
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+          <TextField
+            label="Season start from"
+            type="date"
+            size="small"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="Season start to"
+            type="date"
+            size="small"
+            value={toDate}
+            onChange={(e) => setToDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel id="analytics-buyer-label">Buyer</InputLabel>
+            <Select labelId="analytics-buyer-label" label="Buyer" value={buyerId} onChange={(e) => setBuyerId(e.target.value)}>
+              <MenuItem value="">All buyers</MenuItem>
+              {buyers.map(buyer => <MenuItem key={buyer._id} value={buyer._id}>{buyer.name}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel id="analytics-status-label">Season Status</InputLabel>
+            <Select labelId="analytics-status-label" label="Season Status" value={status} onChange={(e) => setStatus(e.target.value)}>
+              <MenuItem value="">All statuses</MenuItem>
+              {SEASON_STATUSES.map(option => <MenuItem key={option} value={option}>{option}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <Typography variant="body2" color="text.secondary">
+            {filteredSeasons.length} season(s) · {workingCalendar ? 'working days' : 'calendar days'}
+          </Typography>
+        </Box>
+        {loadingTasks && <LinearProgress sx={{ mt: 2 }} />}
+      </Paper>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+          <StatCard label="On-time completion" value={formatRate(kpis.summary.onTimeRate)} caption="Completed on or before the planned end" />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+          <StatCard
+            label="Average days late"
+            value={kpis.summary.averageDaysLate === null ? '-' : formatDays(kpis.summary.averageDaysLate)}
+            caption="Date spend of the late tasks"
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+          <StatCard label="Completed tasks" value={kpis.summary.completedCount} caption="With a planned end date" />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6, md: 3 }}>
+          <StatCard label="Late tasks" value={kpis.summary.lateCount} />
+        </Grid>
+      </Grid>
+
+      <Grid container spacing={2}>
+        <Grid size={{ xs: 12, lg: 6 }}>
+          <KpiBarChart
+            title="On-time Completion per Season"
+            data={kpis.seasons.map(group => ({ ...group, label: group.name, value: toPercent(group.onTimeRate) }))}
+            formatValue={formatPercent}
+            getColor={onTimeColor}
+            filename={`on-time-completion-per-season-${filenameSuffix}`}
+            csvColumns={[{ key: 'name', label: 'Season' }, ...SLIPPAGE_CSV_COLUMNS.slice(1)]}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, lg: 6 }}>
+          <KpiBarChart
+            title="Lead-time Accuracy per Task Template"
+            subtitle="Average actual duration minus planned lead time"
+            data={leadTimeAccuracy.map(template => ({ ...template, label: template.name, value: template.averageDeviation }))}
+            formatValue={formatDays}
+            getColor={slippageColor}
+            filename={`lead-time-accuracy-${filenameSuffix}`}
+            csvColumns={LEAD_TIME_CSV_COLUMNS}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, lg: 6 }}>
+          <KpiBarChart
+            title="Slippage per Department"
+            subtitle="Average date spend of completed tasks"
+            data={toSlippageData(kpis.departments)}
+            formatValue={formatDays}
+            getColor={slippageColor}
+            filename={`slippage-per-department-${filenameSuffix}`}
+            csvColumns={[{ key: 'name', label: 'Department' }, ...SLIPPAGE_CSV_COLUMNS.slice(1)]}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, lg: 6 }}>
+          <KpiBarChart
+            title="Slippage per Buyer"
+            subtitle="Average date spend of completed tasks"
+            data={toSlippageData(kpis.buyers)}
+            formatValue={formatDays}
+            getColor={slippageColor}
+            filename={`slippage-per-buyer-${filenameSuffix}`}
+            csvColumns={[{ key: 'name', label: 'Buyer' }, ...SLIPPAGE_CSV_COLUMNS.slice(1)]}
+          />
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default AnalyticsPage;
@@ -1,62 +1,289 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
+import moment from 'moment';
 import {
-  Container, Typography, TextField, Button, Box, Paper, CircularProgress, Alert, Select, MenuItem, FormControl, InputLabel
+  Container, Typography, TextField, Button, Box, Paper, CircularProgress, Alert, Select, MenuItem, FormControl, InputLabel,
+  Checkbox, Divider, Dialog, DialogTitle, DialogContent, DialogActions,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow
 } from '@mui/material';
 import seasonService from '../services/seasonService';
 import buyerService from '../services/buyerService'; // To fetch buyers
+import { queryKeys } from '../services/queryCache';
+import { useQuery } from '../hooks/useQuery';
+import calendarService from '../services/calendarService';
+import { getTaskTemplates } from '../services/taskTemplateService';
+import { sortByOrder, calculateReferenceTimeline, calculateBackScheduledTimeline } from '../utils/timeline';
+import { findDependencyIssues, formatDependencyIssues } from '../utils/dependencyValidation';
+import { createWorkingCalendar, hasNonWorkingDays } from '../utils/workingCalendar';
 import { toast } from 'react-toastify';
 
+const formatDate = (value) => (value ? moment(value).format('DD-MMM-YY (ddd)') : 'N/A');
+
+const NO_BUYERS = []; // Stable while the buyers load
+
 const CreateSeasonPage = () => {
   const [name, setName] = useState('');
   const [selectedBuyer, setSelectedBuyer] = useState('');
-  const [buyers, setBuyers] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateIds, setSelectedTemplateIds] = useState([]);
+  const [leadTimeOverrides, setLeadTimeOverrides] = useState({});
+  const [targetShipDate, setTargetShipDate] = useState('');
+  const [workingCalendar, setWorkingCalendar] = useState(null);
+  const [previewOpen, setPreviewOpen] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [loadingBuyers, setLoadingBuyers] = useState(true);
+  const [loadingTemplates, setLoadingTemplates] = useState(true);
+  const [templatesError, setTemplatesError] = useState('');
   const [error, setError] = useState('');
   const navigate = useNavigate();
+  const { data: buyers = NO_BUYERS, loading: loadingBuyers, error: buyersError } = useQuery(queryKeys.buyers(), buyerService.getAllBuyers);
+
+  useEffect(() => {
+    if (!buyersError) return;
+    setError(buyersError.message || 'Failed to load buyers for selection.');
+    toast.error(buyersError.message || 'Failed to load buyers.');
+  }, [buyersError]);
 
   useEffect(() => {
-    const fetchBuyers = async () => {
+    const fetchTemplates = async () => {
       try {
-        setLoadingBuyers(true);
-        const buyersData = await buyerService.getAllBuyers(); // Assuming this function exists
-        setBuyers(buyersData);
-        setError('');
+        setLoadingTemplates(true);
+        const templatesData = sortByOrder([...(await getTaskTemplates())]);
+        setTemplates(templatesData);
+        setSelectedTemplateIds(templatesData.map(template => template._id));
+        setTemplatesError('');
       } catch (err) {
-        console.error('Failed to fetch buyers:', err);
-        setError(err.message || 'Failed to load buyers for selection.');
-        toast.error(err.message || 'Failed to load buyers.');
+        // The server falls back to its default task set when no templates are sent
+        console.error('Failed to fetch task templates:', err);
+        setTemplatesError(err.message || 'Failed to load task templates.');
       }
-      setLoadingBuyers(false);
+      setLoadingTemplates(false);
     };
-    fetchBuyers();
+    const fetchWorkingCalendar = async () => {
+      try {
+        const calendar = await calendarService.getCalendar();
+        setWorkingCalendar(hasNonWorkingDays(calendar) ? createWorkingCalendar(calendar) : null);
+      } catch (err) {
+        // Without a calendar every day counts as a working day
+        console.error('Failed to load working calendar, using calendar days:', err);
+        setWorkingCalendar(null);
+      }
+    };
+    fetchTemplates();
+    fetchWorkingCalendar();
   }, []);
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
+  // Templates grouped by their first responsible department
+  const templatesByDepartment = useMemo(() => {
+    const groups = new Map();
+    templates.forEach(template => {
+      const department = template.defaultResponsible?.[0] || 'Unassigned';
+      if (!groups.has(department)) groups.set(department, []);
+      groups.get(department).push(template);
+    });
+    return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+  }, [templates]);
+
+  const preview = useMemo(() => {
+    const selectedIds = new Set(selectedTemplateIds);
+    const selectedTemplates = templates.filter(template => selectedIds.has(template._id));
+    const selectedOrders = new Set(selectedTemplates.map(template => template.order));
+    const droppedDependencies = [];
+
+    const tasks = selectedTemplates.map(template => {
+      const precedingTasks = (template.defaultPrecedingTasks || []).filter(order => {
+        if (selectedOrders.has(order)) return true;
+        droppedDependencies.push({ order: template.order, reference: order });
+        return false;
+      });
+      const override = leadTimeOverrides[template._id];
+      return {
+        _id: template._id,
+        order: template.order,
+        name: template.name,
+        responsible: template.defaultResponsible || [],
+        precedingTasks,
+        leadTime: override !== undefined && override !== '' ? Number(override) : template.defaultLeadTime,
+      };
+    });
+
+    const issues = findDependencyIssues(tasks.map(task => ({ order: task.order, preceding: task.precedingTasks })));
+    const today = moment().startOf('day');
+    const timeline = targetShipDate
+      ? calculateBackScheduledTimeline(tasks, moment(targetShipDate).startOf('day'), { calendar: workingCalendar })
+      : calculateReferenceTimeline(tasks, today, { calendar: workingCalendar });
+    const starts = [...timeline.values()].map(({ start }) => moment(start));
+    const ends = [...timeline.values()].map(({ end }) => moment(end));
+
+    return {
+      tasks: tasks.map(task => ({ ...task, dates: timeline.get(task._id) })),
+      issues,
+      droppedDependencies,
+      startDate: starts.length > 0 ? moment.min(starts) : today,
+      endDate: ends.length > 0 ? moment.max(ends) : null,
+    };
+  }, [templates, selectedTemplateIds, leadTimeOverrides, targetShipDate, workingCalendar]);
+
+  const daysShort = targetShipDate ? moment().startOf('day').diff(preview.startDate, 'days') : 0;
+
+  const handleToggleTemplate = (templateId) => {
+    setSelectedTemplateIds(prev => (prev.includes(templateId)
+      ? prev.filter(id => id !== templateId)
+      : [...prev, templateId]));
+  };
+
+  const handleToggleDepartment = (departmentTemplates, checked) => {
+    const ids = departmentTemplates.map(template => template._id);
+    setSelectedTemplateIds(prev => (checked
+      ? [...new Set([...prev, ...ids])]
+      : prev.filter(id => !ids.includes(id))));
+  };
+
+  const handleLeadTimeChange = (templateId, value) => {
+    setLeadTimeOverrides(prev => ({ ...prev, [templateId]: value }));
+  };
+
+  const validateForm = () => {
     if (!name.trim() || !selectedBuyer) {
-      setError('Season name and buyer are required.');
-      toast.error('Season name and buyer are required.');
-      return;
+      return 'Season name and buyer are required.';
+    }
+    if (templates.length === 0) {
+      return '';
+    }
+    if (preview.tasks.length === 0) {
+      return 'Select at least one task template.';
+    }
+    const invalidLeadTime = preview.tasks.find(task => !Number.isInteger(task.leadTime) || task.leadTime < 1);
+    if (invalidLeadTime) {
+      return `Lead time for "${invalidLeadTime.order}" must be a whole number of at least 1 day.`;
     }
+    if (preview.issues.length > 0) {
+      return formatDependencyIssues(preview.issues);
+    }
+    return '';
+  };
+
+  const handleCreate = async () => {
     setLoading(true);
     setError('');
+    const seasonData = { name, buyerId: selectedBuyer };
+    if (templates.length > 0) {
+      seasonData.tasks = preview.tasks.map(task => ({
+        templateId: task._id,
+        leadTime: task.leadTime,
+        precedingTasks: task.precedingTasks,
+      }));
+      if (targetShipDate) {
+        seasonData.targetShipDate = moment(targetShipDate).startOf('day').toISOString();
+        seasonData.startDate = preview.startDate.toISOString();
+      }
+    }
     try {
-      await seasonService.createSeason({ name, buyerId: selectedBuyer });
+      await seasonService.createSeason(seasonData);
       toast.success('Season created successfully!');
       navigate('/dashboard', { state: { refresh: true } }); // Redirect and signal refresh
     } catch (err) {
       console.error('Failed to create season:', err);
-      setError(err.response?.data?.message || err.message || 'Failed to create season.');
-      toast.error(err.response?.data?.message || err.message || 'Failed to create season.');
+      setError(err.message || 'Failed to create season.');
+      toast.error(err.message || 'Failed to create season.');
+      setPreviewOpen(false);
       setLoading(false);
     }
     // setLoading(false); // This was moved to finally in previous patterns, but for now, only on error.
   };
 
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const validationError = validateForm();
+    if (validationError) {
+      setError(validationError);
+      toast.error(validationError);
+      return;
+    }
+    setError('');
+    if (templates.length === 0) {
+      handleCreate();
+      return;
+    }
+    setPreviewOpen(true);
+  };
+
+  const renderTemplateSelection = () => {
+    if (loadingTemplates) {
+      return (
+        <Box sx={{ display: 'flex', alignItems: 'center', p: 2 }}>
+          <CircularProgress size={24} />
+          <Typography sx={{ ml: 2 }}>Loading task templates...</Typography>
+        </Box>
+      );
+    }
+    if (templatesError) {
+      return (
+        <Alert severity="warning" sx={{ mt: 1 }}>
+          {templatesError} The season will be created with the default task set.
+        </Alert>
+      );
+    }
+    if (templates.length === 0) {
+      return <Alert severity="info" sx={{ mt: 1 }}>No active task templates. The season will be created with the default task set.</Alert>;
+    }
+    return (
+      <Box sx={{ maxHeight: 420, overflowY: 'auto', border: 1, borderColor: 'divider', borderRadius: 1 }}>
+        {templatesByDepartment.map(([department, departmentTemplates]) => {
+          const selectedCount = departmentTemplates.filter(template => selectedTemplateIds.includes(template._id)).length;
+          return (
+            <Box key={department}>
+              <Box sx={{ display: 'flex', alignItems: 'center', backgroundColor: 'action.hover', px: 1 }}>
+                <Checkbox
+                  size="small"
+                  checked={selectedCount === departmentTemplates.length}
+                  indeterminate={selectedCount > 0 && selectedCount < departmentTemplates.length}
+                  onChange={(e) => handleToggleDepartment(departmentTemplates, e.target.checked)}
+                  disabled={loading}
+                />
+                <Typography variant="subtitle2">{department}</Typography>
+                <Typography variant="caption" sx={{ ml: 1, color: 'text.secondary' }}>
+                  ({selectedCount}/{departmentTemplates.length})
+                </Typography>
+              </Box>
+              {departmentTemplates.map(template => {
+                const isSelected = selectedTemplateIds.includes(template._id);
+                return (
+                  <Box key={template._id} sx={{ display: 'flex', alignItems: 'center', pl: 4, pr: 1, py: 0.5 }}>
+                    <Checkbox
+                      size="small"
+                      checked={isSelected}
+                      onChange={() => handleToggleTemplate(template._id)}
+                      disabled={loading}
+                    />
+                    <Box sx={{ flexGrow: 1 }}>
+                      <Typography variant="body2">{template.order} - {template.name}</Typography>
+                      <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                        {template.defaultPrecedingTasks?.length > 0 ? `After: ${template.defaultPrecedingTasks.join(', ')}` : 'No preceding tasks'}
+                        {template.defaultResponsible?.length > 1 ? ` · Also: ${template.defaultResponsible.slice(1).join(', ')}` : ''}
+                      </Typography>
+                    </Box>
+                    <TextField
+                      label="Lead Time (days)"
+                      type="number"
+                      size="small"
+                      sx={{ width: 140 }}
+                      inputProps={{ min: 1 }}
+                      value={leadTimeOverrides[template._id] ?? template.defaultLeadTime}
+                      onChange={(e) => handleLeadTimeChange(template._id, e.target.value)}
+                      disabled={loading || !isSelected}
+                    />
+                  </Box>
+                );
+              })}
+            </Box>
+          );
+        })}
+      </Box>
+    );
+  };
+
   return (
-    <Container component={Paper} sx={{ mt: 4, p: 3, width: '40%' }}>
+    <Container component={Paper} sx={{ mt: 4, p: 3, width: '70%' }}>
       <Typography variant="h4" component="h1" gutterBottom align="center">
         Create New Season
       </Typography>
@@ -100,6 +327,24 @@ const CreateSeasonPage = () => {
             )}
           </Select>
         </FormControl>
+        <TextField
+          margin="normal"
+          fullWidth
+          id="targetShipDate"
+          label="Target Ship / Ex-Factory Date"
+          type="date"
+          InputLabelProps={{ shrink: true }}
+          helperText="Optional. When set, the timeline is back-scheduled so the last tasks finish on this date."
+          value={targetShipDate}
+          onChange={(e) => setTargetShipDate(e.target.value)}
+          disabled={loading}
+        />
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="h6" gutterBottom>
+          Task Templates
+        </Typography>
+        {renderTemplateSelection()}
 
         {error && (
           <Alert severity="error" sx={{ mt: 2 }}>
@@ -112,11 +357,65 @@ const CreateSeasonPage = () => {
           fullWidth
           variant="contained"
           sx={{ mt: 3, mb: 2 }}
-          disabled={loading || loadingBuyers}
+          disabled={loading || loadingBuyers || loadingTemplates}
         >
-          {loading ? <CircularProgress size={24} /> : 'Create Season'}
+          {loading ? <CircularProgress size={24} /> : templates.length > 0 ? 'Preview Timeline' : 'Create Season'}
         </Button>
       </Box>
+
+      <Dialog open={previewOpen} onClose={() => !loading && setPreviewOpen(false)} fullWidth maxWidth="lg">
+        <DialogTitle>Timeline Preview: {name}</DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            {preview.tasks.length} task(s) · Start {formatDate(preview.startDate)} · End {formatDate(preview.endDate)}
+            {targetShipDate ? ` · Target ship date ${formatDate(targetShipDate)}` : ''}
+          </Typography>
+          {daysShort > 0 && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              The back-scheduled timeline should have started {daysShort} day(s) ago. Shorten lead times or move the target ship date to make it achievable.
+            </Alert>
+          )}
+          {preview.droppedDependencies.length > 0 && (
+            <Alert severity="info" sx={{ mb: 1 }}>
+              Dependencies on excluded tasks are dropped: {preview.droppedDependencies.map(({ order, reference }) => `${order} no longer waits for ${reference}`).join('; ')}.
+            </Alert>
+          )}
+          <TableContainer sx={{ maxHeight: 480 }}>
+            <Table size="small" stickyHeader aria-label="timeline preview table">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Order</TableCell>
+                  <TableCell>Task Name</TableCell>
+                  <TableCell>Responsible</TableCell>
+                  <TableCell>Preceding Tasks</TableCell>
+                  <TableCell align="right">Lead Time</TableCell>
+                  <TableCell>Start Date</TableCell>
+                  <TableCell>End Date</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {preview.tasks.map(task => (
+                  <TableRow key={task._id}>
+                    <TableCell>{task.order}</TableCell>
+                    <TableCell>{task.name}</TableCell>
+                    <TableCell>{task.responsible.join(', ')}</TableCell>
+                    <TableCell>{task.precedingTasks.join(', ') || '-'}</TableCell>
+                    <TableCell align="right">{task.leadTime}</TableCell>
+                    <TableCell>{formatDate(task.dates?.start)}</TableCell>
+                    <TableCell>{formatDate(task.dates?.end)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPreviewOpen(false)} disabled={loading}>Back</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={loading}>
+            {loading ? <CircularProgress size={24} /> : 'Confirm & Create Season'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Container>
   );
 };
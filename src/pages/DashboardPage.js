@@ -1,15 +1,28 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Link as RouterLink, useLocation } from 'react-router-dom';
+import { Link as RouterLink, useLocation, useNavigate } from 'react-router-dom';
 import {
   Typography, Paper, CircularProgress, Alert, Box, Button, Table, TableBody, TableCell,
   TableContainer, TableHead, TableRow, TableSortLabel, TablePagination, TextField, Chip, Link,
-  FormControl, InputLabel, Select, MenuItem, Checkbox, ListItemText, OutlinedInput
+  FormControl, InputLabel, Select, MenuItem, Checkbox, ListItemText, OutlinedInput, IconButton
 } from '@mui/material';
-import { WarningAmber as WarningAmberIcon } from '@mui/icons-material';
+import { WarningAmber as WarningAmberIcon, ContentCopy as ContentCopyIcon, FileDownload as FileDownloadIcon } from '@mui/icons-material';
+import { toast } from 'react-toastify';
 import { format } from 'date-fns';
 import seasonService from '../services/seasonService';
 import buyerService from '../services/buyerService';
 import departmentService from '../services/departmentService';
+import calendarService from '../services/calendarService';
+import liveUpdatesService from '../services/liveUpdatesService';
+import { useAuth } from '../contexts/AuthContext';
+import DuplicateSeasonDialog from '../components/seasons/DuplicateSeasonDialog';
+import ExportDialog from '../components/export/ExportDialog';
+import { exportSheets } from '../utils/gridExport';
+import { TASK_EXPORT_COLUMNS, SEASON_EXPORT_OPTIONS, buildSeasonSheet, buildSeasonSummarySheet } from '../utils/seasonExport';
+import { createWorkingCalendar, hasNonWorkingDays } from '../utils/workingCalendar';
+import { mapInBatches } from '../utils/batches';
+import { useRequestSignal } from '../hooks/useRequestSignal';
+import { useQuery } from '../hooks/useQuery';
+import { getQueryData, queryKeys } from '../services/queryCache';
 
 const headCells = [
   { id: 'name', label: 'Season Name', sortable: true },
@@ -19,6 +32,8 @@ const headCells = [
   { id: 'requireAttention', label: 'Need Attention', sortable: false },
 ];
 
+const NO_OPTIONS = []; // Stable while the filter options load
+
 const getStatusChipColor = (status) => {
   switch (status) {
     case 'Open': return 'primary';
@@ -29,11 +44,21 @@ const getStatusChipColor = (status) => {
   }
 };
 
+// The search filter as the seasons API expects it
+const getSearchParams = (searchType, searchString, searchValues) => ({
+  searchType,
+  // Use the department names directly for the API call
+  searchValue: searchType === 'requireAttention' ? searchValues.join(',') : searchString,
+});
+
 const DashboardPage = () => {
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const canDuplicate = user?.role === 'Admin' || user?.role === 'Planner';
+  const visibleHeadCells = canDuplicate ? [...headCells, { id: 'actions', label: 'Actions', sortable: false }] : headCells;
+  const [seasonToDuplicate, setSeasonToDuplicate] = useState(null);
   const [seasons, setSeasons] = useState([]);
-  const [buyers, setBuyers] = useState([]);
-  const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [page, setPage] = useState(0);
@@ -46,59 +71,67 @@ const DashboardPage = () => {
   // Separate state for different search input types
   const [searchString, setSearchString] = useState('');
   const [searchValues, setSearchValues] = useState([]);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  const { data: buyers = NO_OPTIONS, error: buyersError } = useQuery(queryKeys.buyers(), buyerService.getAllBuyers);
+  const { data: departments = NO_OPTIONS, error: departmentsError } = useQuery(queryKeys.departments(), departmentService.getAllDepartments);
+  const nextRequestSignal = useRequestSignal();
 
   const fetchSeasons = useCallback(async () => {
-    setLoading(true);
-    let valueForApi;
-    if (searchType === 'requireAttention') {
-      // Use the department names directly for the API call
-      valueForApi = searchValues.join(',');
+    const signal = nextRequestSignal();
+    const params = {
+      ...getSearchParams(searchType, searchString, searchValues),
+      page: page + 1,
+      limit: rowsPerPage,
+      sortBy: sortField,
+      sortOrder: sortOrder,
+    };
+    // A page seen before is shown at once and refreshed in the background
+    const cached = getQueryData(queryKeys.seasons(params));
+    if (cached) {
+      setSeasons(cached.seasons || []);
+      setTotalSeasons(cached.totalSeasons || 0);
     } else {
-      valueForApi = searchString;
+      setLoading(true);
     }
-
-
     try {
-      const params = {
-        searchType,
-        searchValue: valueForApi,
-        page: page + 1,
-        limit: rowsPerPage,
-        sortBy: sortField,
-        sortOrder: sortOrder,
-      };
-      const response = await seasonService.getAllSeasons(params);
+      const response = await seasonService.getAllSeasons(params, { signal });
       setSeasons(response.seasons || []);
       setTotalSeasons(response.totalSeasons || 0);
       setError('');
     } catch (err) {
-      setError(err.response?.data?.message || err.message || 'An error occurred while fetching seasons.');
+      if (err.isCanceled) return; // Replaced by a newer search, or the page was left
+      setError(err.message || 'An error occurred while fetching seasons.');
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
-  }, [searchType, searchString, searchValues, page, rowsPerPage, sortField, sortOrder, departments]);
+  }, [searchType, searchString, searchValues, page, rowsPerPage, sortField, sortOrder, nextRequestSignal]);
 
   useEffect(() => {
     fetchSeasons();
   }, [fetchSeasons, location.state?.refresh]);
 
+  // Keep status and "Need Attention" current as other users update seasons
   useEffect(() => {
-    const fetchFilterData = async () => {
-      try {
-        const [buyersData, deptsData] = await Promise.all([
-          buyerService.getAllBuyers(),
-          departmentService.getAllDepartments()
-        ]);
-        setBuyers(buyersData || []);
-        setDepartments(deptsData || []);
-      } catch (error) {
-        console.error('Failed to fetch filter data:', error);
-        setError('Could not load filter options.');
-      }
-    };
-    fetchFilterData();
+    const unsubscribe = liveUpdatesService.subscribeToSeasons((event) => {
+      if (event.type !== 'season.updated' || !event.season?._id) return;
+      const { _id, name, status, requireAttention } = event.season;
+      setSeasons(prev => prev.map(season => (season._id === _id
+        ? {
+            ...season,
+            name: name ?? season.name,
+            status: status ?? season.status,
+            requireAttention: requireAttention !== undefined ? requireAttention : season.requireAttention,
+          }
+        : season)));
+    });
+    return unsubscribe;
   }, []);
 
+  useEffect(() => {
+    if (buyersError || departmentsError) setError('Could not load filter options.');
+  }, [buyersError, departmentsError]);
+
   const handleSearchTypeChange = (event) => {
     setSearchType(event.target.value);
     // Reset search values when type changes
@@ -119,6 +152,80 @@ const DashboardPage = () => {
     setPage(0);
   };
 
+  const handleSeasonDuplicated = (newSeason) => {
+    setSeasonToDuplicate(null);
+    toast.success('Season duplicated successfully!');
+    if (newSeason?._id) {
+      navigate(`/seasons/${newSeason._id}`);
+    } else {
+      fetchSeasons();
+    }
+  };
+
+  // Loads the tasks, and when asked the activity logs, of one season for the export. A season
+  // that fails to load is left out and missing logs only drop its remarks history, so one
+  // failure does not cost the whole export.
+  const loadSeasonForExport = async (season, includeRemarksHistory) => {
+    try {
+      const [data, logs] = await Promise.all([
+        seasonService.getSeasonById(season._id),
+        includeRemarksHistory
+          ? seasonService.getSeasonLogs(season._id).catch((error) => {
+            console.error(`Failed to load the remarks history of season ${season.name}:`, error);
+            return null;
+          })
+          : null,
+      ]);
+      return { season, tasks: data.tasks || [], logs, logsMissing: includeRemarksHistory && !logs };
+    } catch (error) {
+      console.error(`Failed to load season ${season.name} for export:`, error);
+      return null;
+    }
+  };
+
+  // Exports every season matching the current filter: a summary sheet, then one sheet per season
+  const handleExport = async ({ format: fileFormat, columnKeys, dateFormat, options, filename }) => {
+    const { seasons: matchingSeasons = [] } = await seasonService.getAllSeasons({
+      ...getSearchParams(searchType, searchString, searchValues),
+      page: 1,
+      limit: totalSeasons,
+      sortBy: sortField,
+      sortOrder,
+    });
+    const [loaded, calendar] = await Promise.all([
+      mapInBatches(matchingSeasons, season => loadSeasonForExport(season, options.includeRemarksHistory)),
+      calendarService.getCalendar().catch(() => null), // Fall back to calendar days
+    ]);
+    const seasonsWithTasks = loaded.filter(Boolean);
+    if (seasonsWithTasks.length === 0 && matchingSeasons.length > 0) {
+      throw new Error('None of the seasons could be loaded for export.');
+    }
+    const workingCalendar = calendar && hasNonWorkingDays(calendar) ? createWorkingCalendar(calendar) : null;
+    await exportSheets({
+      sheets: [
+        buildSeasonSummarySheet(seasonsWithTasks, { calendar: workingCalendar }),
+        ...seasonsWithTasks.map(({ season, tasks, logs }) => buildSeasonSheet(season, tasks, {
+          columnKeys,
+          includeTimeline: options.includeTimeline,
+          remarksLogs: logs,
+          includeAttachments: options.includeAttachments,
+          calendar: workingCalendar,
+        })),
+      ],
+      format: fileFormat,
+      filename,
+      dateFormat,
+    });
+    const skippedCount = matchingSeasons.length - seasonsWithTasks.length;
+    const withoutHistoryCount = seasonsWithTasks.filter(({ logsMissing }) => logsMissing).length;
+    if (skippedCount > 0 || withoutHistoryCount > 0) {
+      toast.warning([
+        skippedCount > 0 ? `${skippedCount} season(s) could not be loaded and were left out of the export.` : '',
+        withoutHistoryCount > 0 ? `${withoutHistoryCount} season(s) were exported without their remarks history.` : '',
+      ].filter(Boolean).join(' '));
+    }
+  };
+
   const handleChangePage = (event, newPage) => setPage(newPage);
 
   const handleChangeRowsPerPage = (event) => {
@@ -201,7 +308,12 @@ const DashboardPage = () => {
     <Paper sx={{ padding: 2, margin: 2 ,maxWidth:'80%',margin:'auto'}}>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
         <Typography variant="h4" gutterBottom></Typography>
-        <Button variant="contained" component={RouterLink} to="/seasons/new">Create New Season</Button>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button variant="outlined" startIcon={<FileDownloadIcon />} onClick={() => setExportOpen(true)} disabled={totalSeasons === 0}>
+            Export
+          </Button>
+          <Button variant="contained" component={RouterLink} to="/seasons/new">Create New Season</Button>
+        </Box>
       </Box>
 
       <Box sx={{ display: 'flex', gap: 2, mb: 2 ,justifyContent:'flex-end'}}>
@@ -223,7 +335,7 @@ const DashboardPage = () => {
         <Table aria-label="seasons table">
           <TableHead>
             <TableRow>
-              {headCells.map((headCell) => (
+              {visibleHeadCells.map((headCell) => (
                 <TableCell key={headCell.id} sortDirection={sortField === headCell.id ? sortOrder : false}>
                   {headCell.sortable ? (
                     <TableSortLabel active={sortField === headCell.id} direction={sortField === headCell.id ? sortOrder : 'asc'} onClick={() => handleSortRequest(headCell.id)}>
@@ -236,7 +348,7 @@ const DashboardPage = () => {
           </TableHead>
           <TableBody>
             {loading ? (
-              <TableRow><TableCell colSpan={headCells.length} align="center"><CircularProgress /></TableCell></TableRow>
+              <TableRow><TableCell colSpan={visibleHeadCells.length} align="center"><CircularProgress /></TableCell></TableRow>
             ) : seasons.length > 0 ? (
               seasons.map((season) => (
                 <TableRow hover key={season._id}>
@@ -252,10 +364,17 @@ const DashboardPage = () => {
                       </Box>
                     )}
                   </TableCell>
+                  {canDuplicate && (
+                    <TableCell>
+                      <IconButton size="small" title="Duplicate Season" onClick={() => setSeasonToDuplicate(season)}>
+                        <ContentCopyIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  )}
                 </TableRow>
               ))
             ) : (
-              <TableRow><TableCell colSpan={headCells.length} align="center"><Typography>No seasons found.</Typography></TableCell></TableRow>
+              <TableRow><TableCell colSpan={visibleHeadCells.length} align="center"><Typography>No seasons found.</Typography></TableCell></TableRow>
             )}
           </TableBody>
         </Table>
@@ -269,6 +388,22 @@ const DashboardPage = () => {
         onPageChange={handleChangePage}
         onRowsPerPageChange={handleChangeRowsPerPage}
       />
+      <DuplicateSeasonDialog
+        open={Boolean(seasonToDuplicate)}
+        onClose={() => setSeasonToDuplicate(null)}
+        season={seasonToDuplicate}
+        onDuplicated={handleSeasonDuplicated}
+      />
+      <ExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        title="Export Seasons"
+        description={`${totalSeasons} season(s) matching the current filter. Each season gets its own sheet, after a summary sheet.`}
+        columns={TASK_EXPORT_COLUMNS}
+        options={SEASON_EXPORT_OPTIONS}
+        defaultFilename={`seasons-${format(new Date(), 'yyyyMMdd')}`}
+        onExport={handleExport}
+      />
     </Paper>
   );
 };
@@ -14,7 +14,8 @@ const LoginPage = () => {
   const { login } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
-  const from = location.state?.from?.pathname || '/';
+  // Return to the page the user was on, including its query (e.g. a focused task)
+  const from = location.state?.from ? `${location.state.from.pathname}${location.state.from.search || ''}` : '/';
 
   const handleSubmit = async (event) => {
     event.preventDefault();
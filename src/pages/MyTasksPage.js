@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import {
+  Typography, Paper, CircularProgress, Alert, Box, Button, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, TextField, Chip, Link, Tooltip
+} from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import seasonService from '../services/seasonService';
+import { useAuth } from '../contexts/AuthContext';
+import { useSyncQueue } from '../contexts/SyncQueueContext';
+import RemarksCell from '../components/seasons/RemarksCell';
+import { sortByOrder } from '../utils/timeline';
+import { applyQueuedUpdates, isNetworkError } from '../utils/offlineQueue';
+import { getRecordVersion } from '../utils/concurrency';
+import { useRequestSignal } from '../hooks/useRequestSignal';
+import { isTaskActionable, isUserResponsible, canEditTask, findTaskEditBlocker, validateCompletionDate } from '../utils/taskRules';
+
+const GROUPS = [
+  { id: 'overdue', title: 'Overdue', color: 'error', empty: 'Nothing overdue.' },
+  { id: 'actionable', title: 'Actionable', color: 'warning', empty: 'No tasks are waiting on your department.' },
+  { id: 'upcoming', title: 'Upcoming', color: 'info', empty: 'No upcoming tasks.' },
+  { id: 'completedThisWeek', title: 'Completed This Week', color: 'success', empty: 'No tasks completed this week.' },
+];
+
+const formatDate = (date) => (date ? moment(date).format('DD-MMM-YY') : '-');
+
+const INPUT_DATE_FORMAT = 'YYYY-MM-DD';
+
+// Native date inputs report every keystroke while a year is typed (0002, 0020, ...), so the
+// date is only saved on blur or Enter, and only once it is a complete date.
+const CompletionDateField = ({ value, disabled, onSave }) => {
+  const savedValue = value ? moment(value).format(INPUT_DATE_FORMAT) : '';
+  const [draft, setDraft] = useState(savedValue);
+
+  useEffect(() => {
+    setDraft(savedValue);
+  }, [savedValue]);
+
+  const commit = () => {
+    if (draft === savedValue) return;
+    const date = moment(draft, INPUT_DATE_FORMAT, true);
+    if (draft && (!date.isValid() || date.year() < 2000)) {
+      toast.error('Enter a complete completion date.');
+      setDraft(savedValue);
+      return;
+    }
+    // A date the task rules reject goes back to the saved one
+    if (onSave(draft) === false) setDraft(savedValue);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') commit();
+    if (event.key === 'Escape') setDraft(savedValue);
+  };
+
+  return (
+    <TextField
+      type="date"
+      size="small"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={handleKeyDown}
+      disabled={disabled}
+      InputLabelProps={{ shrink: true }}
+    />
+  );
+};
+
+// Returns the worklist group of a task, or null when it belongs in none
+const getTaskGroup = (task, seasonTasks, today) => {
+  if (task.status === 'completed') {
+    return task.actualCompletion && moment(task.actualCompletion).isSameOrAfter(today.clone().startOf('week'), 'day')
+      ? 'completedThisWeek'
+      : null;
+  }
+  if (task.computedDates?.end && moment(task.computedDates.end).isBefore(today, 'day')) return 'overdue';
+  if (isTaskActionable(task, seasonTasks)) return 'actionable';
+  return task.status === 'blocked' ? null : 'upcoming';
+};
+
+const MyTasksPage = () => {
+  const { user } = useAuth();
+  const { queue: syncQueue, queueTaskUpdate, lastSyncedAt } = useSyncQueue();
+  const [seasons, setSeasons] = useState([]); // [{ season, tasks }]
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [savingTaskId, setSavingTaskId] = useState(null);
+
+  const nextRequestSignal = useRequestSignal();
+
+  const fetchMyTasks = useCallback(async () => {
+    const signal = nextRequestSignal();
+    setLoading(true);
+    try {
+      const openSeasons = await seasonService.getSeasonsWithTasks({ status: 'Open', signal });
+      setSeasons(openSeasons.map(({ season, tasks }) => ({ season, tasks: sortByOrder(tasks) })));
+      setError('');
+    } catch (err) {
+      if (err.isCanceled) return; // Replaced by a newer load, or the page was left
+      console.error('Error fetching my tasks:', err);
+      setError(err.message || 'Failed to fetch your tasks.');
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  }, [nextRequestSignal]);
+
+  useEffect(() => {
+    fetchMyTasks();
+  }, [fetchMyTasks]);
+
+  // Queued updates were replayed; show the server's state again
+  useEffect(() => {
+    if (lastSyncedAt) fetchMyTasks();
+  }, [lastSyncedAt, fetchMyTasks]);
+
+  const groupedTasks = useMemo(() => {
+    const today = moment();
+    const groups = Object.fromEntries(GROUPS.map(group => [group.id, []]));
+    seasons.forEach(({ season, tasks }) => {
+      // Edits waiting to sync stay visible, as on the season page
+      const displayedTasks = applyQueuedUpdates(tasks, syncQueue.filter(entry => entry.seasonId === season._id));
+      displayedTasks
+        .filter(task => isUserResponsible(task, user))
+        .forEach(task => {
+          const group = getTaskGroup(task, displayedTasks, today);
+          if (group) groups[group].push({ season, task, seasonTasks: displayedTasks });
+        });
+    });
+    Object.values(groups).forEach(entries => entries.sort((a, b) => (
+      moment(a.task.computedDates?.end || 0).valueOf() - moment(b.task.computedDates?.end || 0).valueOf()
+    )));
+    return groups;
+  }, [seasons, syncQueue, user]);
+
+  const saveTask = async (season, task, payload, successMessage) => {
+    setSavingTaskId(task._id);
+    try {
+      const response = await seasonService.updateTaskInSeason(season._id, task._id, payload, { version: getRecordVersion(task) });
+      if (response && response.tasks) {
+        setSeasons(prev => prev.map(entry => (entry.season._id === season._id
+          ? { season: response.season || entry.season, tasks: sortByOrder(response.tasks) }
+          : entry)));
+      }
+      toast.success(successMessage);
+    } catch (err) {
+      console.error(`Failed to update task ${task.order} of season ${season.name}:`, err);
+      if (err.isConflict) {
+        // Someone else saved the task first; show their version so the user can redo the change
+        if (err.current) {
+          setSeasons(prev => prev.map(entry => (entry.season._id === season._id
+            ? { ...entry, tasks: entry.tasks.map(t => (t._id === task._id ? { ...t, ...err.current } : t)) }
+            : entry)));
+        }
+        toast.warning(`Task ${task.order} of ${season.name} was changed by someone else. Review it and try again.`);
+      } else if (isNetworkError(err)) {
+        await queueTaskUpdate({ season, task, payload });
+        toast.info('You are offline. The update was queued and will sync when the connection is back.');
+      } else {
+        toast.error(err.message || 'Failed to update task.');
+      }
+    } finally {
+      setSavingTaskId(null);
+    }
+  };
+
+  const handleCompletionChange = (season, task, value) => {
+    const completion = value ? moment(value).startOf('day').toISOString() : null;
+    const completionError = validateCompletionDate(task, completion);
+    if (completionError) {
+      toast.error(completionError);
+      return false;
+    }
+    const payload = completion
+      ? { actualCompletion: completion, status: 'completed' }
+      : { actualCompletion: null, status: 'pending' };
+    saveTask(season, task, payload, 'Task updated successfully!');
+    return true;
+  };
+
+  const handleRemarkUpdate = (season, task, remarks) => {
+    saveTask(season, task, { remarks }, 'Remarks updated successfully!');
+  };
+
+  const renderTaskRow = ({ season, task, seasonTasks }) => {
+    const canEdit = canEditTask(task, season, user);
+    const blocker = canEdit ? findTaskEditBlocker(task, seasonTasks, user) : null;
+    const syncEntry = syncQueue.find(entry => entry.taskId === task._id && entry.status === 'queued')
+      || syncQueue.find(entry => entry.taskId === task._id);
+    return (
+      <TableRow key={task._id} hover>
+        <TableCell>
+          <Link component={RouterLink} to={`/seasons/${season._id}?task=${task._id}`}>{season.name}</Link>
+        </TableCell>
+        <TableCell>{task.order}</TableCell>
+        <TableCell>
+          {task.name}
+          {syncEntry && (syncEntry.status === 'queued'
+            ? <Chip size="small" label="Pending sync" color="info" sx={{ ml: 1 }} />
+            : <Chip size="small" label="Sync problem" color="error" sx={{ ml: 1 }} />)}
+        </TableCell>
+        <TableCell>{(task.responsible || []).join(', ')}</TableCell>
+        <TableCell>{formatDate(task.computedDates?.end)}</TableCell>
+        <TableCell sx={{ minWidth: 170 }}>
+          <Tooltip title={!canEdit ? 'You are not allowed to edit this task.' : blocker?.message || ''}>
+            <span>
+              <CompletionDateField
+                value={task.actualCompletion}
+                onSave={(value) => handleCompletionChange(season, task, value)}
+                disabled={!canEdit || Boolean(blocker) || savingTaskId === task._id}
+              />
+            </span>
+          </Tooltip>
+        </TableCell>
+        <TableCell sx={{ minWidth: 160 }}>
+          <RemarksCell
+            params={{ row: task }}
+            isEditable={canEdit && savingTaskId !== task._id}
+            onSave={(row, remarks) => handleRemarkUpdate(season, row, remarks)}
+          />
+        </TableCell>
+      </TableRow>
+    );
+  };
+
+  if (loading && seasons.length === 0) {
+    return <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}><CircularProgress /></Box>;
+  }
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h5" component="h1">My Tasks</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Tasks of {user?.department?.name ?? user?.department ?? 'your department'} across all open seasons
+          </Typography>
+        </Box>
+        <Button startIcon={<RefreshIcon />} onClick={fetchMyTasks} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {GROUPS.map(group => (
+        <Box key={group.id} sx={{ mb: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Typography variant="h6">{group.title}</Typography>
+            <Chip size="small" label={groupedTasks[group.id].length} color={group.color} />
+          </Box>
+          {groupedTasks[group.id].length === 0 ? (
+            <Typography variant="body2" color="text.secondary">{group.empty}</Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small" aria-label={`${group.title} tasks table`}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Season</TableCell>
+                    <TableCell>Order</TableCell>
+                    <TableCell>Task Name</TableCell>
+                    <TableCell>Responsible</TableCell>
+                    <TableCell>Due Date</TableCell>
+                    <TableCell>Actual Completion</TableCell>
+                    <TableCell>Remarks</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {groupedTasks[group.id].map(renderTaskRow)}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Box>
+      ))}
+    </Paper>
+  );
+};
+
+export default MyTasksPage;
@@ -2,8 +2,20 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { Box, Typography, Paper, Switch, FormControlLabel, Button } from '@mui/material';
 import { DataGrid } from '@mui/x-data-grid';
-import axios from 'axios';
+import settingsService from '../services/settingsService';
+import emailLogService from '../services/emailLogService';
 import { format } from 'date-fns';
+import ExportDialog from '../components/export/ExportDialog';
+import { exportSheets } from '../utils/gridExport';
+
+const EMAIL_LOG_EXPORT_COLUMNS = [
+  { key: 'sentAt', label: 'Date', type: 'date' },
+  { key: 'recipient', label: 'Recipient' },
+  { key: 'seasonName', label: 'Season', value: (row) => row.season?.name || 'N/A' },
+  { key: 'subject', label: 'Subject' },
+  { key: 'status', label: 'Status' },
+  { key: 'error', label: 'Error Details', wrap: true },
+];
 
 const PlannerDashboardPage = () => {
   const { user } = useAuth();
@@ -11,17 +23,11 @@ const PlannerDashboardPage = () => {
   const [settings, setSettings] = useState({});
     const [loading, setLoading] = useState(true);
   const [resending, setResending] = useState(false);
-
-  const api = axios.create({
-    headers: {
-      Authorization: `Bearer ${localStorage.getItem('token')}`,
-    },
-  });
+  const [exportOpen, setExportOpen] = useState(false);
 
   const fetchEmailLogs = async () => {
     try {
-      const res = await api.get('/api/settings/email-logs');
-      setEmailLogs(res.data);
+      setEmailLogs(await emailLogService.getEmailLogs());
     } catch (error) {
       console.error('Failed to fetch email logs:', error);
     }
@@ -29,9 +35,9 @@ const PlannerDashboardPage = () => {
 
   const fetchSettings = async () => {
     try {
-      const res = await api.get('/api/settings');
+      const settingsList = await settingsService.getSettings();
       // Convert array to a key-value object for easier access
-      const settingsMap = res.data.reduce((acc, setting) => {
+      const settingsMap = settingsList.reduce((acc, setting) => {
         acc[setting.key] = setting;
         return acc;
       }, {});
@@ -55,8 +61,8 @@ const PlannerDashboardPage = () => {
     const key = 'emailNotificationsEnabled';
 
     try {
-      const res = await api.put(`/api/settings/${key}`, { value: isEnabled });
-      setSettings(prev => ({ ...prev, [key]: res.data }));
+      const updated = await settingsService.updateSetting(key, isEnabled);
+      setSettings(prev => ({ ...prev, [key]: updated }));
     } catch (error) {
       console.error('Failed to update notification setting:', error);
       // Optionally, revert the switch state on error
@@ -66,12 +72,12 @@ const PlannerDashboardPage = () => {
     const handleResendNotifications = async () => {
     setResending(true);
     try {
-      const res = await api.post('/api/settings/resend-notifications');
-      alert(res.data.message || 'Notifications resent successfully.'); // Using alert for simplicity
+      const result = await settingsService.resendNotifications();
+      alert(result.message || 'Notifications resent successfully.'); // Using alert for simplicity
       fetchEmailLogs(); // Refresh logs to show the resent emails
     } catch (error) {
       console.error('Failed to resend notifications:', error);
-      alert(error.response?.data?.message || 'An error occurred while resending notifications.');
+      alert(error.message);
     }
     setResending(false);
   };
@@ -79,12 +85,12 @@ const PlannerDashboardPage = () => {
   const handleClearLogs = async () => {
     if (window.confirm('Are you sure you want to delete all email logs? This action cannot be undone.')) {
       try {
-        const res = await api.delete('/api/logs/email');
-        alert(res.data.message || 'Email logs cleared successfully.');
+        const result = await emailLogService.clearEmailLogs();
+        alert(result.message || 'Email logs cleared successfully.');
         fetchEmailLogs(); // Refresh the logs, which should now be empty
       } catch (error) {
         console.error('Failed to clear email logs:', error);
-        alert(error.response?.data?.message || 'An error occurred while clearing email logs.');
+        alert(error.message);
       }
     }
   };
@@ -104,6 +110,17 @@ const PlannerDashboardPage = () => {
 
   const emailNotificationsEnabled = settings['emailNotificationsEnabled']?.value || false;
 
+  const handleExport = ({ format: fileFormat, columnKeys, dateFormat, filename }) => exportSheets({
+    sheets: [{
+      name: 'Email Logs',
+      columns: EMAIL_LOG_EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key)),
+      rows: emailLogs,
+    }],
+    format: fileFormat,
+    filename,
+    dateFormat,
+  });
+
   return (
     <Box sx={{ p: 3 }}>
       <Typography variant="h4" gutterBottom>Planner Dashboard</Typography>
@@ -136,7 +153,12 @@ const PlannerDashboardPage = () => {
       </Paper>
 
       <Paper sx={{ height: 600, width: '100%' }}>
-        <Typography variant="h6" sx={{ p: 2 }}>Email Sending Logs</Typography>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', p: 2 }}>
+          <Typography variant="h6">Email Sending Logs</Typography>
+          <Button variant="outlined" onClick={() => setExportOpen(true)} disabled={loading || emailLogs.length === 0}>
+            Export
+          </Button>
+        </Box>
         <DataGrid
           rows={emailLogs}
           columns={columns}
@@ -150,6 +172,14 @@ const PlannerDashboardPage = () => {
           pageSizeOptions={[10, 50, 100]}
         />
       </Paper>
+      <ExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        title="Export Email Logs"
+        columns={EMAIL_LOG_EXPORT_COLUMNS}
+        defaultFilename={`email-logs-${format(new Date(), 'yyyyMMdd')}`}
+        onExport={handleExport}
+      />
     </Box>
   );
 };
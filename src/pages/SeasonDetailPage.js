@@ -1,96 +1,82 @@
 import React, { useEffect, useState, useMemo, useCallback, useRef } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useContext } from 'react';
 import moment from 'moment';
-import { Box, Typography, Paper, CircularProgress, Alert, Chip, IconButton, Button, Menu, MenuItem, Divider, ListItemIcon, ListItemText, Card, CardContent, Grid, Backdrop, FormControl, InputLabel, Select } from '@mui/material';
+import { Box, Typography, Paper, CircularProgress, Alert, Chip, IconButton, Button, Menu, MenuItem, Divider, ListItemIcon, ListItemText, Card, CardContent, Grid, Backdrop, FormControl, InputLabel, Select, Tabs, Tab, Avatar, AvatarGroup, Tooltip } from '@mui/material';
 import GetAppIcon from '@mui/icons-material/GetApp';
-import { DataGrid, GridRowModes, GridActionsCellItem } from '@mui/x-data-grid';
+import { DataGrid, GridRowModes, GridActionsCellItem, useGridApiRef, gridPageSizeSelector, gridExpandedSortedRowIdsSelector } from '@mui/x-data-grid';
 import LockIcon from '@mui/icons-material/Lock';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
 import AttachmentIcon from '@mui/icons-material/Attachment';
 import UploadFileIcon from '@mui/icons-material/UploadFile';
 import DownloadIcon from '@mui/icons-material/Download';
 import FileDownloadIcon from '@mui/icons-material/FileDownload';
 import EditIcon from '@mui/icons-material/Edit';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 import SaveIcon from '@mui/icons-material/Save';
 import CancelIcon from '@mui/icons-material/Close';
 import DeleteIcon from '@mui/icons-material/Delete';
 import WarningIcon from '@mui/icons-material/Warning';
+import CloudUploadIcon from '@mui/icons-material/CloudUpload';
+import SyncProblemIcon from '@mui/icons-material/SyncProblem';
+import PrintIcon from '@mui/icons-material/Print';
 import seasonService from '../services/seasonService';
+import calendarService from '../services/calendarService';
+import liveUpdatesService from '../services/liveUpdatesService';
 import { useAuth } from '../contexts/AuthContext';
+import { useSyncQueue } from '../contexts/SyncQueueContext';
 import ActivityLogViewer from '../components/logs/ActivityLogViewer';
 import HistoryIcon from '@mui/icons-material/History';
 import EditSeasonModal from '../components/seasons/EditSeasonModal';
+import DuplicateSeasonDialog from '../components/seasons/DuplicateSeasonDialog';
+import BulkTaskActionsDialog, { BULK_ACTIONS } from '../components/seasons/BulkTaskActionsDialog';
+import MergeConflictDialog from '../components/seasons/MergeConflictDialog';
 import RemarksCell from '../components/seasons/RemarksCell';
-
-// Helper function to calculate the reference timeline based on dependencies
-const calculateReferenceTimeline = (tasks, seasonCreationDate) => {
-  if (!tasks || tasks.length === 0) return new Map();
-
-  const timeline = new Map();
-  const tasksByOrder = new Map(tasks.map(task => [task.order, task]));
-
-  // Sort tasks to process dependencies in a more orderly fashion
-  const sortedTasks = [...tasks].sort((a, b) => {
-    if (a.order.length < b.order.length) return -1;
-    if (a.order.length > b.order.length) return 1;
-    return a.order.localeCompare(b.order);
-  });
-
-  // Iteratively calculate dates until all tasks have a timeline
-  let tasksToProcess = sortedTasks.length;
-  let iterations = 0;
-  const MAX_ITERATIONS = tasksToProcess + 5; // Failsafe for circular dependencies
-
-  while (tasksToProcess > 0 && iterations < MAX_ITERATIONS) {
-    let processedInThisIteration = 0;
-    sortedTasks.forEach(task => {
-      // If already calculated, skip
-      if (timeline.has(task._id)) return;
-
-      let canCalculate = true;
-      let maxPrecedingEndDate = moment(seasonCreationDate);
-
-      if (task.precedingTasks && task.precedingTasks.length > 0) {
-        for (const precedingOrder of task.precedingTasks) {
-          const precedingTask = tasksByOrder.get(precedingOrder);
-          if (precedingTask && timeline.has(precedingTask._id)) {
-            const precedingEndDate = timeline.get(precedingTask._id).end;
-            if (moment(precedingEndDate).isAfter(maxPrecedingEndDate)) {
-              maxPrecedingEndDate = moment(precedingEndDate);
-            }
-          } else {
-            // A dependency hasn't been calculated yet, so we can't proceed with this task
-            canCalculate = false;
-            break;
-          }
-        }
-      }
-
-      if (canCalculate) {
-        const startDate = maxPrecedingEndDate;
-        const endDate = moment(startDate).add(task.leadTime, 'days');
-        timeline.set(task._id, { start: startDate.toDate(), end: endDate.toDate() });
-        processedInThisIteration++;
-      }
-    });
-
-    tasksToProcess -= processedInThisIteration;
-    iterations++;
-    if (processedInThisIteration === 0 && tasksToProcess > 0) {
-        console.error("Could not resolve all task dependencies for reference timeline. Check for circular dependencies.");
-        break; // Break loop if no progress is made
-    }
-  }
-
-  return timeline;
-};
+import SeasonGanttChart from '../components/seasons/SeasonGanttChart';
+import ScheduleSimulationPanel from '../components/seasons/ScheduleSimulationPanel';
+import ExportDialog from '../components/export/ExportDialog';
+import TaskImportDialog from '../components/seasons/TaskImportDialog';
+import { calculateReferenceTimeline, calculateCriticalPath, sortByOrder } from '../utils/timeline';
+import { findDependencyIssues, formatDependencyIssues } from '../utils/dependencyValidation';
+import { createWorkingCalendar, hasNonWorkingDays } from '../utils/workingCalendar';
+import { applyQueuedUpdates, isNetworkError } from '../utils/offlineQueue';
+import { getRecordVersion, buildMergeFields, TASK_MERGE_FIELDS, SEASON_MERGE_FIELDS } from '../utils/concurrency';
+import { isTaskActionable, canEditTask, findTaskEditBlocker, validateCompletionDate, validateLeadTime } from '../utils/taskRules';
+import { calculateDateSpend } from '../utils/analytics';
+import { exportSheets } from '../utils/gridExport';
+import { getSeasonStatusColor, getTaskRowClassName, getTaskRowStyles } from '../utils/statusStyles';
+import { TASK_EXPORT_COLUMNS, SEASON_EXPORT_OPTIONS, buildSeasonSheet } from '../utils/seasonExport';
+import { useRequestSignal } from '../hooks/useRequestSignal';
+import { getQueryData, queryKeys } from '../services/queryCache';
+
+const LIVE_UPDATE_HIGHLIGHT_MS = 3000;
+const PRESENCE_HEARTBEAT_MS = 30000;
+const LOCK_RENEW_MS = 60000;
+
+// Keeps the task status in line with the completion date after a merge
+const withCompletionStatus = (payload) => (
+  'status' in payload ? { ...payload, status: payload.actualCompletion ? 'completed' : 'pending' } : payload
+);
+
+// Server responses may carry the buyer as a bare ID; keep the populated one for display
+const mergeSeasonDetails = (previous, current) => ({
+  ...previous,
+  ...current,
+  buyer: current.buyer?.name ? current.buyer : previous?.buyer,
+});
 
 const SeasonDetailPage = () => {
   const { user: currentUser, loading: authLoading, isAuthenticated } = useAuth();
+  const { queue: syncQueue, queueTaskUpdate, lastSyncedAt } = useSyncQueue();
   
 
   // ALL HOOKS MUST BE CALLED BEFORE ANY CONDITIONAL RETURNS
   const { seasonId } = useParams();
+  const [searchParams] = useSearchParams();
+  const focusedTaskId = searchParams.get('task'); // Set by notification links
+  const gridApiRef = useGridApiRef();
+  const scrolledToTaskRef = useRef(null);
+  const navigate = useNavigate();
   const [seasonDetails, setSeasonDetails] = useState(null);
   const [taskList, setTaskList] = useState([]);
   const [loading, setLoading] = useState(true); 
@@ -101,23 +87,20 @@ const SeasonDetailPage = () => {
   const [isUpdating, setIsUpdating] = useState(false);
   const [selectedStatus, setSelectedStatus] = useState('');
   const [isExporting, setIsExporting] = useState(false);
+  const [customExportOpen, setCustomExportOpen] = useState(false);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
   const [editModalOpen, setEditModalOpen] = useState(false);
+  const [duplicateDialogOpen, setDuplicateDialogOpen] = useState(false);
   const [referenceTimeline, setReferenceTimeline] = useState(new Map());
-
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'Open':
-        return 'primary';
-      case 'Closed':
-        return 'success';
-      case 'On-Hold':
-        return 'warning';
-      case 'Canceled':
-        return 'error';
-      default:
-        return 'default';
-    }
-  };
+  const [activeView, setActiveView] = useState('table');
+  const [rowSelectionModel, setRowSelectionModel] = useState({ type: 'include', ids: new Set() });
+  const [bulkAction, setBulkAction] = useState(null);
+  const [liveUpdatedTaskIds, setLiveUpdatedTaskIds] = useState(new Set());
+  const [viewers, setViewers] = useState([]);
+  const [taskLocks, setTaskLocks] = useState({}); // taskId -> { userId, name, expiresAt }
+  const heldLocksRef = useRef(new Set());
+  const [mergeRequest, setMergeRequest] = useState(null); // { title, fields, resolve }
+  const [workingCalendar, setWorkingCalendar] = useState(null);
 
   useEffect(() => {
     if (seasonDetails) {
@@ -125,16 +108,64 @@ const SeasonDetailPage = () => {
     }
   }, [seasonDetails]);
 
+  // Opens the merge dialog; resolves with the chosen values, or null when the user discards theirs
+  const requestMerge = useCallback((title, fields) => new Promise(resolve => {
+    setMergeRequest({ title, fields, resolve });
+  }), []);
+
+  const handleMergeResolved = (values) => {
+    mergeRequest.resolve(values);
+    setMergeRequest(null);
+  };
+
+  const handleMergeCancelled = () => {
+    mergeRequest.resolve(null);
+    setMergeRequest(null);
+  };
+
+  // Saves against the version the record was loaded with. When someone else saved it meanwhile,
+  // the user merges both versions and the result is saved against the server's new version.
+  const saveWithMerge = useCallback(({ title, fieldDefinitions, original, yours, save }) => {
+    const attempt = async (base, values) => {
+      try {
+        return await save(values, getRecordVersion(base));
+      } catch (err) {
+        if (!err.isConflict || !err.current) throw err;
+        const resolved = await requestMerge(title, buildMergeFields(fieldDefinitions, base, values, err.current));
+        if (!resolved) {
+          const discardError = new Error('Your changes were discarded. Showing the latest saved values.');
+          discardError.isDiscarded = true;
+          discardError.current = err.current;
+          throw discardError;
+        }
+        return attempt(err.current, { ...values, ...resolved });
+      }
+    };
+    return attempt(original, yours);
+  }, [requestMerge]);
+
   const handleStatusUpdate = async () => {
     if (!seasonId || !selectedStatus || selectedStatus === seasonDetails.status) return;
 
     setIsUpdating(true);
     try {
-      const updatedSeason = await seasonService.updateSeasonStatus(seasonId, selectedStatus);
+      const updatedSeason = await saveWithMerge({
+        title: 'The season was changed by someone else',
+        fieldDefinitions: SEASON_MERGE_FIELDS,
+        original: seasonDetails,
+        yours: { status: selectedStatus },
+        save: (values, version) => seasonService.updateSeasonStatus(seasonId, values.status, { version }),
+      });
       setSeasonDetails(updatedSeason); // Update the local state with the response
       setAlertInfo({ open: true, message: 'Season status updated successfully!', severity: 'success' });
     } catch (err) {
       console.error('Failed to update season status:', err);
+      if (err.isDiscarded) {
+        setSeasonDetails(prev => mergeSeasonDetails(prev, err.current));
+        setSelectedStatus(err.current.status);
+        setAlertInfo({ open: true, message: err.message, severity: 'info' });
+        return;
+      }
       setError(err.message || 'Failed to update season status.');
       setAlertInfo({ open: true, message: err.message || 'Failed to update season status.', severity: 'error' });
       // Revert dropdown to original status on failure
@@ -178,141 +209,293 @@ const SeasonDetailPage = () => {
     }
   };
 
-  const handleSaveSeasonDetails = async (updatedData) => {
+  const handleCustomExport = async ({ format, columnKeys, dateFormat, options, filename }) => {
+    const remarksLogs = options.includeRemarksHistory ? await seasonService.getSeasonLogs(seasonId) : null;
+    const sheet = buildSeasonSheet(seasonDetails, taskList, {
+      columnKeys,
+      includeTimeline: options.includeTimeline,
+      remarksLogs,
+      includeAttachments: options.includeAttachments,
+      calendar: workingCalendar,
+    });
+    await exportSheets({ sheets: [sheet], format, filename, dateFormat });
+  };
+
+  const handleSaveSeasonDetails = async (updatedData, selectedBuyer) => {
     setIsUpdating(true);
     try {
-      const updatedSeason = await seasonService.updateSeasonDetails(seasonId, updatedData);
+      const updatedSeason = await saveWithMerge({
+        title: 'The season was changed by someone else',
+        fieldDefinitions: SEASON_MERGE_FIELDS,
+        original: seasonDetails,
+        yours: { name: updatedData.name, buyer: selectedBuyer || updatedData.buyer },
+        save: (values, version) => seasonService.updateSeasonDetails(
+          seasonId,
+          { name: values.name, buyer: values.buyer?._id || values.buyer },
+          { version }
+        ),
+      });
       setSeasonDetails(updatedSeason);
       setEditModalOpen(false);
       setAlertInfo({ open: true, message: 'Season details updated successfully!', severity: 'success' });
     } catch (err) {
       console.error('Failed to update season details:', err);
+      if (err.isDiscarded) {
+        setSeasonDetails(prev => mergeSeasonDetails(prev, err.current));
+        setEditModalOpen(false);
+        setAlertInfo({ open: true, message: err.message, severity: 'info' });
+        return;
+      }
       setAlertInfo({ open: true, message: err.message || 'Failed to update season details.', severity: 'error' });
     } finally {
       setIsUpdating(false);
     }
   };
 
-  const fetchSeasonDetails = useCallback(async () => {
-    setLoading(true);
-    try {
-      const data = await seasonService.getSeasonById(seasonId);
-      
-      const sortedTasks = data.tasks || [];
-
-      // Custom sort for Excel-style order codes (A, B, ..., Z, AA, AB, ...)
-      sortedTasks.sort((a, b) => {
-        const orderA = a.order;
-        const orderB = b.order;
-        if (orderA.length < orderB.length) return -1;
-        if (orderA.length > orderB.length) return 1;
-        return orderA.localeCompare(orderB);
-      });
+  const handleSeasonDuplicated = (newSeason) => {
+    setDuplicateDialogOpen(false);
+    setAlertInfo({ open: true, message: 'Season duplicated successfully!', severity: 'success' });
+    navigate(newSeason?._id ? `/seasons/${newSeason._id}` : '/dashboard', { state: { refresh: true } });
+  };
 
-      setSeasonDetails(data.season);
-      setTaskList(sortedTasks);
+  const nextRequestSignal = useRequestSignal();
+
+  const showSeasonData = useCallback((data) => {
+    // Custom sort for Excel-style order codes (A, B, ..., Z, AA, AB, ...); copied so the cached list keeps its order
+    const sortedTasks = sortByOrder([...(data.tasks || [])]);
+
+    setSeasonDetails(data.season);
+    setTaskList(sortedTasks);
+  }, []);
+
+  // `showCached` shows the copy cached on an earlier visit while the fresh one loads
+  const fetchSeasonDetails = useCallback(async ({ showCached = false } = {}) => {
+    const signal = nextRequestSignal();
+    const cached = showCached ? getQueryData(queryKeys.season(seasonId)) : undefined;
+    if (cached) {
+      showSeasonData(cached);
+      setLoading(false);
+    } else {
+      setLoading(true);
+    }
+    try {
+      const data = await seasonService.getSeasonById(seasonId, { signal });
+      showSeasonData(data);
       setError('');
     } catch (err) {
+      if (err.isCanceled) return; // Replaced by a newer load, or the page was left
       console.error('Error fetching season details:', err);
-      setError(err.response?.data?.message || err.message || 'Failed to fetch season details.');
+      setError(err.message || 'Failed to fetch season details.');
       setSeasonDetails(null);
       setTaskList([]);
     } finally {
-      setLoading(false);
+      if (!signal.aborted) setLoading(false);
     }
-  }, [seasonId]);
+  }, [seasonId, nextRequestSignal, showSeasonData]);
 
   useEffect(() => {
     if (seasonId) {
-      fetchSeasonDetails();
+      fetchSeasonDetails({ showCached: true });
     }
   }, [fetchSeasonDetails, seasonId]);
 
+  // Changes made by other users are pushed in as they happen; changed rows flash briefly
   useEffect(() => {
-    if (taskList.length > 0 && seasonDetails?.createdAt) {
-      const timeline = calculateReferenceTimeline(taskList, seasonDetails.createdAt);
-      setReferenceTimeline(timeline);
-    }
-  }, [taskList, seasonDetails?.createdAt]);
+    if (!seasonId) return undefined;
+    const highlightTimers = new Set();
+    const unsubscribe = liveUpdatesService.subscribeToSeason(seasonId, (event) => {
+      if (event.type === 'task.updated' && event.task?._id) {
+        const taskId = event.task._id;
+        setTaskList(prev => (prev.some(task => task._id === taskId)
+          ? prev.map(task => (task._id === taskId ? { ...task, ...event.task } : task))
+          : prev));
+        setLiveUpdatedTaskIds(prev => new Set(prev).add(taskId));
+        const timer = setTimeout(() => {
+          highlightTimers.delete(timer);
+          setLiveUpdatedTaskIds(prev => {
+            const next = new Set(prev);
+            next.delete(taskId);
+            return next;
+          });
+        }, LIVE_UPDATE_HIGHLIGHT_MS);
+        highlightTimers.add(timer);
+      } else if (event.type === 'season.updated' && event.season) {
+        setSeasonDetails(prev => (prev ? { ...prev, ...event.season, buyer: prev.buyer } : prev));
+      } else if (event.type === 'presence.updated' && Array.isArray(event.viewers)) {
+        setViewers(event.viewers);
+      } else if (event.type === 'lock.updated' && event.taskId) {
+        setTaskLocks(prev => {
+          const next = { ...prev };
+          if (event.lock) {
+            next[event.taskId] = event.lock;
+          } else {
+            delete next[event.taskId];
+          }
+          return next;
+        });
+      }
+    });
+    return () => {
+      unsubscribe();
+      highlightTimers.forEach(clearTimeout);
+    };
+  }, [seasonId]);
 
-  // Helper functions and sub-components moved before 'columns'
+  // Presence heartbeat and the locks that are already held when the page opens
+  useEffect(() => {
+    if (!seasonId) return undefined;
+    const announcePresence = async () => {
+      try {
+        const data = await seasonService.joinSeasonPresence(seasonId);
+        if (Array.isArray(data?.viewers)) setViewers(data.viewers);
+      } catch (err) {
+        console.error('Failed to announce presence:', err);
+      }
+    };
+    const fetchTaskLocks = async () => {
+      try {
+        const locks = await seasonService.getTaskLocks(seasonId);
+        setTaskLocks(Object.fromEntries((locks || []).map(lock => [lock.taskId, lock])));
+      } catch (err) {
+        console.error('Failed to fetch task locks:', err);
+      }
+    };
+    announcePresence();
+    fetchTaskLocks();
+    const interval = setInterval(announcePresence, PRESENCE_HEARTBEAT_MS);
+    return () => {
+      clearInterval(interval);
+      seasonService.leaveSeasonPresence(seasonId).catch(() => {});
+      setViewers([]);
+      setTaskLocks({});
+    };
+  }, [seasonId]);
 
-  const isTaskActionable = useCallback((task, allTasks) => {
-    if (!task || task.status === 'completed' || task.status === 'blocked') {
-      return false;
-    }
-    if (!task.precedingTasks || task.precedingTasks.length === 0) {
-      return true; // No preceding tasks, so it's actionable if pending
+  useEffect(() => {
+    const fetchWorkingCalendar = async () => {
+      try {
+        const calendar = await calendarService.getCalendar();
+        setWorkingCalendar(hasNonWorkingDays(calendar) ? createWorkingCalendar(calendar) : null);
+      } catch (err) {
+        // Without a calendar every day counts as a working day
+        console.error('Failed to load working calendar, using calendar days:', err);
+        setWorkingCalendar(null);
+      }
+    };
+    fetchWorkingCalendar();
+  }, []);
+
+  // Back-scheduled seasons start on their computed start date rather than on creation
+  const seasonStartDate = seasonDetails?.startDate || seasonDetails?.createdAt;
+
+  useEffect(() => {
+    if (taskList.length > 0 && seasonStartDate) {
+      const timeline = calculateReferenceTimeline(taskList, seasonStartDate, { calendar: workingCalendar });
+      setReferenceTimeline(timeline);
     }
-    // Ensure allTasks is available and is an array
-    if (!allTasks || !Array.isArray(allTasks)) {
-        // console.warn('[isTaskActionable] allTasks is not available or not an array');
-        return false; 
+  }, [taskList, seasonStartDate, workingCalendar]);
+
+  // A standing warning: as a dismissable alert it would pop up again after every task update
+  const timelineIssues = useMemo(() => (
+    taskList.length > 0 && referenceTimeline.size < taskList.length
+      ? findDependencyIssues(taskList.map(task => ({ order: task.order, preceding: task.precedingTasks })))
+      : []
+  ), [taskList, referenceTimeline]);
+
+  // Edits made while offline wait in the sync queue; show them on top of the server data
+  const pendingSyncEntries = useMemo(
+    () => syncQueue.filter(entry => entry.seasonId === seasonId),
+    [syncQueue, seasonId]
+  );
+  const pendingSyncTaskIds = useMemo(
+    () => new Set(pendingSyncEntries.filter(entry => entry.status === 'queued').map(entry => entry.taskId)),
+    [pendingSyncEntries]
+  );
+  // Edits the server rejected are not shown on the grid; their rows point to the sync queue instead
+  const rejectedSyncTaskIds = useMemo(
+    () => new Set(pendingSyncEntries.filter(entry => entry.status !== 'queued').map(entry => entry.taskId)),
+    [pendingSyncEntries]
+  );
+
+  // Reload once queued edits have reached the server
+  useEffect(() => {
+    if (lastSyncedAt && seasonId) {
+      fetchSeasonDetails();
     }
-    return task.precedingTasks.every(precedingTaskOrder => {
-      const precedingTask = allTasks.find(t => t.order === precedingTaskOrder);
-      return precedingTask && precedingTask.status === 'completed';
+  }, [lastSyncedAt, fetchSeasonDetails, seasonId]);
+
+  // With a working calendar, start/end dates are recomputed so rest days and holidays are skipped
+  const scheduledTaskList = useMemo(() => {
+    const displayedTasks = applyQueuedUpdates(taskList, pendingSyncEntries);
+    if (!workingCalendar || !seasonStartDate) return displayedTasks;
+    const schedule = calculateReferenceTimeline(displayedTasks, seasonStartDate, { useActualCompletion: true, calendar: workingCalendar });
+    return displayedTasks.map(task => {
+      const dates = schedule.get(task._id);
+      return dates ? { ...task, computedDates: { ...task.computedDates, start: dates.start, end: dates.end } } : task;
     });
-  }, []); // Keep deps array minimal if allTasks is always passed fresh
+  }, [taskList, pendingSyncEntries, seasonStartDate, workingCalendar]);
+
+  // A notification link names a task; show the table so its row can be brought into view
+  useEffect(() => {
+    if (focusedTaskId) setActiveView('table');
+  }, [focusedTaskId]);
+
+  useEffect(() => {
+    if (!focusedTaskId || activeView !== 'table' || scrolledToTaskRef.current === focusedTaskId) return;
+    const gridApi = gridApiRef.current;
+    if (!gridApi || !scheduledTaskList.some(task => task._id === focusedTaskId)) return;
+    const rowIndex = gridExpandedSortedRowIdsSelector(gridApiRef).indexOf(focusedTaskId);
+    if (rowIndex === -1) return;
+    scrolledToTaskRef.current = focusedTaskId;
+    gridApi.setPage(Math.floor(rowIndex / gridPageSizeSelector(gridApiRef)));
+    // Let the page render before scrolling to the row
+    requestAnimationFrame(() => gridApiRef.current?.scrollToIndexes({ rowIndex }));
+  }, [focusedTaskId, activeView, scheduledTaskList, gridApiRef]);
+
+  // Critical path and float per task, based on lead times and preceding tasks
+  const criticalPathAnalysis = useMemo(() => calculateCriticalPath(taskList), [taskList]);
+
+  // Helper functions and sub-components moved before 'columns'
+
+  const getStatusRowClassName = (task) => getTaskRowClassName(task, taskList);
 
   const getRowClassName = (params) => {
     const task = params.row;
     if (!task) return '';
-    if (task.status === 'completed') return 'row-completed';
-    if (task.status === 'blocked') return 'row-blocked';
-    // isTaskActionable is now defined before getRowClassName, taskList is from component state
-    if (isTaskActionable(task, taskList)) return 'row-actionable'; 
-    if (task.status === 'pending') return 'row-pending';
-    return '';
+    const statusClassName = getStatusRowClassName(task);
+    const isCritical = criticalPathAnalysis.schedule.get(task._id)?.isCritical;
+    return [
+      statusClassName,
+      isCritical && 'row-critical',
+      pendingSyncTaskIds.has(task._id) && 'row-pending-sync',
+      rejectedSyncTaskIds.has(task._id) && 'row-sync-rejected',
+      liveUpdatedTaskIds.has(task._id) && 'row-live-updated',
+      task._id === focusedTaskId && 'row-focused',
+    ].filter(Boolean).join(' ');
   };
 
-  const handleEditClick = useCallback((id, task) => {
-    console.log('%c[handleEditClick] CALLED', 'color: blue; font-weight: bold;', 'Task ID:', id, 'Task Status:', task?.status, 'User Role:', currentUser?.role);
-    const userRole = currentUser?.role?.toLowerCase();
-    const isAdminOrPlanner = userRole === 'admin' || userRole === 'planner';
+  // Returns why a task cannot be put in edit mode, or null when it can.
+  // Shared by the row Edit action and the bulk actions.
+  const getTaskEditBlocker = useCallback((task, tasks) => findTaskEditBlocker(task, tasks, currentUser), [currentUser]);
 
-    if (!task) {
-      console.log('[handleEditClick] No task data. Aborting.');
-      setAlertInfo({ open: true, message: 'Task data not found.', severity: 'error' });
-      return;
-    }
+  // A live edit lock held by another user; expired locks no longer count
+  const getForeignLock = useCallback((taskId) => {
+    const lock = taskLocks[taskId];
+    if (!lock || lock.userId === currentUser?.id) return null;
+    return lock.expiresAt && moment(lock.expiresAt).isBefore(moment()) ? null : lock;
+  }, [taskLocks, currentUser]);
 
-    const taskStatusLower = task.status ? task.status.toLowerCase() : null;
-    if (taskStatusLower === 'completed' && !isAdminOrPlanner) {
-      console.log('%c[handleEditClick] PREVENTING EDIT: Task is completed and user is not Admin/Planner.', 'color: red; font-weight: bold;');
-      setAlertInfo({ open: true, message: 'Completed tasks can only be modified by Admin or Planner roles.', severity: 'warning' });
-      return;
-    }
-    if (taskStatusLower === 'blocked') {
-      console.log('%c[handleEditClick] PREVENTING EDIT: Task is blocked.', 'color: red; font-weight: bold;');
-      setAlertInfo({ open: true, message: 'Blocked tasks cannot be edited.', severity: 'warning' });
-      return;
-    }
-    if (taskStatusLower === 'pending' && taskList) {
-      const tasksMap = new Map(taskList.map(t => [t.order, t]));
-      let predecessorsDone = true;
-      if (task.precedingTasks && task.precedingTasks.length > 0) {
-        for (const predOrder of task.precedingTasks) {
-          const predecessor = tasksMap.get(predOrder);
-          if (predecessor && predecessor.status !== 'completed') {
-            predecessorsDone = false;
-            break;
-          }
-        }
-      }
-      if (!predecessorsDone) {
-        console.log('%c[handleEditClick] PREVENTING EDIT: Preceding tasks not complete.', 'color: red; font-weight: bold;');
-        setAlertInfo({ open: true, message: 'This task is not yet actionable as preceding tasks are not complete.', severity: 'warning' });
-        return;
-      }
-    } else if (taskStatusLower === 'pending' && (!taskList)) {
-      console.log('%c[handleEditClick] PREVENTING EDIT: Task list unavailable for pending task.', 'color: red; font-weight: bold;');
-      setAlertInfo({ open: true, message: 'Cannot determine task actionability: task list unavailable.', severity: 'error' });
+  const handleEditClick = useCallback((id, task) => {
+    console.log('%c[handleEditClick] CALLED', 'color: blue; font-weight: bold;', 'Task ID:', id, 'Task Status:', task?.status, 'User Role:', currentUser?.role);
+    const blocker = getTaskEditBlocker(task, taskList);
+    if (blocker) {
+      console.log(`%c[handleEditClick] PREVENTING EDIT: ${blocker.message}`, 'color: red; font-weight: bold;');
+      setAlertInfo({ open: true, ...blocker });
       return;
     }
-    if (!isAdminOrPlanner && task.responsible && !task.responsible.includes(currentUser?.department)) {
-      console.log('%c[handleEditClick] PREVENTING EDIT: User department not responsible.', 'color: red; font-weight: bold;');
-      setAlertInfo({ open: true, message: 'Your department is not allowed to edit this task.', severity: 'warning' });
+    const foreignLock = getForeignLock(id);
+    if (foreignLock) {
+      setAlertInfo({ open: true, message: `This task is being edited by ${foreignLock.name}.`, severity: 'warning' });
       return;
     }
     console.log('%c[handleEditClick] ALLOWING EDIT MODE to be set.', 'color: darkgreen; font-weight: bold;');
@@ -321,7 +504,7 @@ const SeasonDetailPage = () => {
       ...oldModel,
       [id]: { mode: GridRowModes.Edit, fieldToFocus: 'actualCompletion' },
     }));
-  }, [currentUser, taskList]);
+  }, [currentUser, taskList, getTaskEditBlocker, getForeignLock]);
 
   const handleRowEditStop = (params, event) => {
     event.defaultMuiPrevented = true;
@@ -331,6 +514,12 @@ const SeasonDetailPage = () => {
     // params.field, params.row, params.id are available
     // event is the MuiGridCellEditStartReasons object or similar
     console.log('%c[handleCellDoubleClick] CALLED', 'color: blueviolet; font-weight: bold;', 'Field:', params.field, 'Task Status:', params.row?.status, 'User Role:', currentUser?.role);
+    const foreignLock = getForeignLock(params.id);
+    if (foreignLock) {
+      setAlertInfo({ open: true, message: `This task is being edited by ${foreignLock.name}.`, severity: 'warning' });
+      event.defaultMuiPrevented = true;
+      return;
+    }
     const targetFields = ['actualCompletion', 'remarks'];
     if (!targetFields.includes(params.field)) {
       return; // Not a field we're interested in for this specific restriction
@@ -351,7 +540,7 @@ const SeasonDetailPage = () => {
       return;
     }
     console.log('%c[handleCellDoubleClick] ALLOWING default double-click behavior.', 'color: green;');
-  }, [currentUser, setAlertInfo]);
+  }, [currentUser, setAlertInfo, getForeignLock]);
 
   const handleSaveClick = (id) => () => {
     setRowModesModel({ ...rowModesModel, [id]: { mode: GridRowModes.View } });
@@ -364,6 +553,65 @@ const SeasonDetailPage = () => {
     });
   };
 
+  // Rows take a soft lock while in edit mode so other users cannot edit them at the same time
+  useEffect(() => {
+    const editingIds = Object.keys(rowModesModel).filter(id => rowModesModel[id]?.mode === GridRowModes.Edit);
+    const heldLocks = heldLocksRef.current;
+    editingIds.filter(id => !heldLocks.has(id)).forEach(async (id) => {
+      heldLocks.add(id);
+      try {
+        await seasonService.acquireTaskLock(seasonId, id);
+      } catch (err) {
+        // Offline edits go to the sync queue, which detects conflicts on replay
+        if (err.isNetworkError) return;
+        heldLocks.delete(id);
+        setRowModesModel(prev => ({ ...prev, [id]: { mode: GridRowModes.View, ignoreModifications: true } }));
+        if (err.lock) {
+          setTaskLocks(prev => ({ ...prev, [id]: err.lock }));
+        }
+        setAlertInfo({
+          open: true,
+          message: err.lock ? `This task is being edited by ${err.lock.name}.` : err.message || 'Could not lock the task for editing.',
+          severity: 'warning',
+        });
+      }
+    });
+    [...heldLocks].filter(id => !editingIds.includes(id)).forEach(id => {
+      heldLocks.delete(id);
+      seasonService.releaseTaskLock(seasonId, id).catch(() => {});
+    });
+  }, [rowModesModel, seasonId]);
+
+  // Renew held locks so they do not time out during a long edit, and release them on leave
+  useEffect(() => {
+    const heldLocks = heldLocksRef.current;
+    const interval = setInterval(() => {
+      heldLocks.forEach(id => seasonService.acquireTaskLock(seasonId, id).catch(() => {}));
+    }, LOCK_RENEW_MS);
+    return () => {
+      clearInterval(interval);
+      heldLocks.forEach(id => seasonService.releaseTaskLock(seasonId, id).catch(() => {}));
+      heldLocks.clear();
+    };
+  }, [seasonId]);
+
+  const handleBreakLock = async (taskId, lock) => {
+    if (!window.confirm(`Break the edit lock held by ${lock.name}? Their unsaved changes may be overwritten.`)) {
+      return;
+    }
+    try {
+      await seasonService.releaseTaskLock(seasonId, taskId, { force: true });
+      setTaskLocks(prev => {
+        const next = { ...prev };
+        delete next[taskId];
+        return next;
+      });
+      setAlertInfo({ open: true, message: 'Edit lock released.', severity: 'success' });
+    } catch (err) {
+      setAlertInfo({ open: true, message: err.message || 'Failed to break the edit lock.', severity: 'error' });
+    }
+  };
+
   const handleRowModesModelChange = (newRowModesModel) => {
     setRowModesModel(newRowModesModel);
   };
@@ -379,10 +627,11 @@ const SeasonDetailPage = () => {
     const newCompletion = newRow.actualCompletion ? moment(newRow.actualCompletion).toISOString() : null;
     
     if (newCompletion !== oldCompletion) {
-      if (newCompletion && newRow.computedDates?.start && moment(newCompletion).isBefore(moment(newRow.computedDates.start), 'day')) {
+      const completionError = validateCompletionDate(newRow, newCompletion);
+      if (completionError) {
         setAlertInfo({
           open: true,
-          message: 'Actual completion date cannot be earlier than the start date.',
+          message: completionError,
           severity: 'error',
         });
         return Promise.reject(new Error('Invalid date'));
@@ -401,18 +650,18 @@ const SeasonDetailPage = () => {
     setIsUpdating(true);
 
     try {
-      const response = await seasonService.updateTaskInSeason(seasonId, newRow._id, apiPayload);
+      const response = await saveWithMerge({
+        title: `Task ${newRow.order} was changed by someone else`,
+        fieldDefinitions: TASK_MERGE_FIELDS,
+        original: oldRow,
+        yours: apiPayload,
+        save: (values, version) => seasonService.updateTaskInSeason(seasonId, newRow._id, withCompletionStatus(values), { version }),
+      });
 
       if (response && response.season && response.tasks) {
         console.log('Successfully updated task. Updating UI with new season and task data.');
         // Ensure tasks are sorted correctly after update
-        const sortedTasks = response.tasks.sort((a, b) => {
-          const orderA = a.order;
-          const orderB = b.order;
-          if (orderA.length < orderB.length) return -1;
-          if (orderA.length > orderB.length) return 1;
-          return orderA.localeCompare(orderB);
-        });
+        const sortedTasks = sortByOrder(response.tasks);
 
         setSeasonDetails(response.season);
         setTaskList(sortedTasks);
@@ -425,13 +674,27 @@ const SeasonDetailPage = () => {
       }
     } catch (err) {
       console.error('[handleProcessRowUpdate] API call failed. Full error object:', err);
-      const errorMessage = err?.response?.data?.message || err?.message || 'An unknown error occurred during task update.';
+      if (err.isDiscarded) {
+        setTaskList(prev => prev.map(task => (task._id === newRow._id ? { ...task, ...err.current } : task)));
+        setAlertInfo({ open: true, message: err.message, severity: 'info' });
+        return { ...oldRow, ...err.current };
+      }
+      if (isNetworkError(err)) {
+        try {
+          await queueTaskUpdate({ season: seasonDetails, task: oldRow, payload: apiPayload });
+          setAlertInfo({ open: true, message: 'You appear to be offline. The change was saved on this device and will sync when the connection returns.', severity: 'warning' });
+          return { ...newRow, ...apiPayload };
+        } catch (queueError) {
+          console.error('[handleProcessRowUpdate] Could not queue the update for sync:', queueError);
+        }
+      }
+      const errorMessage = err?.message || 'An unknown error occurred during task update.';
       setAlertInfo({ open: true, message: errorMessage, severity: 'error' });
       return Promise.reject(new Error(errorMessage));
     } finally {
       setIsUpdating(false);
     }
-  }, [seasonId, setAlertInfo, setTaskList, setIsUpdating]);
+  }, [seasonId, seasonDetails, queueTaskUpdate, saveWithMerge, setAlertInfo, setTaskList, setIsUpdating]);
 
   const handleProcessRowUpdateError = useCallback((error) => {
     // The 'error' here is what was rejected from processRowUpdate
@@ -447,43 +710,35 @@ const SeasonDetailPage = () => {
   }, [setAlertInfo]);
 
   const isCellEditable = useCallback((params) => {
-    if (authLoading || !currentUser || !seasonDetails) {
-      return false;
-    }
-
-    if (seasonDetails?.status !== 'Open') {
+    if (authLoading) {
       return false;
     }
+    return canEditTask(params.row, seasonDetails, currentUser);
+  }, [currentUser, seasonDetails, authLoading]);
 
-    const userRole = currentUser?.role.toLowerCase();
-    const isAdminOrPlanner = userRole === 'admin' || userRole === 'planner';
-    const taskStatusLower = params.row?.status ? params.row.status.toLowerCase() : null;
-
-    if (taskStatusLower === 'completed' && !isAdminOrPlanner) {
-      return false;
+  // Clicking a Gantt bar goes through the same checks as the grid's Edit action
+  const handleGanttTaskClick = useCallback((task) => {
+    if (!isCellEditable({ row: task })) {
+      setAlertInfo({ open: true, message: 'You are not allowed to edit this task.', severity: 'warning' });
+      return;
     }
-
-    // Check if user's department is in the responsible list
-    const responsibleDepartments = params.row.responsible.map(d => d.toLowerCase());
-    const userDepartment = currentUser?.department?.name.toLowerCase();
-
-    // A cell is editable if the user is an admin/planner OR their department is responsible for the task.
-    return isAdminOrPlanner || responsibleDepartments.includes(userDepartment);
-  }, [currentUser, seasonDetails, authLoading]);
+    setActiveView('table');
+    handleEditClick(task._id, task);
+  }, [isCellEditable, handleEditClick]);
 
   const handleRemarkUpdate = async (row, newRemarks) => {
     const apiPayload = { remarks: newRemarks };
     setIsUpdating(true);
     try {
-      const response = await seasonService.updateTaskInSeason(seasonId, row._id, apiPayload);
+      const response = await saveWithMerge({
+        title: `Task ${row.order} was changed by someone else`,
+        fieldDefinitions: TASK_MERGE_FIELDS,
+        original: row,
+        yours: apiPayload,
+        save: (values, version) => seasonService.updateTaskInSeason(seasonId, row._id, values, { version }),
+      });
       if (response && response.tasks) {
-        const sortedTasks = response.tasks.sort((a, b) => {
-          const orderA = a.order;
-          const orderB = b.order;
-          if (orderA.length < orderB.length) return -1;
-          if (orderA.length > orderB.length) return 1;
-          return orderA.localeCompare(orderB);
-        });
+        const sortedTasks = sortByOrder(response.tasks);
         setTaskList(sortedTasks);
         setAlertInfo({ open: true, message: 'Remarks updated successfully!', severity: 'success' });
       } else {
@@ -491,12 +746,136 @@ const SeasonDetailPage = () => {
       }
     } catch (err) {
       console.error('Failed to update remarks:', err);
+      if (err.isDiscarded) {
+        setTaskList(prev => prev.map(task => (task._id === row._id ? { ...task, ...err.current } : task)));
+        setAlertInfo({ open: true, message: err.message, severity: 'info' });
+        return;
+      }
+      if (isNetworkError(err)) {
+        try {
+          await queueTaskUpdate({ season: seasonDetails, task: row, payload: apiPayload });
+          setAlertInfo({ open: true, message: 'You appear to be offline. The remarks were saved on this device and will sync when the connection returns.', severity: 'warning' });
+          return;
+        } catch (queueError) {
+          console.error('Could not queue the remarks update for sync:', queueError);
+        }
+      }
       setAlertInfo({ open: true, message: err.message || 'Failed to update remarks.', severity: 'error' });
     } finally {
       setIsUpdating(false);
     }
   };
 
+  // Applies a what-if scenario one task at a time so a single failure does not lose the rest.
+  // Each change is checked against the same rules as the grid edits before it is sent, and
+  // every change reports its own result so the panel can keep the rejected ones.
+  const handleApplySimulation = async (changes) => {
+    setIsUpdating(true);
+    const results = [];
+    for (const { task, payload } of changes) {
+      try {
+        const scheduled = scheduledTaskList.find(t => t._id === task._id) || task;
+        const validationError = ('leadTime' in payload ? validateLeadTime(payload.leadTime) : null)
+          || ('actualCompletion' in payload ? validateCompletionDate(scheduled, payload.actualCompletion) : null);
+        if (validationError) {
+          throw new Error(validationError);
+        }
+        await seasonService.updateTaskInSeason(seasonId, task._id, payload, { version: getRecordVersion(task) });
+        results.push({ task, success: true });
+      } catch (err) {
+        console.error(`Failed to apply simulated change to task ${task.order}:`, err);
+        results.push({ task, success: false, message: err.message || 'Failed to update task.' });
+      }
+    }
+    setIsUpdating(false);
+    await fetchSeasonDetails();
+    const failures = results.filter(result => !result.success);
+    if (failures.length > 0) {
+      setAlertInfo({
+        open: true,
+        message: `${failures.length} of ${results.length} change(s) could not be applied. ${failures.map(({ task, message }) => `${task.order}: ${message}`).join('; ')}`,
+        severity: 'error',
+      });
+    } else {
+      setAlertInfo({ open: true, message: `Scenario applied to ${results.length} task(s).`, severity: 'success' });
+    }
+    return results;
+  };
+  // The grid's "select all" switches the model to exclude mode, so resolve it against the rows
+  const selectedTasks = useMemo(() => scheduledTaskList.filter(task => (
+    rowSelectionModel.type === 'exclude'
+      ? !rowSelectionModel.ids.has(task._id)
+      : rowSelectionModel.ids.has(task._id)
+  )), [scheduledTaskList, rowSelectionModel]);
+
+  const buildBulkPayload = (action, value, task) => {
+    if (action === 'complete') {
+      const completionError = validateCompletionDate(task, value);
+      if (completionError) {
+        throw new Error(completionError);
+      }
+      return task.status === 'completed' ? { actualCompletion: value } : { actualCompletion: value, status: 'completed' };
+    }
+    if (action === 'remark') {
+      return { remarks: task.remarks ? `${task.remarks}\n${value}` : value };
+    }
+    if (!task.actualCompletion) {
+      throw new Error('Task has no completion date to clear.');
+    }
+    return { actualCompletion: null, status: 'pending' };
+  };
+
+  // Bulk actions run one task at a time, in order, so a task can become actionable once the
+  // tasks before it are completed, and every row reports its own result.
+  const handleBulkAction = async (action, value) => {
+    let currentTasks = taskList;
+    let latestSeason = null;
+    const results = [];
+    setIsUpdating(true);
+    for (const selected of sortByOrder([...selectedTasks])) {
+      const task = { ...currentTasks.find(t => t._id === selected._id), computedDates: selected.computedDates };
+      try {
+        if (!isCellEditable({ row: task })) {
+          throw new Error('You are not allowed to edit this task.');
+        }
+        // Remarks follow the Remarks cell, which only needs the cell to be editable
+        const blocker = action !== 'remark' ? getTaskEditBlocker(task, currentTasks) : null;
+        if (blocker) {
+          throw new Error(blocker.message);
+        }
+        const payload = buildBulkPayload(action, value, task);
+        try {
+          const response = await seasonService.updateTaskInSeason(seasonId, task._id, payload, { version: getRecordVersion(task) });
+          if (response && response.tasks) {
+            currentTasks = sortByOrder(response.tasks);
+            latestSeason = response.season || latestSeason;
+          }
+          results.push({ task, success: true });
+        } catch (err) {
+          if (!isNetworkError(err)) throw err;
+          await queueTaskUpdate({ season: seasonDetails, task, payload });
+          currentTasks = currentTasks.map(t => (t._id === task._id ? { ...t, ...payload } : t));
+          results.push({ task, success: true, queued: true });
+        }
+      } catch (err) {
+        console.error(`Bulk ${action} failed for task ${task.order}:`, err);
+        results.push({ task, success: false, message: err.message || 'Failed to update task.' });
+      }
+    }
+    setTaskList(currentTasks);
+    if (latestSeason) {
+      setSeasonDetails(latestSeason);
+    }
+    setIsUpdating(false);
+    return results;
+  };
+
+  const handleBulkDialogClose = () => {
+    setBulkAction(null);
+    setRowSelectionModel({ type: 'include', ids: new Set() });
+  };
+
+
   const AttachmentCell = ({ params, seasonId, onUploadSuccess }) => {
     const fileInputRef = useRef(null);
     const [anchorEl, setAnchorEl] = useState(null);
@@ -654,6 +1033,7 @@ const SeasonDetailPage = () => {
         width: 130,
         editable: false,
         renderCell: (params) => (
+          <>
           <Chip
             label={params.value}
             size="small"
@@ -672,6 +1052,13 @@ const SeasonDetailPage = () => {
                 : 'outlined'
             }
           />
+          {pendingSyncTaskIds.has(params.row._id) && (
+            <CloudUploadIcon fontSize="small" color="info" titleAccess="Pending sync" sx={{ ml: 0.5, verticalAlign: 'middle' }} />
+          )}
+          {rejectedSyncTaskIds.has(params.row._id) && (
+            <SyncProblemIcon fontSize="small" color="error" titleAccess="Offline edit not synced; see Pending Sync" sx={{ ml: 0.5, verticalAlign: 'middle' }} />
+          )}
+          </>
         ),
       },
       {
@@ -724,6 +1111,43 @@ const SeasonDetailPage = () => {
         valueFormatter: (value) => (value ? moment(value).format('DD-MMM-YY') : ''),
         cellClassName: 'font-tabular-nums',
       },
+      {
+        field: 'totalFloat',
+        headerName: 'Total Float',
+        description: 'Days this task can slip without moving the season end date',
+        type: 'number',
+        width: 90,
+        editable: false,
+        align: 'right',
+        headerAlign: 'right',
+        valueGetter: (value, row) => criticalPathAnalysis.schedule.get(row._id)?.totalFloat ?? null,
+        renderCell: (params) => {
+          if (params.value === null || params.value === undefined) return '';
+          return (
+            <Typography
+              variant="body2"
+              color={params.value === 0 ? 'error.main' : 'text.primary'}
+              sx={{ fontWeight: params.value === 0 ? 'bold' : 'normal', pt: 2 }}
+            >
+              {params.value === 0 ? 'Critical' : `${params.value}d`}
+            </Typography>
+          );
+        },
+        cellClassName: 'font-tabular-nums',
+      },
+      {
+        field: 'freeFloat',
+        headerName: 'Free Float',
+        description: 'Days this task can slip without delaying any following task',
+        type: 'number',
+        width: 90,
+        editable: false,
+        align: 'right',
+        headerAlign: 'right',
+        valueGetter: (value, row) => criticalPathAnalysis.schedule.get(row._id)?.freeFloat ?? null,
+        valueFormatter: (value) => (value === null || value === undefined ? '' : `${value}d`),
+        cellClassName: 'font-tabular-nums',
+      },
       {
         field: 'actualCompletion',
         headerName: 'Actual Completion',
@@ -740,20 +1164,17 @@ const SeasonDetailPage = () => {
       {
         field: 'dateSpend',
         headerName: 'Date Spend',
+        description: 'Working days between the planned end and the actual completion',
         width: 70,
         editable: false,
         align: 'center',
         headerAlign: 'center',
         renderCell: (params) => {
-          const { row } = params;
-          if (!row || !row.actualCompletion || !row.computedDates?.end) {
+          const diff = calculateDateSpend(params.row, workingCalendar);
+          if (diff === null) {
             return '';
           }
 
-          const actual = moment(row.actualCompletion).startOf('day');
-          const plannedEnd = moment(row.computedDates.end).startOf('day');
-          const diff = actual.diff(plannedEnd, 'days');
-
           const text = diff > 0 ? `+${diff}d` : `${diff}d`;
           const color =
             diff > 0 ? 'error.main' : diff < 0 ? 'success.main' : 'text.secondary';
@@ -820,6 +1241,23 @@ const SeasonDetailPage = () => {
                 />,
               ];
             }
+            const foreignLock = getForeignLock(params.id);
+            if (foreignLock) {
+              return [
+                <Tooltip title={`Being edited by ${foreignLock.name}`}>
+                  <LockIcon fontSize="small" color="action" />
+                </Tooltip>,
+                ...(currentUser?.role === 'Admin' ? [
+                  <GridActionsCellItem
+                    icon={<LockOpenIcon />}
+                    label="Break lock"
+                    title={`Break the lock held by ${foreignLock.name}`}
+                    onClick={() => handleBreakLock(params.id, foreignLock)}
+                    color="inherit"
+                  />,
+                ] : []),
+              ];
+            }
             return [
               <GridActionsCellItem
                 icon={<EditIcon />}
@@ -835,13 +1273,18 @@ const SeasonDetailPage = () => {
     ],
     [
       rowModesModel,
+      pendingSyncTaskIds,
+      rejectedSyncTaskIds,
+      getForeignLock,
+      handleBreakLock,
       currentUser,
       taskList,
       seasonId,
       fetchSeasonDetails,
       isCellEditable,
       handleRemarkUpdate,
-      isTaskActionable,
+      criticalPathAnalysis,
+      workingCalendar,
       handleSaveClick, 
       handleCancelClick, 
       handleEditClick
@@ -876,6 +1319,11 @@ const SeasonDetailPage = () => {
 
         {loading && <CircularProgress sx={{ position: 'absolute', top: '50%', left: '50%' }} />}
         {error && <Alert severity="error">{error}</Alert>}
+        {timelineIssues.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Timeline reference is incomplete. {formatDependencyIssues(timelineIssues)}
+          </Alert>
+        )}
         
         <Box sx={{ opacity: loading ? 0.3 : 1 }}>
         <Card sx={{
@@ -944,6 +1392,22 @@ const SeasonDetailPage = () => {
                 <EditIcon fontSize="small" />
               </IconButton>
             )}
+            {(currentUser?.role === 'Admin' || currentUser?.role === 'Planner') && (
+              <IconButton 
+                onClick={() => setDuplicateDialogOpen(true)} 
+                size="small" 
+                title="Duplicate Season"
+                sx={{
+                  backgroundColor: (theme) => theme.palette.primary.light,
+                  '&:hover': {
+                    backgroundColor: (theme) => theme.palette.primary.main,
+                    color: '#fff'
+                  }
+                }}
+              >
+                <ContentCopyIcon fontSize="small" />
+              </IconButton>
+            )}
           </Box>
           
           {/* Buyer info with interactive chip */}
@@ -975,6 +1439,29 @@ const SeasonDetailPage = () => {
             />
           </Box>
           
+          {/* Critical path summary */}
+          {criticalPathAnalysis.criticalPath.length > 0 && (
+            <Box sx={{ 
+              display: 'flex', 
+              alignItems: 'center', 
+              gap: 1.5,
+              flexWrap: 'wrap'
+            }}>
+              <Typography variant="body2" sx={{ 
+                color: 'text.secondary',
+                fontWeight: 500
+              }}>
+                Critical Path:
+              </Typography>
+              <Typography variant="body2" sx={{ color: 'error.main', fontWeight: 600 }}>
+                {criticalPathAnalysis.criticalPath.join(' → ')}
+              </Typography>
+              <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+                ({criticalPathAnalysis.projectDuration} days)
+              </Typography>
+            </Box>
+          )}
+
           {/* Additional details section */}
           {seasonDetails?.description && (
             <Box sx={{ mt: 1 }}>
@@ -998,6 +1485,21 @@ const SeasonDetailPage = () => {
           gap: 2,
           height: '100%'
         }}>
+          {/* Who else is viewing this season */}
+          {viewers.filter(viewer => viewer.userId !== currentUser?.id).length > 0 && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="body2" sx={{ color: 'text.secondary', fontWeight: 500 }}>
+                Also viewing:
+              </Typography>
+              <AvatarGroup max={5} sx={{ '& .MuiAvatar-root': { width: 28, height: 28, fontSize: 14 } }}>
+                {viewers.filter(viewer => viewer.userId !== currentUser?.id).map(viewer => (
+                  <Tooltip key={viewer.userId} title={viewer.name}>
+                    <Avatar alt={viewer.name}>{viewer.name?.charAt(0).toUpperCase()}</Avatar>
+                  </Tooltip>
+                ))}
+              </AvatarGroup>
+            </Box>
+          )}
           {/* Status with animated chip */}
           <Box sx={{ 
             display: 'flex', 
@@ -1012,7 +1514,7 @@ const SeasonDetailPage = () => {
             </Typography>
             <Chip
               label={seasonDetails?.status || 'Unknown'}
-              color={getStatusColor(seasonDetails?.status)}
+              color={getSeasonStatusColor(seasonDetails?.status)}
               sx={{ 
                 fontWeight: 700, 
                 minWidth: 100, 
@@ -1174,11 +1676,80 @@ const SeasonDetailPage = () => {
       >
         {isExporting ? <CircularProgress size={20} /> : 'Export Data'}
       </Button>
+      <Button
+        variant="outlined"
+        color="success"
+        startIcon={<FileDownloadIcon />}
+        onClick={() => setCustomExportOpen(true)}
+        disabled={taskList.length === 0}
+        sx={{ px: 3, textTransform: 'none', fontWeight: 500 }}
+      >
+        Custom Export
+      </Button>
+      <Button
+        variant="outlined"
+        startIcon={<PrintIcon />}
+        onClick={() => window.open(`/seasons/${seasonId}/report`, '_blank', 'noopener')}
+        sx={{ px: 3, textTransform: 'none', fontWeight: 500 }}
+      >
+        Print / PDF
+      </Button>
+      {(currentUser?.role === 'Admin' || currentUser?.role === 'Planner') && (
+        <Button
+          variant="outlined"
+          startIcon={<UploadFileIcon />}
+          onClick={() => setImportDialogOpen(true)}
+          disabled={!seasonDetails}
+          sx={{ px: 3, textTransform: 'none', fontWeight: 500 }}
+        >
+          Import Tasks
+        </Button>
+      )}
     </Box>
   </Box>
+          <Tabs value={activeView} onChange={(e, value) => setActiveView(value)} sx={{ mb: 2, borderBottom: 1, borderColor: 'divider' }}>
+            <Tab label="Table" value="table" />
+            <Tab label="Gantt" value="gantt" />
+            {(currentUser?.role === 'Admin' || currentUser?.role === 'Planner') && (
+              <Tab label="What-if" value="simulation" />
+            )}
+          </Tabs>
+          {activeView === 'simulation' ? (
+            <ScheduleSimulationPanel
+              tasks={taskList}
+              seasonStartDate={seasonStartDate}
+              calendar={workingCalendar}
+              onApply={handleApplySimulation}
+            />
+          ) : activeView === 'gantt' ? (
+            <SeasonGanttChart
+              tasks={scheduledTaskList}
+              referenceTimeline={referenceTimeline}
+              isTaskActionable={(task) => isTaskActionable(task, taskList)}
+              criticalSchedule={criticalPathAnalysis.schedule}
+              onTaskClick={handleGanttTaskClick}
+            />
+          ) : (
+          <>
+          {selectedTasks.length > 0 && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+              <Typography variant="body2" sx={{ fontWeight: 500, mr: 1 }}>
+                {selectedTasks.length} task(s) selected
+              </Typography>
+              {Object.entries(BULK_ACTIONS).map(([action, { title }]) => (
+                <Button key={action} size="small" variant="outlined" onClick={() => setBulkAction(action)} disabled={isUpdating}>
+                  {title}
+                </Button>
+              ))}
+              <Button size="small" onClick={() => setRowSelectionModel({ type: 'include', ids: new Set() })}>
+                Clear Selection
+              </Button>
+            </Box>
+          )}
           <Box sx={{ height: 'calc(100vh - 250px)', width: '100%' }}>
             <DataGrid
-              rows={taskList}
+              apiRef={gridApiRef}
+              rows={scheduledTaskList}
               columns={columns}
               getRowId={(row) => row._id}
               getRowClassName={getRowClassName}
@@ -1191,27 +1762,40 @@ const SeasonDetailPage = () => {
               onCellDoubleClick={handleCellDoubleClick}
               processRowUpdate={handleProcessRowUpdate}
               onProcessRowUpdateError={handleProcessRowUpdateError}
+              checkboxSelection
+              disableRowSelectionOnClick
+              rowSelectionModel={rowSelectionModel}
+              onRowSelectionModelChange={setRowSelectionModel}
               initialState={{ pagination: { paginationModel: { pageSize: 100 } } }}
               pageSizeOptions={[10, 25, 50, 100]}
               slotProps={{}}
               sx={{
-                '& .row-completed': {
-                  backgroundColor: 'rgba(102, 187, 106, 0.2) !important',
-                  '&:hover': {
-                    backgroundColor: 'rgba(102, 187, 106, 0.4) !important',
+                ...getTaskRowStyles(),
+                '& .row-critical': {
+                  boxShadow: 'inset 4px 0 0 #d32f2f',
+                  '& .MuiDataGrid-cell[data-field="order"]': {
+                    color: '#d32f2f',
+                    fontWeight: 'bold',
                   },
                 },
-                '& .row-actionable': {
-                  backgroundColor: 'rgba(255, 167, 38, 0.2) !important',
-                  '&:hover': {
-                    backgroundColor: 'rgba(255, 167, 38, 0.4) !important',
-                  },
+                '@keyframes liveUpdateFlash': {
+                  '0%': { backgroundColor: 'rgba(41, 182, 246, 0.45)' },
+                  '100%': { backgroundColor: 'transparent' },
                 },
-                '& .row-pending': {
-                  backgroundColor: 'rgb(245, 243, 241) !important',
-                  '&:hover': {
-                    backgroundColor: 'rgba(255, 255, 255, 0.69) !important',
-                  },
+                '& .row-live-updated .MuiDataGrid-cell': {
+                  animation: 'liveUpdateFlash 3s ease-out',
+                },
+                '& .row-focused': {
+                  outline: '2px solid #f9a825',
+                  outlineOffset: '-2px',
+                },
+                '& .row-pending-sync': {
+                  outline: '2px dashed #0288d1',
+                  outlineOffset: '-2px',
+                },
+                '& .row-sync-rejected': {
+                  outline: '2px dashed #d32f2f',
+                  outlineOffset: '-2px',
                 },
                 '@keyframes pulse': {
                   '0%': { backgroundColor: 'rgba(255, 229, 102, 0.4)', boxShadow: '0 0 0 0 rgba(255, 229, 102, 0.6)' },
@@ -1258,12 +1842,33 @@ const SeasonDetailPage = () => {
               }}
             />
           </Box>
+          </>
+          )}
         </Box>
       </Paper>
       <ActivityLogViewer
         open={logViewerOpen}
         onClose={() => setLogViewerOpen(false)}
         seasonId={seasonId}
+        seasonName={seasonDetails?.name}
+      />
+      {seasonDetails && (
+        <ExportDialog
+          open={customExportOpen}
+          onClose={() => setCustomExportOpen(false)}
+          title="Export Season Tasks"
+          columns={TASK_EXPORT_COLUMNS}
+          options={SEASON_EXPORT_OPTIONS}
+          defaultFilename={seasonDetails.name}
+          onExport={handleCustomExport}
+        />
+      )}
+      <TaskImportDialog
+        open={importDialogOpen}
+        onClose={() => setImportDialogOpen(false)}
+        season={seasonDetails}
+        tasks={taskList}
+        onImported={fetchSeasonDetails}
       />
       {seasonDetails && (
         <EditSeasonModal
@@ -1273,6 +1878,29 @@ const SeasonDetailPage = () => {
           onSave={handleSaveSeasonDetails}
         />
       )}
+      {seasonDetails && (
+        <DuplicateSeasonDialog
+          open={duplicateDialogOpen}
+          onClose={() => setDuplicateDialogOpen(false)}
+          season={seasonDetails}
+          tasks={taskList}
+          onDuplicated={handleSeasonDuplicated}
+        />
+      )}
+      <MergeConflictDialog
+        open={Boolean(mergeRequest)}
+        title={mergeRequest?.title || ''}
+        fields={mergeRequest?.fields || []}
+        onResolve={handleMergeResolved}
+        onCancel={handleMergeCancelled}
+      />
+      <BulkTaskActionsDialog
+        open={Boolean(bulkAction)}
+        action={bulkAction}
+        tasks={selectedTasks}
+        onClose={handleBulkDialogClose}
+        onRun={handleBulkAction}
+      />
     </>
   );
 };
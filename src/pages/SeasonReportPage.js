@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import moment from 'moment';
+import {
+  Box, Typography, Button, Chip, CircularProgress, Alert, Table, TableBody, TableCell, TableHead, TableRow,
+  ToggleButton, ToggleButtonGroup
+} from '@mui/material';
+import PrintIcon from '@mui/icons-material/Print';
+import WarningIcon from '@mui/icons-material/Warning';
+import seasonService from '../services/seasonService';
+import calendarService from '../services/calendarService';
+import { sortByOrder, calculateCriticalPath } from '../utils/timeline';
+import { calculateDateSpend } from '../utils/analytics';
+import { createWorkingCalendar, hasNonWorkingDays } from '../utils/workingCalendar';
+import { getSeasonStatusColor, getTaskRowClassName, TASK_ROW_COLORS } from '../utils/statusStyles';
+
+// Printable width of a landscape page with 10mm margins
+const PAPER_WIDTHS_MM = { A4: 277, A3: 400 };
+const GANTT_WIDTH = 1000;
+const GANTT_LABEL_WIDTH = 60;
+const GANTT_ROW_HEIGHT = 12;
+const GANTT_HEADER_HEIGHT = 16;
+
+const formatDate = (date) => (date ? moment(date).format('DD-MMM-YY') : '-');
+
+// Completed tasks are compared with their planned end; open tasks count the days they are overdue so far
+const getVariance = (task, calendar) => {
+  if (task.actualCompletion) return { days: calculateDateSpend(task, calendar), isOpen: false };
+  const end = task.computedDates?.end;
+  const today = moment().startOf('day');
+  if (!end || !moment(end).isBefore(today, 'day')) return { days: null, isOpen: true };
+  const days = calendar
+    ? calendar.diffWorkingDays(today, moment(end).startOf('day'), task.responsible)
+    : today.diff(moment(end).startOf('day'), 'days');
+  return { days, isOpen: true };
+};
+
+const formatVariance = ({ days, isOpen }) => {
+  if (days === null) return '-';
+  const text = `${days > 0 ? '+' : ''}${days}d`;
+  return isOpen ? `${text} (open)` : text;
+};
+
+const MiniGantt = ({ tasks }) => {
+  const dated = tasks.filter(task => task.computedDates?.start && task.computedDates?.end);
+  if (dated.length === 0) return <Typography variant="body2">No scheduled tasks.</Typography>;
+
+  const dates = dated.flatMap(task => [moment(task.computedDates.start), moment(task.computedDates.end)])
+    .concat(dated.filter(task => task.actualCompletion).map(task => moment(task.actualCompletion)));
+  const start = moment.min(dates).startOf('day');
+  const end = moment.max(dates).startOf('day').add(1, 'day');
+  const totalDays = Math.max(end.diff(start, 'days'), 1);
+  const plotWidth = GANTT_WIDTH - GANTT_LABEL_WIDTH;
+  const xOf = (date) => GANTT_LABEL_WIDTH + (moment(date).diff(start, 'hours') / 24 / totalDays) * plotWidth;
+  const height = GANTT_HEADER_HEIGHT + dated.length * GANTT_ROW_HEIGHT;
+
+  // Roughly ten ticks across the chart, on week or month starts
+  const tickUnit = totalDays > 120 ? 'month' : 'isoWeek';
+  const ticks = [];
+  for (let tick = moment(start).startOf(tickUnit); tick.isBefore(end); tick.add(1, tickUnit === 'isoWeek' ? 'week' : 'month')) {
+    if (!tick.isBefore(start)) ticks.push(moment(tick));
+  }
+  const tickStep = Math.max(1, Math.ceil(ticks.length / 10));
+  const today = moment();
+
+  return (
+    <svg viewBox={`0 0 ${GANTT_WIDTH} ${height}`} width="100%" style={{ fontFamily: 'Roboto, Arial, sans-serif' }}>
+      {ticks.filter((tick, index) => index % tickStep === 0).map(tick => (
+        <g key={tick.valueOf()}>
+          <line x1={xOf(tick)} x2={xOf(tick)} y1={GANTT_HEADER_HEIGHT - 4} y2={height} stroke="#e0e0e0" strokeWidth={0.5} />
+          <text x={xOf(tick) + 2} y={10} fontSize={8} fill="#616161">{tick.format('DD-MMM')}</text>
+        </g>
+      ))}
+      {today.isBetween(start, end) && (
+        <line x1={xOf(today)} x2={xOf(today)} y1={GANTT_HEADER_HEIGHT - 4} y2={height} stroke="#d32f2f" strokeWidth={0.8} strokeDasharray="3 2" />
+      )}
+      {dated.map((task, index) => {
+        const y = GANTT_HEADER_HEIGHT + index * GANTT_ROW_HEIGHT;
+        const colors = TASK_ROW_COLORS[getTaskRowClassName(task, tasks)] || TASK_ROW_COLORS['row-pending'];
+        const x = xOf(task.computedDates.start);
+        return (
+          <g key={task._id}>
+            <text x={2} y={y + 8} fontSize={7} fill="#424242">{task.order}</text>
+            <rect x={x} y={y + 2} width={Math.max(xOf(task.computedDates.end) - x, 1.5)} height={GANTT_ROW_HEIGHT - 4} fill={colors.solid} rx={1} />
+            {task.actualCompletion && (
+              <rect x={xOf(task.actualCompletion) - 1} y={y + 1} width={2} height={GANTT_ROW_HEIGHT - 2} fill="#212121" />
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+const SeasonReportPage = () => {
+  const { seasonId } = useParams();
+  const [season, setSeason] = useState(null);
+  const [tasks, setTasks] = useState([]);
+  const [workingCalendar, setWorkingCalendar] = useState(null);
+  const [paperSize, setPaperSize] = useState('A4');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const fetchReport = async () => {
+      try {
+        const [data, calendar] = await Promise.all([
+          seasonService.getSeasonById(seasonId, { signal }),
+          calendarService.getCalendar({ signal }).catch(() => null), // Fall back to calendar days
+        ]);
+        setSeason(data.season);
+        setTasks(sortByOrder(data.tasks || []));
+        setWorkingCalendar(calendar && hasNonWorkingDays(calendar) ? createWorkingCalendar(calendar) : null);
+      } catch (err) {
+        if (err.isCanceled) return;
+        console.error('Error fetching season report:', err);
+        setError(err.message || 'Failed to fetch season details.');
+      } finally {
+        if (!signal.aborted) setLoading(false);
+      }
+    };
+    fetchReport();
+    return () => controller.abort();
+  }, [seasonId]);
+
+  const criticalSchedule = useMemo(() => calculateCriticalPath(tasks).schedule, [tasks]);
+
+  // Remarks of the tasks still open, listed under each responsible department
+  const openRemarksByDepartment = useMemo(() => {
+    const groups = new Map();
+    tasks.filter(task => task.status !== 'completed' && task.remarks?.trim()).forEach(task => {
+      (task.responsible?.length ? task.responsible : ['Unassigned']).forEach(department => {
+        if (!groups.has(department)) groups.set(department, []);
+        groups.get(department).push(task);
+      });
+    });
+    return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+  }, [tasks]);
+
+  useEffect(() => {
+    if (season) document.title = `${season.name} - Timeline Report`;
+  }, [season]);
+
+  if (loading) {
+    return <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}><CircularProgress /></Box>;
+  }
+  if (error || !season) {
+    return <Alert severity="error" sx={{ m: 2 }}>{error || 'Season not found.'}</Alert>;
+  }
+
+  const plannedEnds = tasks.map(task => task.computedDates?.end).filter(Boolean).map(date => moment(date));
+  const completedCount = tasks.filter(task => task.status === 'completed').length;
+  const cellSx = { fontSize: '8pt', py: 0.25, px: 0.5, borderColor: '#bdbdbd' };
+
+  return (
+    <Box
+      sx={{
+        width: `${PAPER_WIDTHS_MM[paperSize]}mm`,
+        mx: 'auto',
+        my: 2,
+        bgcolor: 'background.paper',
+        WebkitPrintColorAdjust: 'exact',
+        printColorAdjust: 'exact',
+        '@media print': { my: 0 },
+      }}
+    >
+      <style>{`@page { size: ${paperSize} landscape; margin: 10mm; }`}</style>
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 2, mb: 2, '@media print': { display: 'none' } }}>
+        <ToggleButtonGroup size="small" exclusive value={paperSize} onChange={(e, value) => value && setPaperSize(value)}>
+          <ToggleButton value="A4">A4 Landscape</ToggleButton>
+          <ToggleButton value="A3">A3 Landscape</ToggleButton>
+        </ToggleButtonGroup>
+        <Button variant="contained" startIcon={<PrintIcon />} onClick={() => window.print()}>
+          Print / Save as PDF
+        </Button>
+      </Box>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', borderBottom: '2px solid #424242', pb: 1, mb: 1 }}>
+        <Box>
+          <Typography variant="h5" component="h1">{season.name}</Typography>
+          <Typography variant="body2">
+            Buyer: {season.buyer?.name || 'N/A'} · Created: {formatDate(season.createdAt)} · Start: {formatDate(season.startDate || season.createdAt)}
+            {' '}· Planned end: {plannedEnds.length > 0 ? formatDate(moment.max(plannedEnds)) : '-'}
+          </Typography>
+          <Typography variant="body2">
+            {completedCount} of {tasks.length} task(s) completed · Variance in {workingCalendar ? 'working' : 'calendar'} days
+          </Typography>
+        </Box>
+        <Box sx={{ textAlign: 'right' }}>
+          <Chip label={season.status} color={getSeasonStatusColor(season.status)} size="small" />
+          <Typography variant="caption" component="div" sx={{ mt: 0.5 }}>Printed {moment().format('DD-MMM-YY HH:mm')}</Typography>
+        </Box>
+      </Box>
+      {season.requireAttention?.length > 0 && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+          <WarningIcon fontSize="small" color="error" />
+          <Typography variant="body2" sx={{ color: 'error.main', fontWeight: 600 }}>Requires Attention:</Typography>
+          {season.requireAttention.map(department => (
+            <Chip key={department} label={department} size="small" color="error" variant="outlined" />
+          ))}
+        </Box>
+      )}
+
+      <Table size="small" aria-label="season timeline report" sx={{ '& thead': { display: 'table-header-group' }, '& tr': { breakInside: 'avoid' } }}>
+        <TableHead>
+          <TableRow>
+            {['Order', 'Task', 'Responsible', 'Preceding', 'Lead', 'Planned Start', 'Planned End', 'Actual', 'Variance', 'Status', 'Remarks'].map(label => (
+              <TableCell key={label} sx={{ ...cellSx, fontWeight: 'bold', bgcolor: '#eeeeee' }}>{label}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {tasks.map(task => {
+            const rowColors = TASK_ROW_COLORS[getTaskRowClassName(task, tasks)];
+            const isCritical = criticalSchedule.get(task._id)?.isCritical;
+            const variance = getVariance(task, workingCalendar);
+            return (
+              <TableRow
+                key={task._id}
+                sx={{
+                  bgcolor: rowColors?.background,
+                  boxShadow: isCritical ? 'inset 4px 0 0 #d32f2f' : undefined,
+                }}
+              >
+                <TableCell sx={{ ...cellSx, fontWeight: isCritical ? 'bold' : undefined, color: isCritical ? '#d32f2f' : undefined }}>
+                  {task.order}
+                </TableCell>
+                <TableCell sx={cellSx}>{task.name}</TableCell>
+                <TableCell sx={cellSx}>{(task.responsible || []).join(', ')}</TableCell>
+                <TableCell sx={cellSx}>{(task.precedingTasks || []).join(', ')}</TableCell>
+                <TableCell sx={cellSx}>{task.leadTime}d</TableCell>
+                <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }}>{formatDate(task.computedDates?.start)}</TableCell>
+                <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }}>{formatDate(task.computedDates?.end)}</TableCell>
+                <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap' }}>{formatDate(task.actualCompletion)}</TableCell>
+                <TableCell sx={{ ...cellSx, whiteSpace: 'nowrap', color: variance.days > 0 ? '#d32f2f' : variance.days < 0 ? '#2e7d32' : undefined }}>
+                  {formatVariance(variance)}
+                </TableCell>
+                <TableCell sx={{ ...cellSx, textTransform: 'capitalize' }}>{task.status}</TableCell>
+                <TableCell sx={{ ...cellSx, maxWidth: '60mm', whiteSpace: 'pre-wrap' }}>{task.remarks}</TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+      <Box sx={{ display: 'flex', gap: 2, mt: 0.5, mb: 2, flexWrap: 'wrap' }}>
+        {[['row-completed', 'Completed'], ['row-actionable', 'Actionable'], ['row-pending', 'Pending'], ['row-blocked', 'Blocked']].map(([className, label]) => (
+          <Box key={className} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Box sx={{ width: 12, height: 12, bgcolor: TASK_ROW_COLORS[className].solid }} />
+            <Typography variant="caption">{label}</Typography>
+          </Box>
+        ))}
+        <Typography variant="caption" sx={{ color: '#d32f2f' }}>Red order code: critical path</Typography>
+      </Box>
+
+      <Box sx={{ breakBefore: 'page', breakInside: 'avoid' }}>
+        <Typography variant="h6" gutterBottom>Timeline</Typography>
+        <MiniGantt tasks={tasks} />
+        <Typography variant="caption" component="p">
+          Bars show the planned dates; a black tick marks the actual completion and the dashed red line today.
+        </Typography>
+      </Box>
+
+      <Box sx={{ mt: 2 }}>
+        <Typography variant="h6" gutterBottom>Open Remarks per Department</Typography>
+        {openRemarksByDepartment.length === 0 && <Typography variant="body2">No open tasks have remarks.</Typography>}
+        {openRemarksByDepartment.map(([department, departmentTasks]) => (
+          <Box key={department} sx={{ mb: 1, breakInside: 'avoid' }}>
+            <Typography variant="subtitle2">{department}</Typography>
+            {departmentTasks.map(task => (
+              <Typography key={task._id} variant="body2" sx={{ pl: 2, fontSize: '9pt', whiteSpace: 'pre-wrap' }}>
+                <strong>{task.order} {task.name}:</strong> {task.remarks}
+              </Typography>
+            ))}
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default SeasonReportPage;
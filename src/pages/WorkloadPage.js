@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import moment from 'moment';
+import {
+  Typography, Paper, CircularProgress, Alert, Box, Button, Table, TableBody, TableCell, TableContainer,
+  TableHead, TableRow, Tooltip, FormControl, InputLabel, Select, MenuItem, FormControlLabel, Switch, Chip, Link
+} from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import seasonService from '../services/seasonService';
+import departmentService from '../services/departmentService';
+import { isTaskActionable } from '../utils/taskRules';
+import { calculateDepartmentWorkload, findOverloadedWeeks } from '../utils/workload';
+import { useRequestSignal } from '../hooks/useRequestSignal';
+
+const WEEK_OPTIONS = [4, 8, 12, 26];
+const TOOLTIP_TASK_LIMIT = 8;
+
+// Against a capacity the cell turns red once the week is over it; without one it is shaded
+// relative to the busiest week on the page
+const getCellColor = (count, capacity, maxCount) => {
+  if (count === 0) return 'transparent';
+  if (capacity) {
+    if (count > capacity) return 'rgba(211, 47, 47, 0.75)';
+    return `rgba(255, 167, 38, ${0.15 + 0.6 * (count / capacity)})`;
+  }
+  return `rgba(2, 136, 209, ${0.15 + 0.6 * (count / Math.max(maxCount, 1))})`;
+};
+
+const renderTaskTooltip = (entries) => (
+  <Box>
+    {entries.slice(0, TOOLTIP_TASK_LIMIT).map(({ season, task, dueDate }) => (
+      <Typography key={`${season._id}-${task._id}`} variant="caption" component="div">
+        {season.name} · {task.order} {task.name} (due {dueDate.format('DD-MMM')})
+      </Typography>
+    ))}
+    {entries.length > TOOLTIP_TASK_LIMIT && (
+      <Typography variant="caption" component="div">and {entries.length - TOOLTIP_TASK_LIMIT} more...</Typography>
+    )}
+  </Box>
+);
+
+const WorkloadPage = () => {
+  const [seasons, setSeasons] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [weekCount, setWeekCount] = useState(8);
+  const [actionableOnly, setActionableOnly] = useState(false);
+
+  const nextRequestSignal = useRequestSignal();
+
+  const fetchWorkload = useCallback(async () => {
+    const signal = nextRequestSignal();
+    setLoading(true);
+    try {
+      const [openSeasons, departmentList] = await Promise.all([
+        seasonService.getSeasonsWithTasks({ status: 'Open', signal }),
+        departmentService.getAllDepartments({ signal }),
+      ]);
+      setSeasons(openSeasons);
+      setDepartments(departmentList || []);
+      setError('');
+    } catch (err) {
+      if (err.isCanceled) return; // Replaced by a newer load, or the page was left
+      console.error('Error fetching workload:', err);
+      setError(err.message || 'Failed to fetch department workload.');
+    } finally {
+      if (!signal.aborted) setLoading(false);
+    }
+  }, [nextRequestSignal]);
+
+  useEffect(() => {
+    fetchWorkload();
+  }, [fetchWorkload]);
+
+  const workload = useMemo(() => {
+    const countedSeasons = actionableOnly
+      ? seasons.map(({ season, tasks }) => ({ season, tasks: tasks.filter(task => isTaskActionable(task, tasks)) }))
+      : seasons;
+    return calculateDepartmentWorkload(countedSeasons, { startDate: new Date(), weeks: weekCount, departments });
+  }, [seasons, departments, weekCount, actionableOnly]);
+
+  const overloadedWeeks = useMemo(() => findOverloadedWeeks(workload), [workload]);
+
+  const maxCount = useMemo(() => Math.max(0, ...workload.rows.flatMap(row => row.weeks.map(week => week.tasks.length))), [workload]);
+
+  if (loading && seasons.length === 0) {
+    return <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}><CircularProgress /></Box>;
+  }
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, flexWrap: 'wrap', gap: 2 }}>
+        <Box>
+          <Typography variant="h5" component="h1">Department Workload</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Open tasks due per department and week across {seasons.length} open season(s)
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <FormControlLabel
+            control={<Switch checked={actionableOnly} onChange={(e) => setActionableOnly(e.target.checked)} />}
+            label="Actionable only"
+          />
+          <FormControl size="small" sx={{ minWidth: 120 }}>
+            <InputLabel id="workload-weeks-label">Weeks</InputLabel>
+            <Select labelId="workload-weeks-label" label="Weeks" value={weekCount} onChange={(e) => setWeekCount(e.target.value)}>
+              {WEEK_OPTIONS.map(option => <MenuItem key={option} value={option}>{option} weeks</MenuItem>)}
+            </Select>
+          </FormControl>
+          <Button startIcon={<RefreshIcon />} onClick={fetchWorkload} disabled={loading}>
+            Refresh
+          </Button>
+        </Box>
+      </Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <TableContainer sx={{ mb: 3 }}>
+        <Table size="small" aria-label="department workload heatmap">
+          <TableHead>
+            <TableRow>
+              <TableCell>Department</TableCell>
+              <TableCell align="center">Capacity</TableCell>
+              <TableCell align="center">Overdue</TableCell>
+              {workload.weekStarts.map(weekStart => (
+                <TableCell key={weekStart.valueOf()} align="center" sx={{ whiteSpace: 'nowrap' }}>
+                  {weekStart.format('DD-MMM')}
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {workload.rows.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={workload.weekStarts.length + 3} align="center">No departments found.</TableCell>
+              </TableRow>
+            )}
+            {workload.rows.map(row => (
+              <TableRow key={row.department}>
+                <TableCell sx={{ fontWeight: 500 }}>{row.department}</TableCell>
+                <TableCell align="center">{row.capacity ?? '-'}</TableCell>
+                <TableCell align="center">
+                  {row.overdue.length > 0 ? (
+                    <Tooltip title={renderTaskTooltip(row.overdue)}>
+                      <Chip size="small" color="error" variant="outlined" label={row.overdue.length} />
+                    </Tooltip>
+                  ) : '-'}
+                </TableCell>
+                {row.weeks.map((week, index) => {
+                  const count = week.tasks.length;
+                  const cell = (
+                    <TableCell
+                      key={workload.weekStarts[index].valueOf()}
+                      align="center"
+                      sx={{
+                        bgcolor: getCellColor(count, row.capacity, maxCount),
+                        color: row.capacity && count > row.capacity ? 'common.white' : 'inherit',
+                        fontWeight: count > 0 ? 600 : 400,
+                        border: '1px solid rgba(224, 224, 224, 1)',
+                      }}
+                    >
+                      {count || ''}
+                    </TableCell>
+                  );
+                  return count > 0 ? (
+                    <Tooltip key={workload.weekStarts[index].valueOf()} title={renderTaskTooltip(week.tasks)}>
+                      {cell}
+                    </Tooltip>
+                  ) : cell;
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="h6" gutterBottom>Overloaded Weeks</Typography>
+      {overloadedWeeks.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No department has more tasks due in a week than its capacity. Admins set weekly capacities under Manage Departments.
+        </Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small" aria-label="overloaded weeks table">
+            <TableHead>
+              <TableRow>
+                <TableCell>Week Of</TableCell>
+                <TableCell>Department</TableCell>
+                <TableCell align="right">Tasks Due</TableCell>
+                <TableCell align="right">Capacity</TableCell>
+                <TableCell>Tasks</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {overloadedWeeks.map(week => (
+                <TableRow key={`${week.department}-${week.weekStart.valueOf()}`}>
+                  <TableCell>{week.weekStart.format('DD-MMM-YY')}</TableCell>
+                  <TableCell>{week.department}</TableCell>
+                  <TableCell align="right">
+                    <Chip size="small" color="error" label={`${week.taskCount} (+${week.taskCount - week.capacity})`} />
+                  </TableCell>
+                  <TableCell align="right">{week.capacity}</TableCell>
+                  <TableCell>
+                    {week.tasks.slice(0, TOOLTIP_TASK_LIMIT).map(({ season, task }, index) => (
+                      <React.Fragment key={`${season._id}-${task._id}`}>
+                        {index > 0 && ', '}
+                        <Link component={RouterLink} to={`/seasons/${season._id}?task=${task._id}`}>
+                          {season.name} {task.order}
+                        </Link>
+                      </React.Fragment>
+                    ))}
+                    {week.tasks.length > TOOLTIP_TASK_LIMIT && ` and ${week.tasks.length - TOOLTIP_TASK_LIMIT} more`}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+      <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 2 }}>
+        Weeks start on Monday. Tasks are counted in the week of their computed end date, once per responsible department.
+        Generated {moment().format('DD-MMM-YY HH:mm')}.
+      </Typography>
+    </Paper>
+  );
+};
+
+export default WorkloadPage;
@@ -2,6 +2,19 @@ import axios from 'axios';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://10.0.1.249:5006/api';
 
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Requests that must not trigger a refresh when they fail with 401
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/refresh'];
+
+const RETRY_LIMIT = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+// Gateway errors and dropped connections are worth another attempt; other failures are not
+const RETRYABLE_STATUSES = [502, 503, 504];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
 const api = axios.create({
   baseURL: API_URL,
   headers: {
@@ -9,10 +22,191 @@ const api = axios.create({
   },
 });
 
+/**
+ * Error thrown by every service. `status` is null when no response arrived;
+ * `fieldErrors` maps form field names to the server's validation messages.
+ * `isNetworkError` is set only when a request was sent and never answered, and
+ * `isCanceled` when the caller aborted the request, e.g. by leaving the page.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, fieldErrors = {}, data = null, canceled = false, networkError = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.data = data;
+    this.isCanceled = canceled;
+    this.isNetworkError = networkError;
+  }
+}
+
+// Validation errors come either as { field: message } or as a list of { path|param|field, msg|message }
+const extractFieldErrors = (errors) => {
+  if (Array.isArray(errors)) {
+    return Object.fromEntries(errors
+      .map(item => [item.path || item.param || item.field, item.msg || item.message])
+      .filter(([field, message]) => field && message));
+  }
+  if (errors && typeof errors === 'object') {
+    return Object.fromEntries(Object.entries(errors).map(([field, value]) => [field, value?.message || String(value)]));
+  }
+  return {};
+};
+
+/**
+ * Normalises a failed request into an ApiError, using the server's message when it sent one.
+ * @param {Error} error - Usually an axios error.
+ * @param {string} fallbackMessage - Shown when the server gave no message.
+ * @returns {ApiError}
+ */
+export const toApiError = (error, fallbackMessage) => {
+  if (error instanceof ApiError) return error;
+  if (axios.isCancel(error)) {
+    return new ApiError(`${fallbackMessage}: the request was canceled.`, { canceled: true });
+  }
+  if (!axios.isAxiosError(error)) {
+    // A bug in the calling code, not a failed request
+    console.error(error);
+    return new ApiError(fallbackMessage);
+  }
+  const { response } = error;
+  const networkError = Boolean(error.request) && !response;
+  const data = response?.data && typeof response.data === 'object' ? response.data : null;
+  const message = data?.message
+    || (networkError ? `${fallbackMessage}: the server could not be reached.` : fallbackMessage);
+  return new ApiError(message, {
+    networkError,
+    status: response?.status ?? null,
+    fieldErrors: extractFieldErrors(data?.errors),
+    data,
+  });
+};
+
+const sessionListeners = new Set();
+const reconnectingListeners = new Set();
+let refreshPromise = null;
+let pendingRetries = 0;
+
+const notifySessionListeners = (event) => {
+  sessionListeners.forEach(listener => listener(event));
+};
+
+/**
+ * Subscribes to session changes made outside AuthContext: `{ type: 'refreshed', token }`
+ * after a silent refresh and `{ type: 'expired' }` when the session cannot be renewed.
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToSession = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+/**
+ * Subscribes to the retry state: the listener is called with `true` when a failed
+ * request starts being retried and with `false` once no retries are left in progress.
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToReconnecting = (listener) => {
+  reconnectingListeners.add(listener);
+  listener(pendingRetries > 0);
+  return () => reconnectingListeners.delete(listener);
+};
+
+const trackRetry = (change) => {
+  const wasReconnecting = pendingRetries > 0;
+  pendingRetries += change;
+  const reconnecting = pendingRetries > 0;
+  if (reconnecting !== wasReconnecting) {
+    reconnectingListeners.forEach(listener => listener(reconnecting));
+  }
+};
+
+// Idempotent methods are retried unless the request sets `retry: false`; others only
+// when the caller knows a repeat is safe and sets `retry: true`
+const isRetryable = (error) => {
+  const { config, response } = error;
+  if (!config || axios.isCancel(error) || config.retry === false) return false;
+  if (response && !RETRYABLE_STATUSES.includes(response.status)) return false;
+  return config.retry === true || IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+};
+
+// Exponential backoff with full jitter, so clients that failed together do not retry together
+const getRetryDelay = (attempt) => Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+
+// Resolves after the delay, or rejects as soon as the request's signal is aborted
+const waitForRetry = (delay, config) => new Promise((resolve, reject) => {
+  const { signal } = config;
+  const cancel = () => reject(new axios.CanceledError(undefined, undefined, config));
+  if (signal?.aborted) {
+    cancel();
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    cancel();
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, delay);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const retryRequest = async (config) => {
+  const attempt = config._retryCount || 0;
+  config._retryCount = attempt + 1;
+  // The count covers the retried request too, so the banner stays up between attempts
+  trackRetry(1);
+  try {
+    await waitForRetry(getRetryDelay(attempt), config);
+    return await api(config);
+  } finally {
+    trackRetry(-1);
+  }
+};
+
+export const storeTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+/**
+ * Exchanges the refresh token for a new access token. Concurrent callers share
+ * the same request.
+ * @returns {Promise<string>} The new access token.
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) throw new Error('No refresh token available');
+      // A bare axios call, so the interceptors below do not act on the refresh itself
+      const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+      storeTokens(response.data);
+      notifySessionListeners({ type: 'refreshed', token: response.data.token });
+      return response.data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Interceptor to add JWT token to requests
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
+  async (config) => {
+    // Requests made while a refresh is running wait for the new token
+    if (refreshPromise && !AUTH_ENDPOINTS.includes(config.url)) {
+      await refreshPromise.catch(() => null);
+    }
+    const token = localStorage.getItem(TOKEN_KEY);
     if (token) {
       config.headers['Authorization'] = `Bearer ${token}`;
     }
@@ -23,4 +217,30 @@ api.interceptors.request.use(
   }
 );
 
+// Retries a request that failed with 401 once, after a silent refresh. When the
+// session cannot be refreshed the user is signed out. Dropped connections and gateway
+// errors are retried with backoff, up to RETRY_LIMIT times.
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (isRetryable(error) && (config._retryCount || 0) < RETRY_LIMIT) {
+      return retryRequest(config);
+    }
+    if (response?.status !== 401 || !config || config._retried || AUTH_ENDPOINTS.includes(config.url)) {
+      return Promise.reject(error);
+    }
+    config._retried = true;
+    try {
+      const token = await refreshSession();
+      config.headers['Authorization'] = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      console.error('Session refresh failed:', refreshError.response?.data?.message || refreshError.message);
+      notifySessionListeners({ type: 'expired' });
+      return Promise.reject(error);
+    }
+  }
+);
+
 export default api;
@@ -1,43 +1,54 @@
-import api from './api';
+import api, { toApiError } from './api';
+import { fetchQuery, invalidateQueries, queryKeys } from './queryCache';
+
+// Season lists and details show the buyer's name
+const invalidateBuyers = () => {
+  invalidateQueries(queryKeys.buyers());
+  invalidateQueries(queryKeys.seasons());
+  invalidateQueries(queryKeys.season());
+};
 
 const buyerService = {
-  getAllBuyers: async () => {
+  getAllBuyers: ({ signal } = {}) => fetchQuery(queryKeys.buyers(), async (request) => {
     try {
-      const response = await api.get('/buyers');
+      const response = await api.get('/buyers', request);
       return response.data;
     } catch (error) {
       console.error('Failed to fetch buyers:', error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to fetch buyers');
+      throw toApiError(error, 'Failed to fetch buyers');
     }
-  },
+  }, { signal }),
 
   createBuyer: async (buyerData) => {
     try {
       const response = await api.post('/buyers', buyerData);
+      invalidateBuyers();
       return response.data;
     } catch (error) {
       console.error('Failed to create buyer:', error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to create buyer');
+      throw toApiError(error, 'Failed to create buyer');
     }
   },
 
   updateBuyer: async (id, buyerData) => {
     try {
       const response = await api.put(`/buyers/${id}`, buyerData);
+      invalidateBuyers();
       return response.data;
     } catch (error) {
       console.error(`Failed to update buyer ${id}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to update buyer');
+      throw toApiError(error, 'Failed to update buyer');
     }
   },
 
   deleteBuyer: async (id) => {
     try {
       const response = await api.delete(`/buyers/${id}`);
+      invalidateBuyers();
       return response.data;
     } catch (error) {
       console.error(`Failed to delete buyer ${id}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to delete buyer');
+      throw toApiError(error, 'Failed to delete buyer');
     }
   },
 };
@@ -0,0 +1,29 @@
+import api, { toApiError } from './api';
+import { fetchQuery, invalidateQueries, queryKeys } from './queryCache';
+
+const calendarService = {
+  // Returns { restDays: [0..6], holidays: [{ date, name, departments }] }
+  getCalendar: ({ signal } = {}) => fetchQuery(queryKeys.calendar(), async (request) => {
+    try {
+      const response = await api.get('/calendar', request);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to fetch working calendar:', error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to fetch working calendar');
+    }
+  }, { signal }),
+
+  updateCalendar: async (calendarData) => {
+    try {
+      // The whole calendar is replaced, so repeating the request is harmless
+      const response = await api.put('/calendar', calendarData, { retry: true });
+      invalidateQueries(queryKeys.calendar());
+      return response.data;
+    } catch (error) {
+      console.error('Failed to update working calendar:', error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to update working calendar');
+    }
+  },
+};
+
+export default calendarService;
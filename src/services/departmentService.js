@@ -1,43 +1,56 @@
-import api from './api';
+import api, { toApiError } from './api';
+import { fetchQuery, invalidateQueries, queryKeys } from './queryCache';
+
+// Users, templates and season tasks all show the department's name
+const invalidateDepartments = () => {
+  invalidateQueries(queryKeys.departments());
+  invalidateQueries(queryKeys.users());
+  invalidateQueries(queryKeys.taskTemplates());
+  invalidateQueries(queryKeys.seasons());
+  invalidateQueries(queryKeys.season());
+};
 
 const departmentService = {
-  getAllDepartments: async () => {
+  getAllDepartments: ({ signal } = {}) => fetchQuery(queryKeys.departments(), async (request) => {
     try {
-      const response = await api.get('/departments');
+      const response = await api.get('/departments', request);
       return response.data;
     } catch (error) {
       console.error('Failed to fetch departments:', error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to fetch departments');
+      throw toApiError(error, 'Failed to fetch departments');
     }
-  },
+  }, { signal }),
 
   createDepartment: async (departmentData) => {
     try {
       const response = await api.post('/departments', departmentData);
+      invalidateDepartments();
       return response.data;
     } catch (error) {
       console.error('Failed to create department:', error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to create department');
+      throw toApiError(error, 'Failed to create department');
     }
   },
 
   updateDepartment: async (id, departmentData) => {
     try {
       const response = await api.put(`/departments/${id}`, departmentData);
+      invalidateDepartments();
       return response.data;
     } catch (error) {
       console.error(`Failed to update department ${id}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to update department');
+      throw toApiError(error, 'Failed to update department');
     }
   },
 
   deleteDepartment: async (id) => {
     try {
       const response = await api.delete(`/departments/${id}`);
+      invalidateDepartments();
       return response.data;
     } catch (error) {
       console.error(`Failed to delete department ${id}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to delete department');
+      throw toApiError(error, 'Failed to delete department');
     }
   },
 };
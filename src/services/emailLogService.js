@@ -0,0 +1,25 @@
+import api, { toApiError } from './api';
+
+const emailLogService = {
+  getEmailLogs: async () => {
+    try {
+      const response = await api.get('/settings/email-logs');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to fetch email logs:', error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to fetch email logs');
+    }
+  },
+
+  clearEmailLogs: async () => {
+    try {
+      const response = await api.delete('/logs/email');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to clear email logs:', error.response?.data?.message || error.message);
+      throw toApiError(error, 'An error occurred while clearing email logs.');
+    }
+  },
+};
+
+export default emailLogService;
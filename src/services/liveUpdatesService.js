@@ -0,0 +1,73 @@
+import api from './api';
+
+// Point this at the stand-in server (scripts/live-updates-server.js) to try live updates locally
+const LIVE_UPDATES_URL = process.env.REACT_APP_LIVE_UPDATES_URL || api.defaults.baseURL;
+const RECONNECT_DELAY_MS = 3000;
+
+// EventSource cannot send headers, and a token in the URL ends up in server, proxy and
+// browser logs. Each connection instead asks for a short-lived, single-use stream ticket
+// with the usual Authorization header and passes only that in the URL.
+const requestStreamTicket = async () => {
+  const response = await api.post('/live/ticket', null, { baseURL: LIVE_UPDATES_URL });
+  return response.data.ticket;
+};
+
+// A ticket is good for one connection, so the browser's own reconnect (which reuses the
+// URL) cannot be relied on; after a dropped connection a new ticket is requested instead.
+const subscribe = (path, onEvent) => {
+  if (typeof window.EventSource === 'undefined') {
+    console.warn('Live updates are not supported in this browser.');
+    return () => {};
+  }
+  let source = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const scheduleReconnect = () => {
+    if (!closed) reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+
+  const connect = async () => {
+    let ticket;
+    try {
+      ticket = await requestStreamTicket();
+    } catch (error) {
+      console.warn(`Could not open live updates for ${path}, retrying...`, error.message);
+      scheduleReconnect();
+      return;
+    }
+    if (closed) return;
+    source = new EventSource(`${LIVE_UPDATES_URL}${path}?ticket=${encodeURIComponent(ticket)}`);
+    source.onmessage = (message) => {
+      try {
+        onEvent(JSON.parse(message.data));
+      } catch (error) {
+        console.error('Failed to parse live update:', error, message.data);
+      }
+    };
+    source.onerror = () => {
+      console.warn(`Live update connection to ${path} interrupted, retrying...`);
+      source.close();
+      scheduleReconnect();
+    };
+  };
+
+  connect();
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    source?.close();
+  };
+};
+
+const liveUpdatesService = {
+  // Events: { type: 'task.updated', seasonId, task }, { type: 'season.updated', season },
+  // { type: 'presence.updated', seasonId, viewers } and { type: 'lock.updated', seasonId, taskId, lock }
+  // where `lock` is null once released
+  subscribeToSeason: (seasonId, onEvent) => subscribe(`/seasons/${seasonId}/events`, onEvent),
+
+  // Events: { type: 'season.updated', season } for every season
+  subscribeToSeasons: (onEvent) => subscribe('/seasons/events', onEvent),
+};
+
+export default liveUpdatesService;
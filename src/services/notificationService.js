@@ -0,0 +1,40 @@
+import api, { toApiError } from './api';
+
+const notificationService = {
+  // Returns the newest notifications for the logged-in user, already filtered by the server to
+  // their department and their own tasks:
+  // [{ _id, type, message, seasonId, seasonName, taskId, taskOrder, read, createdAt }]
+  // where `type` is 'task.actionable', 'task.overdue', 'remark.mention' or 'season.status'
+  getNotifications: async (params = {}) => {
+    try {
+      // params can include: limit, unreadOnly
+      const response = await api.get('/notifications', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to fetch notifications');
+    }
+  },
+
+  markAsRead: async (notificationId) => {
+    try {
+      const response = await api.patch(`/notifications/${notificationId}/read`);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to mark notification ${notificationId} as read:`, error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to mark notification as read');
+    }
+  },
+
+  markAllAsRead: async () => {
+    try {
+      const response = await api.patch('/notifications/read-all');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to mark all notifications as read:', error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to mark all notifications as read');
+    }
+  },
+};
+
+export default notificationService;
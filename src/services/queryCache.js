@@ -0,0 +1,157 @@
+import { ApiError } from './api';
+
+// How long cached data is served without asking the server again
+export const STALE_TIME = {
+  reference: 5 * 60 * 1000, // Buyers, departments, users, templates, the calendar
+  live: 0, // Seasons change under other users' hands; always revalidate
+};
+
+/**
+ * Keys of the cached queries. A key is an array; invalidating a key also
+ * invalidates every key that starts with it, so `queryKeys.seasons()` without
+ * params covers every season list.
+ */
+export const queryKeys = {
+  buyers: () => ['buyers'],
+  departments: () => ['departments'],
+  users: () => ['users'],
+  calendar: () => ['calendar'],
+  taskTemplates: (includeInactive) => (includeInactive === undefined ? ['taskTemplates'] : ['taskTemplates', Boolean(includeInactive)]),
+  seasons: (params) => (params ? ['seasons', params] : ['seasons']),
+  season: (id) => (id ? ['season', id] : ['season']),
+};
+
+// key string -> { key, data, updatedAt, generation, invalidated, fetcher, request, listeners }
+const entries = new Map();
+
+const hashKey = (key) => JSON.stringify(key);
+
+const startsWith = (key, prefix) => prefix.every((part, index) => hashKey(part) === hashKey(key[index]));
+
+const getEntry = (key) => {
+  const hash = hashKey(key);
+  if (!entries.has(hash)) {
+    entries.set(hash, {
+      key, data: undefined, updatedAt: 0, generation: 0, invalidated: false, fetcher: null, request: null, listeners: new Set(),
+    });
+  }
+  return entries.get(hash);
+};
+
+const notify = (entry) => entry.listeners.forEach(listener => listener(entry.data));
+
+// One request per key at a time; later callers share it. A request started before
+// the last invalidation is not reused, since its answer may predate the change, and
+// neither is one already aborted because its callers gave up. The request is aborted
+// only when every caller waiting on it has given up.
+const startRequest = (entry) => {
+  const { request: current } = entry;
+  if (!current || current.generation !== entry.generation || current.controller.signal.aborted) {
+    const controller = new AbortController();
+    const request = { controller, waiters: 0, generation: entry.generation };
+    request.promise = entry.fetcher({ signal: controller.signal })
+      .then((data) => {
+        if (request.generation === entry.generation) {
+          entry.data = data;
+          entry.updatedAt = Date.now();
+          entry.invalidated = false;
+          notify(entry);
+        }
+        return data;
+      })
+      .finally(() => {
+        if (entry.request === request) entry.request = null;
+      });
+    entry.request = request;
+  }
+  return entry.request;
+};
+
+const waitForRequest = (request, signal) => {
+  request.waiters += 1;
+  if (!signal) {
+    // Without a signal the caller waits until the request settles
+    return request.promise.finally(() => {
+      request.waiters -= 1;
+    });
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      request.waiters -= 1;
+      if (request.waiters === 0) request.controller.abort();
+      reject(new ApiError('The request was canceled.', { canceled: true }));
+    };
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    request.promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+      if (!signal.aborted) request.waiters -= 1;
+    });
+  });
+};
+
+/**
+ * Returns the cached data of a key while it is fresh; otherwise fetches it,
+ * sharing the request with other callers asking for the same key.
+ * @param {Array} key - From queryKeys.
+ * @param {Function} fetcher - Receives { signal } and resolves with the data.
+ * @param {object} [options]
+ * @param {number} [options.staleTime=STALE_TIME.reference]
+ * @param {AbortSignal} [options.signal] - Stops waiting; the request itself is aborted once nobody waits for it.
+ * @returns {Promise<*>}
+ */
+export const fetchQuery = (key, fetcher, { staleTime = STALE_TIME.reference, signal } = {}) => {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+  const isFresh = entry.updatedAt > 0 && !entry.invalidated && Date.now() - entry.updatedAt < staleTime;
+  if (isFresh) return Promise.resolve(entry.data);
+  return waitForRequest(startRequest(entry), signal);
+};
+
+/**
+ * The last data stored for a key, fresh or not, for showing something at once
+ * while it is revalidated.
+ * @param {Array} key
+ * @returns {*} undefined when nothing is cached.
+ */
+export const getQueryData = (key) => entries.get(hashKey(key))?.data;
+
+/**
+ * Marks every query under the key prefix as stale, so the next read goes to the
+ * server. Queries with subscribers are refetched straight away.
+ * @param {Array} prefix
+ */
+export const invalidateQueries = (prefix) => {
+  entries.forEach((entry) => {
+    if (!startsWith(entry.key, prefix)) return;
+    entry.invalidated = true;
+    entry.generation += 1;
+    // The background refetch does not count as a waiter, so it never keeps a request alive
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      startRequest(entry).promise.catch((error) => {
+        if (!error.isCanceled) console.error('Failed to refresh cached query:', error.message);
+      });
+    }
+  });
+};
+
+/**
+ * Calls the listener with the new data whenever the key is fetched again.
+ * @param {Array} key
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe.
+ */
+export const subscribeToQuery = (key, listener) => {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+};
+
+// Drops everything, e.g. on logout so the next user never sees the previous user's data
+export const clearQueryCache = () => {
+  entries.forEach(entry => entry.request?.controller.abort());
+  entries.clear();
+};
@@ -0,0 +1,117 @@
+import {
+  fetchQuery, invalidateQueries, subscribeToQuery, getQueryData, clearQueryCache, queryKeys,
+} from './queryCache';
+
+// The real client pulls in axios, which jest cannot load untransformed
+jest.mock('./api', () => ({
+  ApiError: class ApiError extends Error {
+    constructor(message, { canceled = false } = {}) {
+      super(message);
+      this.isCanceled = canceled;
+    }
+  },
+}));
+
+// A fetcher whose requests stay open until released, and which rejects when aborted
+const createDeferredFetcher = () => {
+  const requests = [];
+  const fetcher = jest.fn(({ signal }) => new Promise((resolve, reject) => {
+    requests.push({ resolve, signal });
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { isCanceled: true })));
+  }));
+  return { fetcher, requests };
+};
+
+afterEach(() => clearQueryCache());
+
+describe('fetchQuery', () => {
+  it('shares one request between concurrent callers', async () => {
+    const fetcher = jest.fn(async () => ['Dept A']);
+    const [first, second] = await Promise.all([fetchQuery(['departments'], fetcher), fetchQuery(['departments'], fetcher)]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+  });
+
+  it('serves fresh data from the cache and refetches once it is stale', async () => {
+    const fetcher = jest.fn(async () => fetcher.mock.calls.length);
+    await fetchQuery(['buyers'], fetcher);
+    expect(await fetchQuery(['buyers'], fetcher)).toBe(1);
+    expect(await fetchQuery(['buyers'], fetcher, { staleTime: 0 })).toBe(2);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('starts a new request after the last waiter aborted the previous one', async () => {
+    const { fetcher, requests } = createDeferredFetcher();
+    const firstCaller = new AbortController();
+    const first = fetchQuery(['season', 'a'], fetcher, { signal: firstCaller.signal });
+    firstCaller.abort();
+    await expect(first).rejects.toMatchObject({ isCanceled: true });
+    expect(requests[0].signal.aborted).toBe(true);
+
+    const second = fetchQuery(['season', 'a'], fetcher, { signal: new AbortController().signal });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    requests[1].resolve('fresh');
+    await expect(second).resolves.toBe('fresh');
+  });
+
+  it('aborts the request only when every waiter has given up', async () => {
+    const { fetcher, requests } = createDeferredFetcher();
+    const callers = [new AbortController(), new AbortController()];
+    const pending = callers.map(caller => fetchQuery(['users'], fetcher, { signal: caller.signal }));
+    callers[0].abort();
+    await expect(pending[0]).rejects.toMatchObject({ isCanceled: true });
+    expect(requests[0].signal.aborted).toBe(false);
+    callers[1].abort();
+    await expect(pending[1]).rejects.toMatchObject({ isCanceled: true });
+    expect(requests[0].signal.aborted).toBe(true);
+  });
+
+  it('does not let a background refetch keep a request alive', async () => {
+    const { fetcher, requests } = createDeferredFetcher();
+    const initial = fetchQuery(['calendar'], fetcher);
+    requests[0].resolve('first');
+    await initial;
+    subscribeToQuery(['calendar'], jest.fn());
+    invalidateQueries(['calendar']); // Starts a refetch for the subscriber
+
+    const caller = new AbortController();
+    const signalled = fetchQuery(['calendar'], fetcher, { signal: caller.signal });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    caller.abort();
+    await expect(signalled).rejects.toMatchObject({ isCanceled: true });
+    expect(requests[1].signal.aborted).toBe(true);
+  });
+});
+
+describe('invalidateQueries', () => {
+  it('invalidates every key under the prefix and refetches subscribed ones', async () => {
+    let count = 0;
+    const fetcher = async () => { count += 1; return count; };
+    await fetchQuery(queryKeys.seasons({ page: 1 }), fetcher);
+    await fetchQuery(queryKeys.season('a'), fetcher);
+    const listener = jest.fn();
+    subscribeToQuery(queryKeys.seasons({ page: 1 }), listener);
+
+    invalidateQueries(queryKeys.seasons());
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(listener).toHaveBeenCalledWith(3);
+    expect(await fetchQuery(queryKeys.season('a'), fetcher)).toBe(2); // Outside the prefix, still fresh
+
+    invalidateQueries(queryKeys.season());
+    expect(getQueryData(queryKeys.season('a'))).toBe(2); // Kept for display until refetched
+    expect(await fetchQuery(queryKeys.season('a'), fetcher)).toBe(4);
+  });
+
+  it('does not reuse or store a request that started before the invalidation', async () => {
+    const { fetcher, requests } = createDeferredFetcher();
+    const before = fetchQuery(['taskTemplates'], fetcher);
+    invalidateQueries(['taskTemplates']);
+    const after = fetchQuery(['taskTemplates'], fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    requests[0].resolve('old');
+    requests[1].resolve('new');
+    await expect(before).resolves.toBe('old');
+    await expect(after).resolves.toBe('new');
+    expect(getQueryData(['taskTemplates'])).toBe('new');
+  });
+});
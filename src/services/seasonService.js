@@ -1,55 +1,91 @@
-import api from './api';
+import api, { toApiError } from './api';
+import { fetchQuery, invalidateQueries, queryKeys, STALE_TIME } from './queryCache';
+import { mapInBatches } from '../utils/batches';
+
+// Updates carry the version the record was loaded with; the server rejects them when it is stale
+const versionPrecondition = (version) => (
+  version !== undefined && version !== null ? { headers: { 'If-Match': String(version) } } : {}
+);
+
+const isVersionConflict = (error) => error.response?.status === 409 || error.response?.status === 412;
+
+// The season lists show progress and attention flags, so they go stale with the season itself
+const invalidateSeason = (seasonId) => {
+  invalidateQueries(queryKeys.seasons());
+  if (seasonId) invalidateQueries(queryKeys.season(seasonId));
+};
+
+// Carries the record as currently stored on the server so the caller can offer a merge
+const toConflictError = (error, fallbackMessage) => {
+  const conflictError = toApiError(error, fallbackMessage);
+  conflictError.isConflict = true;
+  conflictError.current = error.response?.data?.current || null;
+  return conflictError;
+};
 
 const seasonService = {
-  getAllSeasons: async (params = {}) => {
+  getAllSeasons: (params = {}, { signal } = {}) => fetchQuery(queryKeys.seasons(params), async (request) => {
     try {
       // params can include: page, limit, sortBy, sortOrder, search, status
-      const response = await api.get('/seasons', { params });
+      const response = await api.get('/seasons', { ...request, params });
       return response.data; // Returns the full object { seasons, totalSeasons, page, pages }
     } catch (error) {
       console.error('Failed to fetch seasons:', error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to fetch seasons');
+      throw toApiError(error, 'Failed to fetch seasons');
     }
-  },
+  }, { staleTime: STALE_TIME.live, signal }),
 
-  getSeasonById: async (id) => {
+  getSeasonById: (id, { signal } = {}) => fetchQuery(queryKeys.season(id), async (request) => {
     try {
-      const response = await api.get(`/seasons/${id}`);
+      const response = await api.get(`/seasons/${id}`, request);
       return response.data;
     } catch (error) {
-      const errorMessage = error.response?.data?.message || `Failed to fetch season ${id}`;
-      console.error(errorMessage, error);
-      throw new Error(errorMessage);
+      console.error(`Failed to fetch season ${id}:`, error.response?.data?.message || error.message);
+      throw toApiError(error, `Failed to fetch season ${id}`);
     }
+  }, { staleTime: STALE_TIME.live, signal }),
+  // Loads every season with the given status and its tasks for the cross-season views: [{ season, tasks }]
+  getSeasonsWithTasks: async ({ status = 'Open', limit = 100, signal } = {}) => {
+    const { seasons = [] } = await seasonService.getAllSeasons({ status, limit }, { signal });
+    const details = await mapInBatches(
+      seasons.filter(season => season.status === status),
+      season => seasonService.getSeasonById(season._id, { signal }),
+    );
+    return details.map(data => ({ season: data.season, tasks: data.tasks || [] }));
   },
+
   createSeason: async (seasonData) => {
     try {
       const response = await api.post('/seasons', seasonData);
+      invalidateSeason();
       return response.data;
     } catch (error) {
       console.error('Failed to create season:', error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to create season');
+      throw toApiError(error, 'Failed to create season');
     }
   },
 
-  updateSeasonDetails: async (seasonId, seasonData) => {
+  updateSeasonDetails: async (seasonId, seasonData, { version } = {}) => {
     try {
-      const response = await api.put(`/seasons/${seasonId}`, seasonData);
+      const response = await api.put(`/seasons/${seasonId}`, seasonData, versionPrecondition(version));
+      invalidateSeason(seasonId);
       return response.data;
     } catch (error) {
       console.error(`Failed to update season ${seasonId}:`, error.response?.data?.message || error.message);
-      throw new Error(error.response?.data?.message || 'Server error while updating season.');
+      if (isVersionConflict(error)) throw toConflictError(error, 'The season was changed by someone else.');
+      throw toApiError(error, 'Server error while updating season.');
     }
   },
 
-  updateTaskInSeason: async (seasonId, taskId, taskData) => {
+  updateTaskInSeason: async (seasonId, taskId, taskData, { version } = {}) => {
     try {
-      const response = await api.put(`/seasons/${seasonId}/tasks/${taskId}`, taskData);
+      const response = await api.put(`/seasons/${seasonId}/tasks/${taskId}`, taskData, versionPrecondition(version));
+      invalidateSeason(seasonId);
       return response.data; // Expected to return { message: '...', task: updatedTask }
     } catch (error) {
-      const errorMessage = error.response?.data?.message || error.message || 'Failed to update task';
-      console.error(`Failed to update task ${taskId} in season ${seasonId}:`, errorMessage);
-      throw new Error(errorMessage);
+      console.error(`Failed to update task ${taskId} in season ${seasonId}:`, error.response?.data?.message || error.message);
+      if (isVersionConflict(error)) throw toConflictError(error, 'The task was changed by someone else.');
+      throw toApiError(error, 'Failed to update task');
     }
   },
 
@@ -60,10 +96,11 @@ const seasonService = {
           'Content-Type': 'multipart/form-data',
         },
       });
+      invalidateSeason(seasonId);
       return response.data; // Expected to return { message: '...', task: updatedTask }
     } catch (error) {
       console.error(`Failed to upload attachment for task ${taskId}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to upload attachment');
+      throw toApiError(error, 'Failed to upload attachment');
     }
   },
 
@@ -84,17 +121,18 @@ const seasonService = {
       return { data: response.data, filename };
     } catch (error) {
       console.error(`Failed to download attachment for task ${taskId}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to download attachment');
+      throw toApiError(error, 'Failed to download attachment');
     }
   },
 
   deleteAttachmentForTask: async (seasonId, taskId, attachmentId) => {
     try {
       const response = await api.delete(`/seasons/${seasonId}/tasks/${taskId}/attachments/${attachmentId}`);
+      invalidateSeason(seasonId);
       return response.data;
     } catch (error) {
       console.error(`Failed to delete attachment ${attachmentId}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to delete attachment');
+      throw toApiError(error, 'Failed to delete attachment');
     }
   },
 
@@ -104,7 +142,7 @@ const seasonService = {
       return response.data;
     } catch (error) {
       console.error(`Failed to fetch logs for season ${seasonId}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to fetch season logs');
+      throw toApiError(error, 'Failed to fetch season logs');
     }
   },
 
@@ -116,17 +154,74 @@ const seasonService = {
       return response;
     } catch (error) {
       console.error(`Failed to export season ${seasonId}:`, error);
-      throw error;
+      throw toApiError(error, 'Failed to export season');
     }
   },
 
-  updateSeasonStatus: async (seasonId, status) => {
+  updateSeasonStatus: async (seasonId, status, { version } = {}) => {
     try {
-      const response = await api.put(`/seasons/${seasonId}/status`, { status });
+      const response = await api.put(`/seasons/${seasonId}/status`, { status }, versionPrecondition(version));
+      invalidateSeason(seasonId);
       return response.data;
     } catch (error) {
       console.error(`Failed to update status for season ${seasonId}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to update season status');
+      if (isVersionConflict(error)) throw toConflictError(error, 'The season was changed by someone else.');
+      throw toApiError(error, 'Failed to update season status');
+    }
+  },
+
+  // Announces that the current user is viewing the season; call periodically as a heartbeat
+  joinSeasonPresence: async (seasonId) => {
+    try {
+      const response = await api.post(`/seasons/${seasonId}/presence`);
+      return response.data; // Expected to return { viewers: [{ userId, name }] }
+    } catch (error) {
+      console.error(`Failed to join presence for season ${seasonId}:`, error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to join season presence');
+    }
+  },
+
+  leaveSeasonPresence: async (seasonId) => {
+    try {
+      const response = await api.delete(`/seasons/${seasonId}/presence`);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to leave presence for season ${seasonId}:`, error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to leave season presence');
+    }
+  },
+
+  getTaskLocks: async (seasonId) => {
+    try {
+      const response = await api.get(`/seasons/${seasonId}/locks`);
+      return response.data; // Expected to return [{ taskId, userId, name, expiresAt }]
+    } catch (error) {
+      console.error(`Failed to fetch task locks for season ${seasonId}:`, error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to fetch task locks');
+    }
+  },
+
+  // Takes or renews the soft edit lock on a task. Rejects with `lock` set when someone else holds it.
+  acquireTaskLock: async (seasonId, taskId) => {
+    try {
+      const response = await api.post(`/seasons/${seasonId}/tasks/${taskId}/lock`);
+      return response.data; // Expected to return { lock: { taskId, userId, name, expiresAt } }
+    } catch (error) {
+      console.error(`Failed to lock task ${taskId} in season ${seasonId}:`, error.response?.data?.message || error.message);
+      const lockError = toApiError(error, 'Failed to lock task');
+      lockError.lock = error.response?.data?.lock || null;
+      throw lockError;
+    }
+  },
+
+  // `force` lets an admin break a lock held by someone else
+  releaseTaskLock: async (seasonId, taskId, { force = false } = {}) => {
+    try {
+      const response = await api.delete(`/seasons/${seasonId}/tasks/${taskId}/lock`, { params: force ? { force: true } : {} });
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to release lock on task ${taskId}:`, error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to release task lock');
     }
   }
 }; // Closing brace for seasonService object
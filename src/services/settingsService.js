@@ -0,0 +1,37 @@
+import api, { toApiError } from './api';
+
+const settingsService = {
+  // Returns the list of { key, value } settings
+  getSettings: async () => {
+    try {
+      const response = await api.get('/settings');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to fetch settings:', error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to fetch settings');
+    }
+  },
+
+  updateSetting: async (key, value) => {
+    try {
+      // Sets an absolute value, so repeating the request is harmless
+      const response = await api.put(`/settings/${key}`, { value }, { retry: true });
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to update setting ${key}:`, error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to update setting');
+    }
+  },
+
+  resendNotifications: async () => {
+    try {
+      const response = await api.post('/settings/resend-notifications');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to resend notifications:', error.response?.data?.message || error.message);
+      throw toApiError(error, 'An error occurred while resending notifications.');
+    }
+  },
+};
+
+export default settingsService;
@@ -1,13 +1,16 @@
-import api from './api';
+import api, { toApiError } from './api';
+import { invalidateQueries, queryKeys } from './queryCache';
 
 const taskService = {
   createTask: async (seasonId, taskData) => {
     try {
       const response = await api.post(`/seasons/${seasonId}/tasks`, taskData);
+      invalidateQueries(queryKeys.seasons());
+      invalidateQueries(queryKeys.season(seasonId));
       return response.data;
     } catch (error) {
       console.error(`Failed to create task for season ${seasonId}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to create task');
+      throw toApiError(error, 'Failed to create task');
     }
   },
 
@@ -17,7 +20,7 @@ const taskService = {
       return response.data;
     } catch (error) {
       console.error(`Failed to fetch tasks for season ${seasonId}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to fetch tasks');
+      throw toApiError(error, 'Failed to fetch tasks');
     }
   },
 };
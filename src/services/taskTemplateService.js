@@ -1,12 +1,5 @@
-import axios from 'axios';
-import api from './api';
-
-const API_URL = process.env.REACT_APP_API_URL || 'http://10.0.1.249:5006/api';
-
-// Function to get the token from localStorage
-const getToken = () => {
-  return localStorage.getItem('token');
-};
+import api, { toApiError } from './api';
+import { fetchQuery, invalidateQueries, queryKeys } from './queryCache';
 
 /**
  * Creates a new task template.
@@ -14,55 +7,37 @@ const getToken = () => {
  * @returns {Promise<object>} The created task template object.
  */
 export const createTaskTemplate = async (templateData) => {
-  const token = getToken();
-  if (!token) {
-    throw new Error('No authentication token found. Please log in.');
-  }
-
   try {
-    const response = await axios.post(`${API_URL}/task-templates`, templateData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      }
-    });
+    const response = await api.post('/task-templates', templateData);
+    invalidateQueries(queryKeys.taskTemplates());
     return response.data;
   } catch (error) {
-    console.error('Error creating task template in service:', error.response || error.message);
-    // Throw a more specific error message if available from the backend response
-    throw new Error(error.response?.data?.message || 'Failed to create task template. Please try again.');
+    console.error('Error creating task template in service:', error.response?.data?.message || error.message);
+    throw toApiError(error, 'Failed to create task template. Please try again.');
   }
 };
 
 /**
  * Fetches task templates. Can optionally include inactive templates.
  * @param {boolean} [includeInactive=false] - Whether to include inactive templates.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
  * @returns {Promise<Array<object>>} An array of task template objects.
  */
-export const getTaskTemplates = async (includeInactive = false) => {
-  const token = getToken();
-  if (!token) {
-    // This scenario should ideally be handled by a route guard or global error handler
-    // For now, let's throw an error, though the UI should prevent calling this if not logged in.
-    throw new Error('No authentication token found. Please log in.');
-  }
-
-  try {
-    let url = `${API_URL}/task-templates`;
-    if (includeInactive) {
-      url += '?includeInactive=true';
+export const getTaskTemplates = (includeInactive = false, { signal } = {}) => (
+  fetchQuery(queryKeys.taskTemplates(includeInactive), async (request) => {
+    try {
+      const response = await api.get('/task-templates', {
+        ...request,
+        params: includeInactive ? { includeInactive: true } : undefined,
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching task templates in service:', error.response?.data?.message || error.message);
+      throw toApiError(error, 'Failed to fetch task templates.');
     }
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    return response.data;
-  } catch (error) {
-    console.error('Error fetching task templates in service:', error.response || error.message);
-    throw new Error(error.response?.data?.message || 'Failed to fetch task templates.');
-  }
-};
+  }, { signal })
+);
 
 /**
  * Fetches a single task template by its ID.
@@ -70,21 +45,12 @@ export const getTaskTemplates = async (includeInactive = false) => {
  * @returns {Promise<object>} The task template object.
  */
 export const getTaskTemplateById = async (id) => {
-  const token = getToken();
-  if (!token) {
-    throw new Error('No authentication token found. Please log in.');
-  }
-
   try {
-    const response = await axios.get(`${API_URL}/task-templates/${id}`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
+    const response = await api.get(`/task-templates/${id}`);
     return response.data;
   } catch (error) {
-    console.error(`Error fetching task template with ID ${id} in service:`, error.response || error.message);
-    throw new Error(error.response?.data?.message || 'Failed to fetch task template details.');
+    console.error(`Error fetching task template with ID ${id} in service:`, error.response?.data?.message || error.message);
+    throw toApiError(error, 'Failed to fetch task template details.');
   }
 };
 
@@ -95,22 +61,29 @@ export const getTaskTemplateById = async (id) => {
  * @returns {Promise<object>} The updated task template object.
  */
 export const updateTaskTemplate = async (id, templateData) => {
-  const token = getToken();
-  if (!token) {
-    throw new Error('No authentication token found. Please log in.');
+  try {
+    const response = await api.put(`/task-templates/${id}`, templateData);
+    invalidateQueries(queryKeys.taskTemplates());
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating task template with ID ${id} in service:`, error.response?.data?.message || error.message);
+    throw toApiError(error, 'Failed to update task template.');
   }
+};
 
+/**
+ * Deletes a task template.
+ * @param {string} id - The ID of the task template to delete.
+ * @returns {Promise<object>} The server's confirmation.
+ */
+export const deleteTaskTemplate = async (id) => {
   try {
-    const response = await axios.put(`${API_URL}/task-templates/${id}`, templateData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      }
-    });
+    const response = await api.delete(`/task-templates/${id}`);
+    invalidateQueries(queryKeys.taskTemplates());
     return response.data;
   } catch (error) {
-    console.error(`Error updating task template with ID ${id} in service:`, error.response || error.message);
-    throw new Error(error.response?.data?.message || 'Failed to update task template.');
+    console.error(`Error deleting task template with ID ${id} in service:`, error.response?.data?.message || error.message);
+    throw toApiError(error, 'Failed to delete task template.');
   }
 };
 
@@ -119,27 +92,13 @@ export const updateTaskTemplate = async (id, templateData) => {
  * @param {string} id - The ID of the task template to toggle.
  * @returns {Promise<object>} The updated task template object.
  */
-export const deleteTaskTemplate = async (id) => {
-  const response = await api.delete(`/task-templates/${id}`);
-  return response.data;
-};
-
 export const toggleTaskTemplateActive = async (id) => {
-  const token = getToken();
-  if (!token) {
-    throw new Error('No authentication token found. Please log in.');
-  }
-
   try {
-    const response = await axios.patch(`${API_URL}/task-templates/${id}/toggle-active`, {}, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-        // No 'Content-Type' needed for PATCH with empty body if backend doesn't require it
-      }
-    });
+    const response = await api.patch(`/task-templates/${id}/toggle-active`, {});
+    invalidateQueries(queryKeys.taskTemplates());
     return response.data;
   } catch (error) {
-    console.error(`Error toggling active status for task template ID ${id} in service:`, error.response || error.message);
-    throw new Error(error.response?.data?.message || 'Failed to toggle task template active status.');
+    console.error(`Error toggling active status for task template ID ${id} in service:`, error.response?.data?.message || error.message);
+    throw toApiError(error, 'Failed to toggle task template active status.');
   }
 };
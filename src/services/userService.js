@@ -1,15 +1,16 @@
-import api from './api';
+import api, { toApiError } from './api';
+import { fetchQuery, invalidateQueries, queryKeys } from './queryCache';
 
 const userService = {
-  getAllUsers: async () => {
+  getAllUsers: ({ signal } = {}) => fetchQuery(queryKeys.users(), async (request) => {
     try {
-      const response = await api.get('/users');
+      const response = await api.get('/users', request);
       return response.data;
     } catch (error) {
       console.error('Failed to fetch users:', error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to fetch users');
+      throw toApiError(error, 'Failed to fetch users');
     }
-  },
+  }, { signal }),
 
   getUserById: async (id) => {
     try {
@@ -17,17 +18,18 @@ const userService = {
       return response.data;
     } catch (error) {
       console.error(`Failed to fetch user ${id}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to fetch user');
+      throw toApiError(error, 'Failed to fetch user');
     }
   },
 
   updateUser: async (id, userData) => {
     try {
       const response = await api.put(`/users/${id}`, userData);
+      invalidateQueries(queryKeys.users());
       return response.data;
     } catch (error) {
       console.error(`Failed to update user ${id}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to update user');
+      throw toApiError(error, 'Failed to update user');
     }
   },
 
@@ -35,10 +37,11 @@ const userService = {
   deleteUser: async (id) => {
     try {
       const response = await api.delete(`/users/${id}`);
+      invalidateQueries(queryKeys.users());
       return response.data;
     } catch (error) {
       console.error(`Failed to deactivate user ${id}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to deactivate user');
+      throw toApiError(error, 'Failed to deactivate user');
     }
   },
 
@@ -49,9 +52,8 @@ const userService = {
       return response.data; // Expected to return { message: 'Password changed successfully.' }
     } catch (error) {
       console.error('Failed to change password:', error.response?.data?.message || error.message);
-      // Re-throw the error object from the response if available, otherwise a generic error
-      // This allows the calling component (ChangePasswordPage) to access specific error messages
-      throw error.response?.data || new Error('Failed to change password');
+      // The ApiError carries the server's message, so ChangePasswordPage can show it
+      throw toApiError(error, 'Failed to change password');
     }
   },
 
@@ -61,7 +63,7 @@ const userService = {
       return response.data; // Expected { message: '...' }
     } catch (error) {
       console.error(`Failed to reset password for user ${id}:`, error.response?.data?.message || error.message);
-      throw error.response?.data || new Error('Failed to reset password');
+      throw toApiError(error, 'Failed to reset password');
     }
   }
 };
@@ -0,0 +1,193 @@
+import moment from 'moment';
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const diffDays = (toDate, fromDate, departments, calendar) => {
+  const to = moment(toDate).startOf('day');
+  const from = moment(fromDate).startOf('day');
+  return calendar ? calendar.diffWorkingDays(to, from, departments) : to.diff(from, 'days');
+};
+
+/**
+ * Days between a task's planned end and its actual completion: positive when it
+ * was completed late, negative when early. Shown as "Date Spend" in the season grid.
+ * @param {object} task
+ * @param {object} [calendar] - Working calendar from createWorkingCalendar; counts working days only.
+ * @returns {number|null} Null for tasks that are not completed or have no planned end.
+ */
+export const calculateDateSpend = (task, calendar = null) => {
+  if (!task?.actualCompletion || !task.computedDates?.end) return null;
+  return diffDays(task.actualCompletion, task.computedDates.end, task.responsible, calendar);
+};
+
+/**
+ * Days a completed task actually took: from the latest completion of its preceding
+ * tasks (or its planned start when it has none) to its own completion.
+ * @param {object} task
+ * @param {Array<object>} seasonTasks - All tasks of the same season.
+ * @param {object} [calendar] - Working calendar from createWorkingCalendar.
+ * @returns {number|null} Null when the task or one of its preceding tasks is not completed.
+ */
+export const calculateActualDuration = (task, seasonTasks, calendar = null) => {
+  if (!task?.actualCompletion) return null;
+  const predecessors = (task.precedingTasks || []).map(order => seasonTasks.find(t => t.order === order)).filter(Boolean);
+  if (predecessors.some(predecessor => !predecessor.actualCompletion)) return null;
+  const start = predecessors.length > 0
+    ? moment.max(predecessors.map(predecessor => moment(predecessor.actualCompletion)))
+    : task.computedDates?.start;
+  if (!start) return null;
+  return Math.max(0, diffDays(task.actualCompletion, start, task.responsible, calendar));
+};
+
+/**
+ * Identifies the task template a season task was created from, falling back to
+ * the task name for tasks that do not reference one.
+ * @param {object} task
+ * @returns {string}
+ */
+export const getTaskTemplateKey = (task) => {
+  const template = task.templateId ?? task.taskTemplate;
+  return String(template?._id ?? template ?? task.name);
+};
+
+// Accumulates completed tasks per group and turns them into slippage figures
+const createSlippageGroups = () => {
+  const groups = new Map();
+  return {
+    add: (key, name, dateSpend) => {
+      if (!groups.has(key)) groups.set(key, { key, name, dateSpends: [] });
+      groups.get(key).dateSpends.push(dateSpend);
+    },
+    toArray: () => [...groups.values()].map(({ key, name, dateSpends }) => {
+      const late = dateSpends.filter(days => days > 0);
+      return {
+        key,
+        name,
+        completedCount: dateSpends.length,
+        lateCount: late.length,
+        onTimeRate: dateSpends.length > 0 ? (dateSpends.length - late.length) / dateSpends.length : null,
+        averageDateSpend: average(dateSpends),
+        averageDaysLate: average(late),
+      };
+    }).sort((a, b) => a.name.localeCompare(b.name)),
+  };
+};
+
+/**
+ * Lead time statistics per task template, from the completed tasks of the given
+ * seasons. The deviation is the actual duration minus the planned lead time.
+ * @param {Array<{season: object, tasks: Array<object>}>} seasons
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Working calendar from createWorkingCalendar.
+ * @returns {Array<{key: string, name: string, sampleCount: number, plannedLeadTime: number, averageDuration: number, averageDeviation: number, onTargetRate: number, durations: Array<number>}>}
+ */
+export const calculateLeadTimeAccuracy = (seasons, { calendar = null } = {}) => {
+  const templates = new Map();
+  seasons.forEach(({ tasks }) => {
+    tasks.forEach(task => {
+      const duration = calculateActualDuration(task, tasks, calendar);
+      if (duration === null) return;
+      const key = getTaskTemplateKey(task);
+      if (!templates.has(key)) templates.set(key, { key, name: task.name, samples: [] });
+      templates.get(key).samples.push({ duration, leadTime: Number(task.leadTime) || 0 });
+    });
+  });
+  return [...templates.values()].map(({ key, name, samples }) => {
+    const deviations = samples.map(sample => sample.duration - sample.leadTime);
+    return {
+      key,
+      name,
+      sampleCount: samples.length,
+      plannedLeadTime: average(samples.map(sample => sample.leadTime)),
+      averageDuration: average(samples.map(sample => sample.duration)),
+      averageDeviation: average(deviations),
+      // Within a day of the plan counts as accurate
+      onTargetRate: deviations.filter(deviation => Math.abs(deviation) <= 1).length / samples.length,
+      durations: samples.map(sample => sample.duration),
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Completion KPIs of the given seasons: the overall on-time rate and days late,
+ * and slippage per season, per responsible department and per buyer.
+ * @param {Array<{season: object, tasks: Array<object>}>} seasons
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Working calendar from createWorkingCalendar.
+ * @returns {{summary: object, seasons: Array<object>, departments: Array<object>, buyers: Array<object>}}
+ */
+export const calculateSeasonKpis = (seasons, { calendar = null } = {}) => {
+  const overall = createSlippageGroups();
+  const bySeason = createSlippageGroups();
+  const byDepartment = createSlippageGroups();
+  const byBuyer = createSlippageGroups();
+
+  seasons.forEach(({ season, tasks }) => {
+    const buyerName = season.buyer?.name || 'No buyer';
+    tasks.forEach(task => {
+      const dateSpend = calculateDateSpend(task, calendar);
+      if (dateSpend === null) return;
+      overall.add('all', 'All seasons', dateSpend);
+      bySeason.add(season._id, season.name, dateSpend);
+      byBuyer.add(season.buyer?._id || buyerName, buyerName, dateSpend);
+      (task.responsible || []).forEach(department => byDepartment.add(department, department, dateSpend));
+    });
+  });
+
+  const [summary] = overall.toArray();
+  return {
+    summary: summary || { completedCount: 0, lateCount: 0, onTimeRate: null, averageDateSpend: null, averageDaysLate: null },
+    seasons: bySeason.toArray(),
+    departments: byDepartment.toArray(),
+    buyers: byBuyer.toArray(),
+  };
+};
+
+/**
+ * Percentile of a list of numbers, interpolating between the closest ranks.
+ * @param {Array<number>} values
+ * @param {number} percentile - Between 0 and 100.
+ * @returns {number|null} Null for an empty list.
+ */
+export const calculatePercentile = (values, percentile) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Tukey fences of a list of numbers: values below `low` or above `high` are outliers.
+ * Lists of fewer than four values have no outliers.
+ * @param {Array<number>} values
+ * @returns {{low: number, high: number}}
+ */
+export const getOutlierFences = (values) => {
+  if (values.length < 4) return { low: -Infinity, high: Infinity };
+  const q1 = calculatePercentile(values, 25);
+  const q3 = calculatePercentile(values, 75);
+  const spread = 1.5 * (q3 - q1);
+  return { low: q1 - spread, high: q3 + spread };
+};
+
+/**
+ * Actual durations of the completed tasks of the given seasons, per task order code.
+ * @param {Array<{season: object, tasks: Array<object>}>} seasons
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Working calendar from createWorkingCalendar.
+ * @returns {Map<string, Array<{key: string, season: object, task: object, duration: number}>>}
+ */
+export const collectDurationsByOrder = (seasons, { calendar = null } = {}) => {
+  const durations = new Map();
+  seasons.forEach(({ season, tasks }) => {
+    tasks.forEach(task => {
+      const duration = calculateActualDuration(task, tasks, calendar);
+      if (duration === null) return;
+      if (!durations.has(task.order)) durations.set(task.order, []);
+      durations.get(task.order).push({ key: `${season._id}:${task._id}`, season, task, duration });
+    });
+  });
+  return durations;
+};
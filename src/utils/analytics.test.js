@@ -0,0 +1,75 @@
+import { calculatePercentile, calculateSeasonKpis, getOutlierFences } from './analytics';
+
+const task = (overrides) => ({
+  name: 'Task', responsible: ['Design'], computedDates: { start: '2025-03-01', end: '2025-03-10' }, ...overrides,
+});
+
+describe('calculatePercentile', () => {
+  it('returns null for an empty list', () => {
+    expect(calculatePercentile([], 50)).toBeNull();
+  });
+
+  it('interpolates between the closest ranks', () => {
+    expect(calculatePercentile([4, 1, 3, 2], 50)).toBe(2.5);
+    expect(calculatePercentile([1, 2, 3, 4, 5], 25)).toBe(2);
+    expect(calculatePercentile([10, 20], 100)).toBe(20);
+  });
+});
+
+describe('getOutlierFences', () => {
+  it('flags no outliers for fewer than four values', () => {
+    expect(getOutlierFences([1, 100, 1000])).toEqual({ low: -Infinity, high: Infinity });
+  });
+
+  it('places the fences one and a half spreads outside the quartiles', () => {
+    // Q1 = 2, Q3 = 4
+    expect(getOutlierFences([1, 2, 3, 4, 5])).toEqual({ low: -1, high: 7 });
+  });
+});
+
+describe('calculateSeasonKpis', () => {
+  it('returns an empty summary when no task is completed', () => {
+    const result = calculateSeasonKpis([{ season: { _id: 's1', name: 'SS25' }, tasks: [task({ actualCompletion: null })] }]);
+    expect(result.summary).toEqual({
+      completedCount: 0, lateCount: 0, onTimeRate: null, averageDateSpend: null, averageDaysLate: null,
+    });
+    expect(result.seasons).toEqual([]);
+  });
+
+  it('groups completed tasks per season, department and buyer', () => {
+    const buyer = { _id: 'b1', name: 'Acme' };
+    const result = calculateSeasonKpis([
+      {
+        season: { _id: 's1', name: 'SS25', buyer },
+        tasks: [
+          task({ actualCompletion: '2025-03-14', responsible: ['Design', 'Sourcing'] }), // 4 days late
+          task({ actualCompletion: '2025-03-08' }), // 2 days early
+          task({ actualCompletion: null }),
+        ],
+      },
+      {
+        season: { _id: 's2', name: 'AW25' },
+        tasks: [task({ actualCompletion: '2025-03-10', responsible: ['Sourcing'] })],
+      },
+    ]);
+
+    expect(result.summary).toMatchObject({
+      completedCount: 3, lateCount: 1, onTimeRate: 2 / 3, averageDateSpend: 2 / 3, averageDaysLate: 4,
+    });
+    expect(result.seasons.map(({ name, completedCount, lateCount }) => [name, completedCount, lateCount]))
+      .toEqual([['AW25', 1, 0], ['SS25', 2, 1]]);
+    expect(result.departments.map(({ name, completedCount }) => [name, completedCount]))
+      .toEqual([['Design', 2], ['Sourcing', 2]]);
+    expect(result.buyers.map(({ key, name }) => [key, name])).toEqual([['b1', 'Acme'], ['No buyer', 'No buyer']]);
+  });
+
+  it('counts working days only when given a calendar', () => {
+    const calendar = { diffWorkingDays: jest.fn(() => 1) };
+    const result = calculateSeasonKpis(
+      [{ season: { _id: 's1', name: 'SS25' }, tasks: [task({ actualCompletion: '2025-03-14' })] }],
+      { calendar },
+    );
+    expect(calendar.diffWorkingDays).toHaveBeenCalledWith(expect.anything(), expect.anything(), ['Design']);
+    expect(result.summary.averageDateSpend).toBe(1);
+  });
+});
@@ -0,0 +1,19 @@
+// Detail requests are sent a few at a time so a wide filter does not flood the server
+export const REQUEST_BATCH_SIZE = 5;
+
+/**
+ * Calls an async function for every item, a batch at a time: each batch runs in
+ * parallel and the next one starts when it has settled.
+ * @param {Array} items
+ * @param {Function} mapper - Receives the item and its index; returns a promise.
+ * @param {number} [batchSize=REQUEST_BATCH_SIZE]
+ * @returns {Promise<Array>} The results, in the order of the items.
+ */
+export const mapInBatches = async (items, mapper, batchSize = REQUEST_BATCH_SIZE) => {
+  const results = [];
+  for (let start = 0; start < items.length; start += batchSize) {
+    const batch = items.slice(start, start + batchSize);
+    results.push(...await Promise.all(batch.map((item, offset) => mapper(item, start + offset))));
+  }
+  return results;
+};
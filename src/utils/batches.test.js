@@ -0,0 +1,29 @@
+import { mapInBatches } from './batches';
+
+describe('mapInBatches', () => {
+  it('returns the results in the order of the items', async () => {
+    const results = await mapInBatches([3, 1, 2], async (value, index) => `${index}:${value * 2}`, 2);
+    expect(results).toEqual(['0:6', '1:2', '2:4']);
+  });
+
+  it('starts a batch only once the previous one has settled', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    await mapInBatches([1, 2, 3, 4, 5, 6, 7], async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await Promise.resolve();
+      running -= 1;
+    }, 3);
+    expect(maxRunning).toBe(3);
+  });
+
+  it('stops at the first failing batch', async () => {
+    const mapper = jest.fn(async (value) => {
+      if (value === 2) throw new Error('Failed');
+      return value;
+    });
+    await expect(mapInBatches([1, 2, 3, 4], mapper, 2)).rejects.toThrow('Failed');
+    expect(mapper).toHaveBeenCalledTimes(2);
+  });
+});
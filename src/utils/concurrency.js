@@ -0,0 +1,55 @@
+import moment from 'moment';
+
+const normalizeDate = (value) => (value ? moment(value).toISOString() : null);
+const formatDate = (value) => (value ? moment(value).format('DD-MMM-YY') : '(none)');
+const normalizeText = (value) => value ?? '';
+const formatText = (value) => (value ? String(value) : '(empty)');
+
+/**
+ * Returns the version token a record was loaded with, sent back as a
+ * precondition so the server can reject updates based on stale data.
+ * @param {object} record - A season or task as returned by the server.
+ * @returns {string|number|null}
+ */
+export const getRecordVersion = (record) => record?.updatedAt ?? record?.__v ?? null;
+
+// Fields a user can resolve in the merge dialog, with how to compare and display them
+export const TASK_MERGE_FIELDS = {
+  actualCompletion: { label: 'Actual Completion', normalize: normalizeDate, format: formatDate },
+  remarks: { label: 'Remarks', normalize: normalizeText, format: formatText },
+};
+
+export const SEASON_MERGE_FIELDS = {
+  name: { label: 'Season Name', normalize: normalizeText, format: formatText },
+  buyer: { label: 'Buyer', normalize: (value) => value?._id || value || null, format: (value) => value?.name || formatText(value) },
+  status: { label: 'Status', normalize: normalizeText, format: formatText },
+};
+
+/**
+ * Lines up the original, the user's and the server's value of every field the
+ * user changed, for the merge dialog. Fields the server did not change since
+ * the record was loaded default to the user's value, and vice versa.
+ * @param {object} fieldDefinitions - TASK_MERGE_FIELDS or SEASON_MERGE_FIELDS.
+ * @param {object} original - The record as it was loaded.
+ * @param {object} yours - The values the user is saving.
+ * @param {object} theirs - The record as currently stored on the server.
+ * @returns {Array<{field: string, label: string, original: *, yours: *, theirs: *, conflicting: boolean, choice: string, format: Function}>}
+ */
+export const buildMergeFields = (fieldDefinitions, original, yours, theirs) => Object.keys(yours)
+  .filter(field => fieldDefinitions[field])
+  .map(field => {
+    const { label, normalize, format } = fieldDefinitions[field];
+    const originalValue = normalize(original[field]);
+    const theirsChanged = normalize(theirs[field]) !== originalValue;
+    const yoursChanged = normalize(yours[field]) !== originalValue;
+    return {
+      field,
+      label,
+      original: original[field],
+      yours: yours[field],
+      theirs: theirs[field],
+      conflicting: theirsChanged && yoursChanged && normalize(theirs[field]) !== normalize(yours[field]),
+      choice: theirsChanged && !yoursChanged ? 'theirs' : 'yours',
+      format,
+    };
+  });
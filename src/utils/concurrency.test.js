@@ -0,0 +1,43 @@
+import { buildMergeFields, getRecordVersion, SEASON_MERGE_FIELDS, TASK_MERGE_FIELDS } from './concurrency';
+
+const summarize = (fields) => fields.map(({ field, conflicting, choice }) => [field, conflicting, choice]);
+
+describe('buildMergeFields', () => {
+  const original = { remarks: 'Waiting for artwork', actualCompletion: null, status: 'pending' };
+
+  it('lists only the mergeable fields the user is saving', () => {
+    const fields = buildMergeFields(TASK_MERGE_FIELDS, original, { remarks: 'Artwork in', status: 'completed' }, original);
+    expect(fields.map(({ field, label }) => [field, label])).toEqual([['remarks', 'Remarks']]);
+  });
+
+  it('flags fields both sides changed to different values', () => {
+    const fields = buildMergeFields(
+      TASK_MERGE_FIELDS,
+      original,
+      { remarks: 'Artwork in', actualCompletion: '2025-03-05' },
+      { ...original, remarks: 'Artwork late', actualCompletion: '2025-03-05T00:00:00' },
+    );
+    expect(summarize(fields)).toEqual([['remarks', true, 'yours'], ['actualCompletion', false, 'yours']]);
+    expect(fields[0]).toMatchObject({ original: 'Waiting for artwork', yours: 'Artwork in', theirs: 'Artwork late' });
+  });
+
+  it("defaults to the server's value when only the server changed it", () => {
+    const fields = buildMergeFields(TASK_MERGE_FIELDS, original, { remarks: 'Waiting for artwork' }, { ...original, remarks: 'Artwork late' });
+    expect(summarize(fields)).toEqual([['remarks', false, 'theirs']]);
+  });
+
+  it('compares buyers by ID and shows them by name', () => {
+    const buyer = { _id: 'b1', name: 'Acme' };
+    const [field] = buildMergeFields(SEASON_MERGE_FIELDS, { buyer }, { buyer: 'b1' }, { buyer: { _id: 'b2', name: 'Globex' } });
+    expect(field).toMatchObject({ conflicting: false, choice: 'theirs' });
+    expect(field.format(field.theirs)).toBe('Globex');
+  });
+});
+
+describe('getRecordVersion', () => {
+  it('prefers updatedAt over the document version', () => {
+    expect(getRecordVersion({ updatedAt: '2025-03-01T00:00:00Z', __v: 3 })).toBe('2025-03-01T00:00:00Z');
+    expect(getRecordVersion({ __v: 0 })).toBe(0);
+    expect(getRecordVersion(null)).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+import { compareOrderCodes } from './timeline';
+
+/**
+ * Parses a comma-separated list of order codes ("a, B ,c") into an array of
+ * trimmed, upper-cased codes (["A", "B", "C"]).
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+export const parseOrderCodeList = (value) => (value || '')
+  .toUpperCase()
+  .split(',')
+  .map(code => code.trim())
+  .filter(code => code !== '');
+
+const describeIssue = (issue) => {
+  switch (issue.type) {
+    case 'duplicate':
+      return `Order code "${issue.order}" is used by more than one active template.`;
+    case 'self':
+      return `"${issue.order}" lists itself as a preceding task.`;
+    case 'missing':
+      return `"${issue.order}" depends on "${issue.reference}", which does not exist.`;
+    case 'inactive':
+      return `"${issue.order}" depends on "${issue.reference}", which is inactive.`;
+    case 'cycle':
+      return `Circular dependency: ${issue.chain.join(' → ')}.`;
+    default:
+      return `Invalid dependency on "${issue.order}".`;
+  }
+};
+
+const buildIssue = (fields) => {
+  const issue = { ...fields };
+  issue.message = describeIssue(issue);
+  return issue;
+};
+
+/**
+ * Checks a dependency graph for duplicate order codes, self-references,
+ * references to unknown or inactive order codes and circular dependencies.
+ * Only active nodes are validated; inactive nodes only serve to tell a dangling
+ * reference apart from a reference to an inactive code.
+ * @param {Array<{order: string, preceding: Array<string>, isActive?: boolean}>} nodes
+ * @returns {Array<{type: string, order: string, orders: Array<string>, message: string}>}
+ */
+export const findDependencyIssues = (nodes) => {
+  const issues = [];
+  const activeNodes = nodes.filter(node => node.isActive !== false);
+  const inactiveOrders = new Set(nodes.filter(node => node.isActive === false).map(node => node.order));
+
+  const activeByOrder = new Map();
+  const reportedDuplicates = new Set();
+  activeNodes.forEach(node => {
+    if (activeByOrder.has(node.order)) {
+      if (!reportedDuplicates.has(node.order)) {
+        reportedDuplicates.add(node.order);
+        issues.push(buildIssue({ type: 'duplicate', order: node.order, orders: [node.order] }));
+      }
+      return;
+    }
+    activeByOrder.set(node.order, node);
+  });
+
+  activeByOrder.forEach(node => {
+    (node.preceding || []).forEach(reference => {
+      if (reference === node.order) {
+        issues.push(buildIssue({ type: 'self', order: node.order, orders: [node.order] }));
+      } else if (!activeByOrder.has(reference)) {
+        const type = inactiveOrders.has(reference) ? 'inactive' : 'missing';
+        issues.push(buildIssue({ type, order: node.order, reference, orders: [node.order] }));
+      }
+    });
+  });
+
+  // Depth-first search for cycles; self-references are already reported above
+  const state = new Map(); // order -> 'visiting' | 'done'
+  const stack = [];
+  const seenCycles = new Set();
+  const visit = (order) => {
+    state.set(order, 'visiting');
+    stack.push(order);
+    (activeByOrder.get(order).preceding || []).forEach(reference => {
+      if (reference === order || !activeByOrder.has(reference)) return;
+      if (state.get(reference) === 'visiting') {
+        // Report the chain in dependency order (predecessor first)
+        const cycle = stack.slice(stack.indexOf(reference)).reverse();
+        const start = cycle.indexOf([...cycle].sort(compareOrderCodes)[0]);
+        const normalized = [...cycle.slice(start), ...cycle.slice(0, start)];
+        const key = normalized.join('>');
+        if (!seenCycles.has(key)) {
+          seenCycles.add(key);
+          issues.push(buildIssue({
+            type: 'cycle',
+            order: normalized[0],
+            orders: normalized,
+            chain: [...normalized, normalized[0]],
+          }));
+        }
+      } else if (!state.has(reference)) {
+        visit(reference);
+      }
+    });
+    stack.pop();
+    state.set(order, 'done');
+  };
+  [...activeByOrder.keys()].sort(compareOrderCodes).forEach(order => {
+    if (!state.has(order)) visit(order);
+  });
+
+  return issues;
+};
+
+const templateToNode = (template) => ({
+  order: template.order,
+  preceding: template.defaultPrecedingTasks || [],
+  isActive: template.isActive !== false,
+});
+
+/**
+ * Validates a whole set of task templates.
+ * @param {Array<object>} templates - Task templates, including inactive ones.
+ * @returns {Array<object>} Dependency issues, see findDependencyIssues.
+ */
+export const validateTaskTemplates = (templates) => findDependencyIssues(templates.map(templateToNode));
+
+/**
+ * Validates a template that is about to be created or updated against the
+ * existing templates. Only issues that the change introduces, or that involve
+ * the template itself, are returned so unrelated problems do not block saving.
+ * @param {Array<object>} templates - Existing task templates, including inactive ones.
+ * @param {object} candidate - The template data about to be saved.
+ * @param {string} [templateId] - ID of the template being edited, if any.
+ * @returns {Array<object>} Dependency issues, see findDependencyIssues.
+ */
+export const validateTemplateCandidate = (templates, candidate, templateId) => {
+  const existing = templates.find(template => template._id === templateId);
+  const merged = {
+    ...existing,
+    ...candidate,
+    isActive: existing ? existing.isActive : true,
+  };
+  const others = templates.filter(template => template._id !== templateId);
+
+  const before = new Set(validateTaskTemplates(templates).map(issue => issue.message));
+  return validateTaskTemplates([...others, merged])
+    .filter(issue => !before.has(issue.message) || issue.orders.includes(merged.order));
+};
+
+/**
+ * Joins dependency issues into a single user-facing message.
+ * @param {Array<object>} issues
+ * @returns {string}
+ */
+export const formatDependencyIssues = (issues) => issues.map(issue => issue.message).join(' ');
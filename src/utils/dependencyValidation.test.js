@@ -0,0 +1,47 @@
+import { findDependencyIssues, parseOrderCodeList } from './dependencyValidation';
+
+const node = (order, preceding = [], isActive) => ({ order, preceding, isActive });
+const types = (issues) => issues.map(({ type, order }) => [type, order]);
+
+describe('parseOrderCodeList', () => {
+  it('trims, upper-cases and drops empty codes', () => {
+    expect(parseOrderCodeList('a, B ,,c ')).toEqual(['A', 'B', 'C']);
+  });
+
+  it('returns an empty list for empty input', () => {
+    expect(parseOrderCodeList('')).toEqual([]);
+    expect(parseOrderCodeList(undefined)).toEqual([]);
+  });
+});
+
+describe('findDependencyIssues', () => {
+  it('reports nothing for a valid graph', () => {
+    expect(findDependencyIssues([node('A'), node('B', ['A']), node('C', ['A', 'B'])])).toEqual([]);
+  });
+
+  it('reports a duplicate order code once', () => {
+    expect(types(findDependencyIssues([node('A'), node('A'), node('A')]))).toEqual([['duplicate', 'A']]);
+  });
+
+  it('reports self-references without also reporting them as cycles', () => {
+    expect(types(findDependencyIssues([node('A', ['A'])]))).toEqual([['self', 'A']]);
+  });
+
+  it('tells references to inactive codes apart from unknown ones', () => {
+    const issues = findDependencyIssues([node('A', [], false), node('B', ['A', 'Z'])]);
+    expect(issues.map(({ type, reference }) => [type, reference])).toEqual([['inactive', 'A'], ['missing', 'Z']]);
+    expect(issues[1].message).toBe('"B" depends on "Z", which does not exist.');
+  });
+
+  it('does not validate inactive nodes', () => {
+    expect(findDependencyIssues([node('A', ['Z'], false)])).toEqual([]);
+  });
+
+  it('reports each cycle once, starting from its lowest order code', () => {
+    const issues = findDependencyIssues([node('C', ['B']), node('A', ['C']), node('B', ['A']), node('D', ['C'])]);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      type: 'cycle', order: 'A', orders: ['A', 'B', 'C'], message: 'Circular dependency: A → B → C → A.',
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Saves a blob through a temporary download link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.parentNode.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// Spreadsheet apps run text starting with these as a formula
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Turns a value into one CSV cell: quoted when needed, and with formula-like text
+ * prefixed so spreadsheet apps show it instead of running it.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  // Numbers are left alone so negative values stay numeric
+  const text = typeof value !== 'number' && FORMULA_PREFIX.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text from rows of objects.
+ * @param {Array<object>} rows
+ * @param {Array<{key: string, label: string, value?: Function}>} columns - `value(row)` overrides `row[key]`.
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => [
+  columns.map(column => escapeCsvValue(column.label)).join(','),
+  ...rows.map(row => columns.map(column => escapeCsvValue(column.value ? column.value(row) : row[column.key])).join(',')),
+].join('\r\n');
+
+/**
+ * Downloads CSV text as a file that Excel opens with the right encoding.
+ * @param {string} text
+ * @param {string} filename
+ */
+export const downloadCsvText = (text, filename) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  downloadBlob(new Blob([`\uFEFF${text}`], { type: 'text/csv;charset=utf-8' }), filename);
+};
+
+/**
+ * Downloads rows as a CSV file.
+ * @param {Array<object>} rows
+ * @param {Array<{key: string, label: string, value?: Function}>} columns
+ * @param {string} filename
+ */
+export const downloadCsv = (rows, columns, filename) => downloadCsvText(toCsv(rows, columns), filename);
+
+/**
+ * Renders an SVG element to a PNG on a white background and downloads it.
+ * The SVG must carry its styling as attributes, since page stylesheets do not apply.
+ * @param {SVGSVGElement} svg
+ * @param {string} filename
+ * @param {number} [scale=2] - Pixel density of the image.
+ * @returns {Promise<void>}
+ */
+export const downloadSvgAsPng = (svg, filename, scale = 2) => new Promise((resolve, reject) => {
+  const { width, height } = svg.viewBox.baseVal;
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Failed to render the chart as an image.'));
+        return;
+      }
+      downloadBlob(blob, filename);
+      resolve();
+    }, 'image/png');
+  };
+  image.onerror = () => reject(new Error('Failed to render the chart as an image.'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(svg))}`;
+});
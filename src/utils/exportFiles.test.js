@@ -0,0 +1,26 @@
+import { escapeCsvValue, toCsv } from './exportFiles';
+
+const columns = [{ key: 'name', label: 'Name' }, { key: 'dateSpend', label: 'Date Spend' }];
+
+describe('toCsv', () => {
+  it('quotes values containing separators or quotes', () => {
+    expect(toCsv([{ name: 'Fit, "proto"', dateSpend: 2 }], columns)).toBe('Name,Date Spend\r\n"Fit, ""proto""",2');
+  });
+
+  it('keeps text that starts like a formula from being run by spreadsheet apps', () => {
+    const rows = ['=HYPERLINK("x")', '+1', '-cmd', '@SUM(A1)'].map(name => ({ name, dateSpend: null }));
+    expect(toCsv(rows, columns).split('\r\n').slice(1))
+      .toEqual(['"\'=HYPERLINK(""x"")",', "'+1,", "'-cmd,", "'@SUM(A1),"]);
+  });
+
+  it('leaves negative numbers numeric', () => {
+    expect(toCsv([{ name: 'Sample', dateSpend: -3 }], columns)).toBe('Name,Date Spend\r\nSample,-3');
+  });
+});
+
+describe('escapeCsvValue', () => {
+  it('escapes a single cell like toCsv does', () => {
+    expect(escapeCsvValue('=HYPERLINK("x"), SS25')).toBe('"\'=HYPERLINK(""x""), SS25"');
+    expect(escapeCsvValue(undefined)).toBe('');
+  });
+});
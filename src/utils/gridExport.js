@@ -0,0 +1,118 @@
+import moment from 'moment';
+import { downloadBlob, downloadCsvText, escapeCsvValue, toCsv } from './exportFiles';
+
+// Date formats offered in the export dialog, with the matching Excel number format
+export const DATE_FORMATS = {
+  'DD-MMM-YY': 'dd-mmm-yy',
+  'YYYY-MM-DD': 'yyyy-mm-dd',
+  'DD/MM/YYYY': 'dd/mm/yyyy',
+  'MM/DD/YYYY': 'mm/dd/yyyy',
+  'YYYY-MM-DD HH:mm': 'yyyy-mm-dd hh:mm',
+};
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_COLUMN_WIDTH = 60;
+
+// `column.value(row)` overrides `row[column.key]`
+const getColumnValue = (row, column) => (column.value ? column.value(row) : row[column.key]);
+
+const toDateValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = moment(value);
+  return date.isValid() ? date : null;
+};
+
+const formatCellText = (value, column, dateFormat) => {
+  if (column.type === 'date') {
+    const date = toDateValue(value);
+    return date ? date.format(dateFormat) : '';
+  }
+  if (Array.isArray(value)) return value.join(', ');
+  return value ?? '';
+};
+
+// Excel keeps dates without a time zone, so the local date and time are written as if they were UTC
+const toExcelDate = (date) => new Date(Date.UTC(
+  date.year(), date.month(), date.date(), date.hours(), date.minutes(), date.seconds()
+));
+
+// Sheet names are limited to 31 characters, may not contain []:*?/\ and must be unique
+const toSheetName = (name, usedNames) => {
+  const base = (name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet';
+  let sheetName = base;
+  for (let suffix = 2; usedNames.has(sheetName.toLowerCase()); suffix++) {
+    const tag = ` (${suffix})`;
+    sheetName = `${base.slice(0, MAX_SHEET_NAME_LENGTH - tag.length)}${tag}`;
+  }
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+const buildWorkbook = async (sheets, dateFormat) => {
+  // Loaded on demand; the library is only needed when someone exports
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const usedNames = new Set();
+
+  sheets.forEach(({ name, columns, rows }) => {
+    const worksheet = workbook.addWorksheet(toSheetName(name, usedNames), {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+    worksheet.columns = columns.map(column => ({
+      header: column.label,
+      key: column.key,
+      width: Math.min(MAX_COLUMN_WIDTH, Math.max(
+        column.label.length,
+        ...rows.map(row => String(formatCellText(getColumnValue(row, column), column, dateFormat)).length)
+      ) + 2),
+      style: {
+        ...(column.type === 'date' && { numFmt: DATE_FORMATS[dateFormat] }),
+        ...(column.wrap && { alignment: { wrapText: true, vertical: 'top' } }),
+      },
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    rows.forEach(row => {
+      worksheet.addRow(columns.map(column => {
+        const value = getColumnValue(row, column);
+        if (column.type === 'date') {
+          const date = toDateValue(value);
+          return date ? toExcelDate(date) : null;
+        }
+        if (Array.isArray(value)) return value.join(', ');
+        return value ?? null;
+      }));
+    });
+  });
+  return workbook;
+};
+
+/**
+ * Exports one or more sheets as an XLSX workbook or as CSV. A CSV with several
+ * sheets lists them one after another, each under a line with its name.
+ * @param {object} options
+ * @param {Array<{name: string, columns: Array<{key: string, label: string, type?: string, wrap?: boolean, value?: Function}>, rows: Array<object>}>} options.sheets
+ * @param {'xlsx'|'csv'} options.format
+ * @param {string} options.filename - Without extension.
+ * @param {string} [options.dateFormat='DD-MMM-YY'] - One of the DATE_FORMATS keys.
+ * @returns {Promise<void>}
+ */
+export const exportSheets = async ({ sheets, format, filename, dateFormat = 'DD-MMM-YY' }) => {
+  if (format === 'xlsx') {
+    const workbook = await buildWorkbook(sheets, dateFormat);
+    const buffer = await workbook.xlsx.writeBuffer();
+    downloadBlob(new Blob([buffer], { type: XLSX_MIME_TYPE }), `${filename}.xlsx`);
+    return;
+  }
+
+  const csvSections = sheets.map(({ name, columns, rows }) => {
+    const textColumns = columns.map(column => ({
+      ...column,
+      value: (row) => formatCellText(getColumnValue(row, column), column, dateFormat),
+    }));
+    const csv = toCsv(rows, textColumns);
+    return sheets.length > 1 ? `${escapeCsvValue(name)}\r\n${csv}` : csv;
+  });
+  downloadCsvText(csvSections.join('\r\n\r\n'), `${filename}.csv`);
+};
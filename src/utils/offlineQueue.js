@@ -0,0 +1,151 @@
+import moment from 'moment';
+
+const DB_NAME = 'melamine-timeline';
+const DB_VERSION = 1;
+const STORE_NAME = 'taskUpdates';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('Offline storage is not available in this browser.'));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Tells whether a failed request never reached the server, as opposed to the
+ * server rejecting it.
+ * @param {Error} error - Error thrown by a service call.
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => Boolean(error?.isNetworkError) || !navigator.onLine;
+
+/**
+ * Identifies the user queued updates belong to. The queue is shared by everyone
+ * using the browser, so each entry records who made the edit.
+ * @param {object|null} user - The decoded token from AuthContext.
+ * @returns {string|null}
+ */
+export const getQueueOwner = (user) => {
+  const owner = user?.id ?? user?._id ?? user?.userId ?? user?.sub ?? user?.username;
+  return owner === undefined || owner === null ? null : String(owner);
+};
+
+/**
+ * Returns the queued task updates of a user, oldest first. Entries without an
+ * owner are never returned, since nobody can tell whose edits they are.
+ * @param {string} userId - See getQueueOwner.
+ * @returns {Promise<Array<object>>}
+ */
+export const getQueuedUpdates = async (userId) => {
+  const entries = await runTransaction('readonly', store => store.getAll());
+  return entries.filter(entry => entry.userId === userId);
+};
+
+/**
+ * Adds a task update to the end of the queue.
+ * @param {object} entry - `{ userId, seasonId, seasonName, taskId, taskOrder, taskName, payload, baseline }`
+ * @returns {Promise<number>} The ID of the queued entry.
+ */
+export const addQueuedUpdate = (entry) => runTransaction('readwrite', store => store.add({
+  ...entry,
+  status: 'queued',
+  message: '',
+  queuedAt: new Date().toISOString(),
+}));
+
+/**
+ * Replaces a queued entry, e.g. to record a conflict or a failure.
+ * @param {object} entry - The full entry, including its `id`.
+ * @returns {Promise<number>}
+ */
+export const putQueuedUpdate = (entry) => runTransaction('readwrite', store => store.put(entry));
+
+/**
+ * Removes a single entry from the queue.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export const deleteQueuedUpdate = (id) => runTransaction('readwrite', store => store.delete(id));
+
+/**
+ * Removes every entry of a user from the queue, leaving other users' edits alone.
+ * @param {string} userId - See getQueueOwner.
+ * @returns {Promise<void>}
+ */
+export const clearQueuedUpdates = (userId) => runTransaction('readwrite', (store) => {
+  const request = store.getAll();
+  request.onsuccess = () => {
+    request.result.filter(entry => entry.userId === userId).forEach(entry => store.delete(entry.id));
+  };
+});
+
+const normalizeFieldValue = (field, value) => {
+  if (field === 'actualCompletion') return value ? moment(value).toISOString() : null;
+  return value ?? '';
+};
+
+/**
+ * Captures the current value of every field a payload is about to change, so a
+ * later replay can tell whether someone else changed them in the meantime.
+ * @param {object} task - The task as it was when the edit was made.
+ * @param {object} payload - The update payload.
+ * @returns {object} Field name to value.
+ */
+export const captureBaseline = (task, payload) => Object.keys(payload).reduce((baseline, field) => ({
+  ...baseline,
+  [field]: normalizeFieldValue(field, task[field]),
+}), {});
+
+/**
+ * Lists the fields whose server value no longer matches the captured baseline.
+ * @param {object} baseline - See captureBaseline.
+ * @param {object} serverTask - The task as currently stored on the server.
+ * @returns {Array<string>}
+ */
+export const findConflictingFields = (baseline, serverTask) => Object.keys(baseline).filter(field => (
+  normalizeFieldValue(field, serverTask[field]) !== baseline[field]
+));
+
+/**
+ * Applies the queued payloads of a season on top of its tasks, oldest first, so
+ * edits that are waiting to sync stay visible. Entries the server rejected
+ * (status 'conflict' or 'failed') are left out.
+ * @param {Array<object>} tasks
+ * @param {Array<object>} entries - Queue entries for the same season.
+ * @returns {Array<object>}
+ */
+export const applyQueuedUpdates = (tasks, entries) => {
+  const queuedEntries = entries.filter(entry => entry.status === 'queued');
+  if (queuedEntries.length === 0) return tasks;
+  const payloadsByTask = new Map();
+  queuedEntries.forEach(entry => {
+    payloadsByTask.set(entry.taskId, { ...payloadsByTask.get(entry.taskId), ...entry.payload });
+  });
+  return tasks.map(task => (payloadsByTask.has(task._id) ? { ...task, ...payloadsByTask.get(task._id) } : task));
+};
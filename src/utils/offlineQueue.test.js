@@ -0,0 +1,60 @@
+import { applyQueuedUpdates, captureBaseline, findConflictingFields, getQueueOwner } from './offlineQueue';
+
+const tasks = [
+  { _id: 't1', order: 'A', status: 'pending', remarks: '', actualCompletion: null },
+  { _id: 't2', order: 'B', status: 'pending', remarks: 'Waiting for artwork', actualCompletion: null },
+];
+
+describe('applyQueuedUpdates', () => {
+  it('returns the tasks unchanged when nothing is queued', () => {
+    expect(applyQueuedUpdates(tasks, [])).toBe(tasks);
+  });
+
+  it('applies queued payloads oldest first', () => {
+    const result = applyQueuedUpdates(tasks, [
+      { taskId: 't1', status: 'queued', payload: { remarks: 'First' } },
+      { taskId: 't1', status: 'queued', payload: { remarks: 'Second', status: 'completed' } },
+    ]);
+    expect(result[0]).toMatchObject({ remarks: 'Second', status: 'completed' });
+    expect(result[1]).toBe(tasks[1]);
+  });
+
+  it('leaves out entries the server rejected', () => {
+    const result = applyQueuedUpdates(tasks, [
+      { taskId: 't1', status: 'conflict', payload: { remarks: 'Conflicting' } },
+      { taskId: 't2', status: 'failed', payload: { status: 'completed' } },
+    ]);
+    expect(result).toBe(tasks);
+  });
+});
+
+describe('findConflictingFields', () => {
+  it('reports only the fields changed on the server since the baseline', () => {
+    const baseline = captureBaseline(tasks[1], { remarks: 'Artwork approved', status: 'completed' });
+    const serverTask = { ...tasks[1], remarks: 'Changed by planner' };
+    expect(findConflictingFields(baseline, serverTask)).toEqual(['remarks']);
+  });
+
+  it('compares completion dates regardless of their format', () => {
+    const task = { ...tasks[0], actualCompletion: '2025-03-01T00:00:00.000Z' };
+    const baseline = captureBaseline(task, { actualCompletion: '2025-03-05' });
+    expect(findConflictingFields(baseline, { ...task, actualCompletion: new Date('2025-03-01T00:00:00.000Z') })).toEqual([]);
+    expect(findConflictingFields(baseline, { ...task, actualCompletion: '2025-03-02T00:00:00.000Z' })).toEqual(['actualCompletion']);
+  });
+
+  it('treats missing and empty values as equal', () => {
+    const baseline = captureBaseline({ _id: 't3' }, { remarks: 'New' });
+    expect(findConflictingFields(baseline, { _id: 't3', remarks: '' })).toEqual([]);
+  });
+});
+
+describe('getQueueOwner', () => {
+  it('identifies the user by ID, falling back to the username', () => {
+    expect(getQueueOwner({ id: 42, username: 'ana' })).toBe('42');
+    expect(getQueueOwner({ username: 'ana' })).toBe('ana');
+  });
+
+  it('returns null when nobody is logged in', () => {
+    expect(getQueueOwner(null)).toBeNull();
+  });
+});
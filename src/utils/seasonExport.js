@@ -0,0 +1,125 @@
+import moment from 'moment';
+import { calculateReferenceTimeline, sortByOrder } from './timeline';
+import { calculateDateSpend } from './analytics';
+
+// Task columns offered in the export dialog, in sheet order
+export const TASK_EXPORT_COLUMNS = [
+  { key: 'order', label: 'Order' },
+  { key: 'name', label: 'Task' },
+  { key: 'responsible', label: 'Responsible' },
+  { key: 'precedingTasks', label: 'Preceding Tasks' },
+  { key: 'leadTime', label: 'Lead Time (days)' },
+  { key: 'start', label: 'Start Date', type: 'date' },
+  { key: 'end', label: 'End Date', type: 'date' },
+  { key: 'actualCompletion', label: 'Actual Completion', type: 'date' },
+  { key: 'status', label: 'Status' },
+  { key: 'dateSpend', label: 'Date Spend (days)' },
+  { key: 'remarks', label: 'Remarks', wrap: true },
+];
+
+// Extra content a season export can include
+export const SEASON_EXPORT_OPTIONS = [
+  { key: 'includeTimeline', label: 'Reference timeline' },
+  { key: 'includeRemarksHistory', label: 'Remarks history' },
+  { key: 'includeAttachments', label: 'Attachment names' },
+];
+
+const TIMELINE_COLUMNS = [
+  { key: 'referenceStart', label: 'Reference Start', type: 'date' },
+  { key: 'referenceEnd', label: 'Reference End', type: 'date' },
+];
+const REMARKS_HISTORY_COLUMN = { key: 'remarksHistory', label: 'Remarks History', wrap: true };
+const ATTACHMENTS_COLUMN = { key: 'attachmentNames', label: 'Attachments', wrap: true };
+
+const SUMMARY_COLUMNS = [
+  { key: 'name', label: 'Season' },
+  { key: 'buyer', label: 'Buyer' },
+  { key: 'status', label: 'Status' },
+  { key: 'createdAt', label: 'Date Created', type: 'date' },
+  { key: 'startDate', label: 'Start Date', type: 'date' },
+  { key: 'endDate', label: 'Planned End', type: 'date' },
+  { key: 'taskCount', label: 'Tasks' },
+  { key: 'completedCount', label: 'Completed' },
+  { key: 'lateCount', label: 'Completed Late' },
+  { key: 'overdueCount', label: 'Overdue' },
+  { key: 'progress', label: 'Progress (%)' },
+];
+
+const formatUserName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'System');
+
+// Remark log entries of a task, oldest first, one per line
+const formatRemarksHistory = (task, logs) => logs
+  .filter(log => /REMARK/i.test(log.action || '') && (log.task === task._id || log.taskId === task._id || log.taskName === task.name))
+  .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  .map(log => `${moment(log.createdAt).format('DD-MMM-YY HH:mm')} ${formatUserName(log.user)}: ${log.details || ''}`)
+  .join('\n');
+
+/**
+ * Builds the export sheet of one season's tasks.
+ * @param {object} season
+ * @param {Array<object>} tasks
+ * @param {object} [options]
+ * @param {Array<string>} [options.columnKeys] - Keys of TASK_EXPORT_COLUMNS to include; all by default.
+ * @param {boolean} [options.includeTimeline=false] - Adds the reference start and end dates.
+ * @param {Array<object>} [options.remarksLogs] - Activity logs of the season; adds the remarks history when given.
+ * @param {boolean} [options.includeAttachments=false] - Adds the attachment file names.
+ * @param {object} [options.calendar] - Working calendar from createWorkingCalendar.
+ * @returns {{name: string, columns: Array<object>, rows: Array<object>}} A sheet for exportSheets.
+ */
+export const buildSeasonSheet = (season, tasks, {
+  columnKeys = null, includeTimeline = false, remarksLogs = null, includeAttachments = false, calendar = null,
+} = {}) => {
+  const timeline = includeTimeline
+    ? calculateReferenceTimeline(tasks, season.startDate || season.createdAt, { calendar })
+    : new Map();
+
+  const columns = [
+    ...TASK_EXPORT_COLUMNS.filter(column => !columnKeys || columnKeys.includes(column.key)),
+    ...(includeTimeline ? TIMELINE_COLUMNS : []),
+    ...(remarksLogs ? [REMARKS_HISTORY_COLUMN] : []),
+    ...(includeAttachments ? [ATTACHMENTS_COLUMN] : []),
+  ];
+
+  const rows = sortByOrder([...tasks]).map(task => ({
+    ...task,
+    start: task.computedDates?.start,
+    end: task.computedDates?.end,
+    dateSpend: calculateDateSpend(task, calendar),
+    referenceStart: timeline.get(task._id)?.start,
+    referenceEnd: timeline.get(task._id)?.end,
+    remarksHistory: remarksLogs ? formatRemarksHistory(task, remarksLogs) : '',
+    attachmentNames: (task.attachments || []).map(attachment => attachment.filename).join('\n'),
+  }));
+
+  return { name: season.name, columns, rows };
+};
+
+/**
+ * Builds a summary sheet with one row of progress figures per season.
+ * @param {Array<{season: object, tasks: Array<object>}>} seasons
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Working calendar from createWorkingCalendar.
+ * @returns {{name: string, columns: Array<object>, rows: Array<object>}} A sheet for exportSheets.
+ */
+export const buildSeasonSummarySheet = (seasons, { calendar = null } = {}) => {
+  const today = moment().startOf('day');
+  const rows = seasons.map(({ season, tasks }) => {
+    const completed = tasks.filter(task => task.actualCompletion);
+    const endDates = tasks.map(task => task.computedDates?.end).filter(Boolean).map(date => moment(date));
+    return {
+      name: season.name,
+      buyer: season.buyer?.name || '',
+      status: season.status,
+      createdAt: season.createdAt,
+      startDate: season.startDate || season.createdAt,
+      endDate: endDates.length > 0 ? moment.max(endDates) : null,
+      taskCount: tasks.length,
+      completedCount: completed.length,
+      lateCount: completed.filter(task => calculateDateSpend(task, calendar) > 0).length,
+      overdueCount: tasks.filter(task => !task.actualCompletion && task.computedDates?.end
+        && moment(task.computedDates.end).isBefore(today, 'day')).length,
+      progress: tasks.length > 0 ? Math.round((completed.length / tasks.length) * 100) : 0,
+    };
+  });
+  return { name: 'Summary', columns: SUMMARY_COLUMNS, rows };
+};
@@ -0,0 +1,89 @@
+/**
+ * Parses CSV text into rows of cell strings. Handles quoted cells with commas,
+ * line breaks and doubled quotes, and a leading byte order mark.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const readWorkbookRows = async (file) => {
+  // Loaded on demand; the library is only needed when someone imports
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      cells[columnNumber - 1] = cell.text;
+    });
+    rows[rowNumber - 1] = Array.from(cells, value => value ?? '');
+  });
+  return Array.from(rows, value => value ?? []);
+};
+
+const isBlankRow = (cells) => cells.every(cell => String(cell ?? '').trim() === '');
+
+/**
+ * Reads the first sheet of an .xlsx file, or a .csv file. The first non-empty
+ * row is taken as the header row; empty rows after it are skipped.
+ * @param {File} file
+ * @returns {Promise<{headers: Array<string>, rows: Array<{rowNumber: number, cells: Array<string>}>}>}
+ *   `rowNumber` is the row's line in the file, for error messages.
+ */
+export const readSpreadsheet = async (file) => {
+  const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+  const allRows = isCsv ? parseCsv(await file.text()) : await readWorkbookRows(file);
+
+  const headerIndex = allRows.findIndex(cells => !isBlankRow(cells));
+  if (headerIndex === -1) return { headers: [], rows: [] };
+
+  const headers = allRows[headerIndex].map(header => String(header ?? '').trim());
+  const rows = allRows.slice(headerIndex + 1)
+    .map((cells, index) => ({
+      rowNumber: headerIndex + index + 2,
+      cells: headers.map((header, column) => String(cells[column] ?? '').trim()),
+    }))
+    .filter(row => !isBlankRow(row.cells));
+  return { headers, rows };
+};
@@ -0,0 +1,23 @@
+import { parseCsv } from './spreadsheetImport';
+
+describe('parseCsv', () => {
+  it('splits rows on any line ending', () => {
+    expect(parseCsv('a,b\r\nc,d\ne,f\rg,h')).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f'], ['g', 'h']]);
+  });
+
+  it('keeps commas, line breaks and doubled quotes inside quoted cells', () => {
+    expect(parseCsv('"Fit, proto","Line 1\nLine 2","Say ""hi"""')).toEqual([['Fit, proto', 'Line 1\nLine 2', 'Say "hi"']]);
+  });
+
+  it('keeps empty cells and ignores a trailing line break', () => {
+    expect(parseCsv('a,,c\n,b,\n')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+  });
+
+  it('drops a leading byte order mark', () => {
+    expect(parseCsv('\uFEFFOrder,Name')).toEqual([['Order', 'Name']]);
+  });
+
+  it('returns no rows for empty text', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
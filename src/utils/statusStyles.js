@@ -0,0 +1,57 @@
+import { isTaskActionable } from './taskRules';
+
+/**
+ * MUI palette colour of a season status, for chips.
+ * @param {string} status
+ * @returns {string}
+ */
+export const getSeasonStatusColor = (status) => {
+  switch (status) {
+    case 'Open':
+      return 'primary';
+    case 'Closed':
+      return 'success';
+    case 'On-Hold':
+      return 'warning';
+    case 'Canceled':
+      return 'error';
+    default:
+      return 'default';
+  }
+};
+
+/**
+ * Row class of a task in the season grid, by its status.
+ * @param {object} task
+ * @param {Array<object>} tasks - All tasks of the season.
+ * @returns {string} 'row-completed', 'row-blocked', 'row-actionable', 'row-pending' or ''.
+ */
+export const getTaskRowClassName = (task, tasks) => {
+  if (task.status === 'completed') return 'row-completed';
+  if (task.status === 'blocked') return 'row-blocked';
+  if (isTaskActionable(task, tasks)) return 'row-actionable';
+  if (task.status === 'pending') return 'row-pending';
+  return '';
+};
+
+// Colours of the task row classes: the row tint of the grid and the printed report, the grid's
+// hover tint and the solid colour used for Gantt bars
+export const TASK_ROW_COLORS = {
+  'row-completed': { background: 'rgba(102, 187, 106, 0.2)', hover: 'rgba(102, 187, 106, 0.4)', solid: 'rgb(102, 187, 106)' },
+  'row-actionable': { background: 'rgba(255, 167, 38, 0.2)', hover: 'rgba(255, 167, 38, 0.4)', solid: 'rgb(255, 167, 38)' },
+  'row-blocked': { background: 'rgba(255, 200, 200, 0.7)', hover: 'rgba(229, 115, 115, 0.4)', solid: 'rgb(229, 115, 115)' },
+  'row-pending': { background: 'rgb(245, 243, 241)', hover: 'rgba(255, 255, 255, 0.69)', solid: 'rgb(176, 170, 164)' },
+};
+
+/**
+ * Styles of the task row classes for a DataGrid `sx`, so the grid uses the same
+ * colours as the report.
+ * @returns {object}
+ */
+export const getTaskRowStyles = () => Object.fromEntries(Object.entries(TASK_ROW_COLORS).map(([className, colors]) => [
+  `& .${className}`,
+  {
+    backgroundColor: `${colors.background} !important`,
+    '&:hover': { backgroundColor: `${colors.hover} !important` },
+  },
+]));
@@ -0,0 +1,117 @@
+import { parseOrderCodeList, findDependencyIssues } from './dependencyValidation';
+import { compareOrderCodes } from './timeline';
+
+// Task fields a spreadsheet column can be mapped to; the aliases are matched against the headers
+export const TASK_IMPORT_FIELDS = [
+  { key: 'order', label: 'Order', required: true, aliases: ['order', 'order code', 'code', 'no', '#', 'seq', 'sequence'] },
+  { key: 'name', label: 'Task Name', required: true, aliases: ['name', 'task', 'task name', 'activity'] },
+  { key: 'responsible', label: 'Responsible', required: true, aliases: ['responsible', 'department', 'departments', 'dept', 'pic'] },
+  { key: 'precedingTasks', label: 'Preceding Tasks', aliases: ['preceding', 'preceding tasks', 'predecessor', 'predecessors', 'depends on'] },
+  { key: 'leadTime', label: 'Lead Time (days)', required: true, aliases: ['lead time', 'leadtime', 'lead time days', 'days', 'duration'] },
+  { key: 'remarks', label: 'Remarks', aliases: ['remarks', 'remark', 'notes', 'comments'] },
+];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9#]+/g, ' ').trim();
+
+/**
+ * Suggests which spreadsheet column holds each task field, by header name.
+ * @param {Array<string>} headers
+ * @returns {Object<string, number|''>} Column index per field key; '' when no header matches.
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  return Object.fromEntries(TASK_IMPORT_FIELDS.map(field => {
+    const aliases = field.aliases.map(normalizeHeader);
+    const index = normalized.findIndex((header, column) => !used.has(column) && aliases.includes(header));
+    if (index !== -1) used.add(index);
+    return [field.key, index === -1 ? '' : index];
+  }));
+};
+
+const isMapped = (mapping, key) => mapping[key] !== '' && mapping[key] !== undefined && mapping[key] !== null;
+
+// Turns one spreadsheet row into task data and the reasons it cannot be imported
+const parseRow = (row, mapping, departmentsByName) => {
+  const read = (key) => (isMapped(mapping, key) ? row.cells[mapping[key]] || '' : '');
+  const reasons = [];
+
+  const order = read('order').toUpperCase();
+  if (!order) reasons.push('Order is required.');
+  const name = read('name');
+  if (!name) reasons.push('Task name is required.');
+
+  const departmentNames = read('responsible').split(/[,;\n]+/).map(part => part.trim()).filter(Boolean);
+  const unknown = departmentNames.filter(part => !departmentsByName.has(part.toLowerCase()));
+  if (departmentNames.length === 0) reasons.push('At least one responsible department is required.');
+  if (unknown.length > 0) reasons.push(`Unknown department(s): ${unknown.join(', ')}.`);
+
+  const leadTimeText = read('leadTime');
+  const leadTime = Number(leadTimeText);
+  if (leadTimeText === '' || !Number.isInteger(leadTime) || leadTime < 1) {
+    reasons.push('Lead time must be a whole number of at least 1 day.');
+  }
+
+  const task = {
+    order,
+    name,
+    responsible: departmentNames.map(part => departmentsByName.get(part.toLowerCase())).filter(Boolean),
+    leadTime,
+  };
+  // Unmapped optional columns leave existing values alone on update
+  if (isMapped(mapping, 'precedingTasks')) task.precedingTasks = parseOrderCodeList(read('precedingTasks'));
+  if (isMapped(mapping, 'remarks')) task.remarks = read('remarks');
+  return { task, reasons };
+};
+
+/**
+ * Validates spreadsheet rows as season tasks: required fields, department names,
+ * duplicate order codes and the dependencies of the season as it will be after the
+ * import (unknown preceding tasks, cycles). Rows that match an existing task by
+ * order code update it; the others create new tasks.
+ * @param {Array<{rowNumber: number, cells: Array<string>}>} rows - From readSpreadsheet.
+ * @param {Object<string, number|''>} mapping - Column index per field key, see guessColumnMapping.
+ * @param {object} context
+ * @param {Array<{name: string}>} context.departments
+ * @param {Array<object>} context.existingTasks - Current tasks of the season.
+ * @returns {{valid: Array<{rowNumber: number, task: object, existing: object|null}>, rejected: Array<{rowNumber: number, cells: Array<string>, reasons: Array<string>}>}}
+ */
+export const validateTaskImport = (rows, mapping, { departments, existingTasks }) => {
+  const departmentsByName = new Map(departments.map(department => [department.name.toLowerCase(), department.name]));
+  const existingByOrder = new Map(existingTasks.map(task => [task.order, task]));
+  const seenOrders = new Set();
+
+  const candidates = rows.map(row => {
+    const { task, reasons } = parseRow(row, mapping, departmentsByName);
+    if (task.order && seenOrders.has(task.order)) reasons.push(`Order "${task.order}" appears more than once in the file.`);
+    if (task.order) seenOrders.add(task.order);
+    return { row, task, reasons, existing: existingByOrder.get(task.order) || null };
+  });
+
+  // Rejecting a row can leave others depending on a task that no longer exists, so repeat until stable
+  let accepted = candidates.filter(candidate => candidate.reasons.length === 0);
+  for (;;) {
+    const importedOrders = new Set(accepted.map(candidate => candidate.task.order));
+    const issues = findDependencyIssues([
+      ...existingTasks
+        .filter(task => !importedOrders.has(task.order))
+        .map(task => ({ order: task.order, preceding: task.precedingTasks || [] })),
+      ...accepted.map(({ task, existing }) => ({ order: task.order, preceding: task.precedingTasks ?? existing?.precedingTasks ?? [] })),
+    ]);
+    const failing = accepted.filter(candidate => issues.some(issue => issue.orders.includes(candidate.task.order)));
+    if (failing.length === 0) break;
+    failing.forEach(candidate => {
+      issues.filter(issue => issue.orders.includes(candidate.task.order)).forEach(issue => candidate.reasons.push(issue.message));
+    });
+    accepted = accepted.filter(candidate => candidate.reasons.length === 0);
+  }
+
+  return {
+    valid: accepted
+      .map(({ row, task, existing }) => ({ rowNumber: row.rowNumber, task, existing }))
+      .sort((a, b) => compareOrderCodes(a.task.order, b.task.order)),
+    rejected: candidates
+      .filter(candidate => candidate.reasons.length > 0)
+      .map(({ row, reasons }) => ({ rowNumber: row.rowNumber, cells: row.cells, reasons })),
+  };
+};
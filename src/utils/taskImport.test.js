@@ -0,0 +1,80 @@
+import { guessColumnMapping, validateTaskImport } from './taskImport';
+
+const headers = ['Order', 'Task Name', 'Department', 'Preceding', 'Lead Time'];
+const mapping = guessColumnMapping(headers);
+const departments = [{ name: 'Design' }, { name: 'Sourcing' }];
+
+const rows = (...cellRows) => cellRows.map((cells, index) => ({ rowNumber: index + 2, cells }));
+const rejectedReasons = (result) => Object.fromEntries(result.rejected.map(({ rowNumber, reasons }) => [rowNumber, reasons]));
+
+describe('guessColumnMapping', () => {
+  it('matches headers against the field aliases', () => {
+    expect(mapping).toEqual({ order: 0, name: 1, responsible: 2, precedingTasks: 3, leadTime: 4, remarks: '' });
+  });
+});
+
+describe('validateTaskImport', () => {
+  it('accepts valid rows and matches existing tasks by order code', () => {
+    const existing = { _id: 't1', order: 'A', precedingTasks: [] };
+    const result = validateTaskImport(
+      rows(['b', 'Sampling', 'sourcing', 'a', '3'], ['A', 'Design brief', 'Design', '', '5']),
+      mapping,
+      { departments, existingTasks: [existing] },
+    );
+    expect(result.rejected).toEqual([]);
+    expect(result.valid.map(({ task, existing: match }) => [task.order, match])).toEqual([['A', existing], ['B', null]]);
+    expect(result.valid[1].task).toEqual({
+      order: 'B', name: 'Sampling', responsible: ['Sourcing'], leadTime: 3, precedingTasks: ['A'],
+    });
+  });
+
+  it('rejects missing fields, unknown departments and duplicate order codes', () => {
+    const result = validateTaskImport(
+      rows(['A', '', 'Design', '', '2'], ['B', 'Fit', 'Marketing', '', '2'], ['C', 'Fit', 'Design', '', '2'], ['C', 'Fit', 'Design', '', '2']),
+      mapping,
+      { departments, existingTasks: [] },
+    );
+    expect(rejectedReasons(result)).toEqual({
+      2: ['Task name is required.'],
+      3: ['Unknown department(s): Marketing.'],
+      5: ['Order "C" appears more than once in the file.'],
+    });
+  });
+
+  it('rejects lead times below one day like the template and season forms', () => {
+    const result = validateTaskImport(
+      rows(['A', 'Brief', 'Design', '', '0'], ['B', 'Fit', 'Design', '', '1.5'], ['C', 'Fit', 'Design', '', '1']),
+      mapping,
+      { departments, existingTasks: [] },
+    );
+    expect(rejectedReasons(result)).toEqual({
+      2: ['Lead time must be a whole number of at least 1 day.'],
+      3: ['Lead time must be a whole number of at least 1 day.'],
+    });
+    expect(result.valid.map(({ task }) => task.order)).toEqual(['C']);
+  });
+
+  it('rejects rows that would close a cycle with the existing tasks', () => {
+    const result = validateTaskImport(
+      rows(['A', 'Brief', 'Design', 'B', '2']),
+      mapping,
+      { departments, existingTasks: [{ order: 'A', precedingTasks: [] }, { order: 'B', precedingTasks: ['A'] }] },
+    );
+    expect(result.valid).toEqual([]);
+    expect(rejectedReasons(result)).toEqual({ 2: ['Circular dependency: A → B → A.'] });
+  });
+
+  it('re-validates rows that depend on a rejected row', () => {
+    const result = validateTaskImport(
+      rows(['A', 'Brief', 'Design', '', 'x'], ['B', 'Fit', 'Design', 'A', '2'], ['C', 'Costing', 'Sourcing', 'B', '2']),
+      mapping,
+      { departments, existingTasks: [] },
+    );
+    expect(result.valid).toEqual([]);
+    expect(rejectedReasons(result)).toEqual({
+      2: ['Lead time must be a whole number of at least 1 day.'],
+      3: ['"B" depends on "A", which does not exist.'],
+      4: ['"C" depends on "B", which does not exist.'],
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import moment from 'moment';
+
+const isAdminOrPlanner = (user) => {
+  const role = user?.role?.toLowerCase();
+  return role === 'admin' || role === 'planner';
+};
+
+/**
+ * Tells whether the user's department is one of the task's responsible departments.
+ * @param {object} task
+ * @param {object} user - The logged-in user; `department` is a name or a `{ name }` object.
+ * @returns {boolean}
+ */
+export const isUserResponsible = (task, user) => {
+  const department = user?.department?.name ?? user?.department;
+  if (!department || !task?.responsible) return false;
+  return task.responsible.some(name => name.toLowerCase() === department.toLowerCase());
+};
+
+/**
+ * A task is actionable when it is still open and every preceding task is completed.
+ * @param {object} task
+ * @param {Array<object>} allTasks - All tasks of the same season.
+ * @returns {boolean}
+ */
+export const isTaskActionable = (task, allTasks) => {
+  if (!task || task.status === 'completed' || task.status === 'blocked') {
+    return false;
+  }
+  if (!task.precedingTasks || task.precedingTasks.length === 0) {
+    return true; // No preceding tasks, so it's actionable if pending
+  }
+  if (!allTasks || !Array.isArray(allTasks)) {
+    return false;
+  }
+  return task.precedingTasks.every(precedingTaskOrder => {
+    const precedingTask = allTasks.find(t => t.order === precedingTaskOrder);
+    return precedingTask && precedingTask.status === 'completed';
+  });
+};
+
+/**
+ * Tells whether the user may edit a task's cells (completion date and remarks).
+ * @param {object} task
+ * @param {object} season - The task's season; only Open seasons can be edited.
+ * @param {object} user - The logged-in user.
+ * @returns {boolean}
+ */
+export const canEditTask = (task, season, user) => {
+  if (!user || !season || season.status !== 'Open') {
+    return false;
+  }
+  if (task?.status?.toLowerCase() === 'completed' && !isAdminOrPlanner(user)) {
+    return false;
+  }
+  // Admins and planners can edit any task, everyone else only their department's
+  return isAdminOrPlanner(user) || isUserResponsible(task, user);
+};
+
+/**
+ * Returns why a task cannot be put in edit mode, or null when it can.
+ * @param {object} task
+ * @param {Array<object>} tasks - All tasks of the same season.
+ * @param {object} user - The logged-in user.
+ * @returns {{message: string, severity: string}|null}
+ */
+export const findTaskEditBlocker = (task, tasks, user) => {
+  if (!task) {
+    return { message: 'Task data not found.', severity: 'error' };
+  }
+
+  const taskStatusLower = task.status ? task.status.toLowerCase() : null;
+  if (taskStatusLower === 'completed' && !isAdminOrPlanner(user)) {
+    return { message: 'Completed tasks can only be modified by Admin or Planner roles.', severity: 'warning' };
+  }
+  if (taskStatusLower === 'blocked') {
+    return { message: 'Blocked tasks cannot be edited.', severity: 'warning' };
+  }
+  if (taskStatusLower === 'pending' && !tasks) {
+    return { message: 'Cannot determine task actionability: task list unavailable.', severity: 'error' };
+  }
+  if (taskStatusLower === 'pending') {
+    const tasksMap = new Map(tasks.map(t => [t.order, t]));
+    const predecessorsDone = (task.precedingTasks || []).every(predOrder => {
+      const predecessor = tasksMap.get(predOrder);
+      return !predecessor || predecessor.status === 'completed';
+    });
+    if (!predecessorsDone) {
+      return { message: 'This task is not yet actionable as preceding tasks are not complete.', severity: 'warning' };
+    }
+  }
+  if (!isAdminOrPlanner(user) && task.responsible && !isUserResponsible(task, user)) {
+    return { message: 'Your department is not allowed to edit this task.', severity: 'warning' };
+  }
+  return null;
+};
+
+/**
+ * Checks a new actual completion date against the task's computed start date.
+ * @param {object} task
+ * @param {string|Date|null} completion
+ * @returns {string|null} The validation message, or null when the date is acceptable.
+ */
+export const validateCompletionDate = (task, completion) => {
+  if (completion && task?.computedDates?.start && moment(completion).isBefore(moment(task.computedDates.start), 'day')) {
+    return 'Actual completion date cannot be earlier than the start date.';
+  }
+  return null;
+};
+
+/**
+ * Checks a lead time the way the template, season and import forms do.
+ * @param {number|string} leadTime
+ * @returns {string|null} The validation message, or null when the lead time is acceptable.
+ */
+export const validateLeadTime = (leadTime) => {
+  const days = Number(leadTime);
+  if (leadTime === '' || leadTime === null || !Number.isInteger(days) || days < 1) {
+    return 'Lead time must be a whole number of at least 1 day.';
+  }
+  return null;
+};
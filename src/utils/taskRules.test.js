@@ -0,0 +1,27 @@
+import { validateCompletionDate, validateLeadTime } from './taskRules';
+
+describe('validateLeadTime', () => {
+  it('accepts whole numbers of at least one day', () => {
+    expect(validateLeadTime(1)).toBeNull();
+    expect(validateLeadTime('14')).toBeNull();
+  });
+
+  it('rejects zero, fractions and empty values', () => {
+    [0, 2.5, -1, '', null, 'abc'].forEach(leadTime => {
+      expect(validateLeadTime(leadTime)).toBe('Lead time must be a whole number of at least 1 day.');
+    });
+  });
+});
+
+describe('validateCompletionDate', () => {
+  const task = { computedDates: { start: '2025-03-10T00:00:00.000Z' } };
+
+  it('rejects completions before the start date', () => {
+    expect(validateCompletionDate(task, '2025-03-05')).toBe('Actual completion date cannot be earlier than the start date.');
+  });
+
+  it('accepts cleared dates and tasks without a start date', () => {
+    expect(validateCompletionDate(task, null)).toBeNull();
+    expect(validateCompletionDate({}, '2025-03-05')).toBeNull();
+  });
+});
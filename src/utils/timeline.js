@@ -0,0 +1,258 @@
+import moment from 'moment';
+
+/**
+ * Comparator for Excel-style order codes (A, B, ..., Z, AA, AB, ...).
+ * Shorter codes sort first, same-length codes sort alphabetically.
+ * @param {string} orderA
+ * @param {string} orderB
+ * @returns {number}
+ */
+export const compareOrderCodes = (orderA, orderB) => {
+  if (orderA.length < orderB.length) return -1;
+  if (orderA.length > orderB.length) return 1;
+  return orderA.localeCompare(orderB);
+};
+
+/**
+ * Sorts tasks (or templates) in place by their `order` code.
+ * @param {Array<object>} tasks
+ * @returns {Array<object>} The same array, sorted.
+ */
+export const sortByOrder = (tasks) => tasks.sort((a, b) => compareOrderCodes(a.order, b.order));
+
+/**
+ * Calculates the reference timeline of a season based on task dependencies.
+ * Each task starts when the last of its preceding tasks ends (or at the season
+ * creation date when it has none) and runs for `leadTime` days.
+ * @param {Array<object>} tasks - Season tasks with `_id`, `order`, `precedingTasks` and `leadTime`.
+ * @param {Date|string} seasonCreationDate - The date the first tasks start on.
+ * @param {object} [options]
+ * @param {boolean} [options.useActualCompletion=false] - End completed tasks on their
+ *   `actualCompletion` date instead of after their lead time, so that early or late
+ *   completions move the tasks that follow.
+ * @param {object} [options.calendar] - Working calendar from createWorkingCalendar; when
+ *   given, lead times count working days of the task's responsible departments only.
+ * @returns {Map<string, {start: Date, end: Date}>} Timeline keyed by task `_id`.
+ */
+export const calculateReferenceTimeline = (tasks, seasonCreationDate, { useActualCompletion = false, calendar = null } = {}) => {
+  if (!tasks || tasks.length === 0) return new Map();
+
+  const timeline = new Map();
+  const tasksByOrder = new Map(tasks.map(task => [task.order, task]));
+
+  // Sort tasks to process dependencies in a more orderly fashion
+  const sortedTasks = sortByOrder([...tasks]);
+
+  // Iteratively calculate dates until all tasks have a timeline
+  let tasksToProcess = sortedTasks.length;
+  let iterations = 0;
+  const MAX_ITERATIONS = tasksToProcess + 5; // Failsafe for circular dependencies
+
+  while (tasksToProcess > 0 && iterations < MAX_ITERATIONS) {
+    let processedInThisIteration = 0;
+    sortedTasks.forEach(task => {
+      // If already calculated, skip
+      if (timeline.has(task._id)) return;
+
+      let canCalculate = true;
+      let maxPrecedingEndDate = moment(seasonCreationDate);
+
+      if (task.precedingTasks && task.precedingTasks.length > 0) {
+        for (const precedingOrder of task.precedingTasks) {
+          const precedingTask = tasksByOrder.get(precedingOrder);
+          if (precedingTask && timeline.has(precedingTask._id)) {
+            const precedingEndDate = timeline.get(precedingTask._id).end;
+            if (moment(precedingEndDate).isAfter(maxPrecedingEndDate)) {
+              maxPrecedingEndDate = moment(precedingEndDate);
+            }
+          } else {
+            // A dependency hasn't been calculated yet, so we can't proceed with this task
+            canCalculate = false;
+            break;
+          }
+        }
+      }
+
+      if (canCalculate) {
+        const startDate = maxPrecedingEndDate;
+        let endDate;
+        if (useActualCompletion && task.actualCompletion) {
+          endDate = moment(task.actualCompletion);
+        } else if (calendar) {
+          endDate = calendar.addWorkingDays(startDate, task.leadTime, task.responsible);
+        } else {
+          endDate = moment(startDate).add(task.leadTime, 'days');
+        }
+        timeline.set(task._id, { start: startDate.toDate(), end: endDate.toDate() });
+        processedInThisIteration++;
+      }
+    });
+
+    tasksToProcess -= processedInThisIteration;
+    iterations++;
+    if (processedInThisIteration === 0 && tasksToProcess > 0) {
+        console.error("Could not resolve all task dependencies for reference timeline. Check for circular dependencies.");
+        break; // Break loop if no progress is made
+    }
+  }
+
+  return timeline;
+};
+
+/**
+ * Back-schedules season tasks from a target end date (e.g. the ex-factory date).
+ * Each task ends when the first of the tasks that follow it must start (or on the
+ * target date when nothing follows it) and starts `leadTime` days earlier.
+ * @param {Array<object>} tasks - Season tasks with `_id`, `order`, `precedingTasks` and `leadTime`.
+ * @param {Date|string} targetEndDate - The date the last tasks must be finished by.
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Working calendar from createWorkingCalendar.
+ * @returns {Map<string, {start: Date, end: Date}>} Timeline keyed by task `_id`.
+ */
+export const calculateBackScheduledTimeline = (tasks, targetEndDate, { calendar = null } = {}) => {
+  if (!tasks || tasks.length === 0) return new Map();
+
+  const timeline = new Map();
+  const successorsByOrder = new Map(tasks.map(task => [task.order, []]));
+  tasks.forEach(task => {
+    (task.precedingTasks || []).forEach(precedingOrder => {
+      if (successorsByOrder.has(precedingOrder)) successorsByOrder.get(precedingOrder).push(task);
+    });
+  });
+
+  let tasksToProcess = tasks.length;
+  let iterations = 0;
+  const MAX_ITERATIONS = tasksToProcess + 5; // Failsafe for circular dependencies
+
+  while (tasksToProcess > 0 && iterations < MAX_ITERATIONS) {
+    let processedInThisIteration = 0;
+    tasks.forEach(task => {
+      if (timeline.has(task._id)) return;
+
+      const successors = successorsByOrder.get(task.order);
+      if (!successors.every(successor => timeline.has(successor._id))) return;
+
+      let minSucceedingStartDate = moment(targetEndDate);
+      successors.forEach(successor => {
+        const successorStart = timeline.get(successor._id).start;
+        if (moment(successorStart).isBefore(minSucceedingStartDate)) {
+          minSucceedingStartDate = moment(successorStart);
+        }
+      });
+
+      const endDate = minSucceedingStartDate;
+      const startDate = calendar
+        ? calendar.subtractWorkingDays(endDate, task.leadTime, task.responsible)
+        : moment(endDate).subtract(task.leadTime, 'days');
+      timeline.set(task._id, { start: startDate.toDate(), end: endDate.toDate() });
+      processedInThisIteration++;
+    });
+
+    tasksToProcess -= processedInThisIteration;
+    iterations++;
+    if (processedInThisIteration === 0 && tasksToProcess > 0) {
+        console.error("Could not resolve all task dependencies for back-scheduled timeline. Check for circular dependencies.");
+        break; // Break loop if no progress is made
+    }
+  }
+
+  return timeline;
+};
+
+/**
+ * Runs a critical path analysis over the season tasks using their lead times
+ * and `precedingTasks` links. Offsets are in days from the season start.
+ * Tasks caught in circular dependencies are left out; unknown order codes are ignored.
+ * @param {Array<object>} tasks - Season tasks with `_id`, `order`, `precedingTasks` and `leadTime`.
+ * @returns {{ schedule: Map<string, object>, criticalPath: Array<string>, projectDuration: number }}
+ *   `schedule` is keyed by task `_id` and holds earlyStart, earlyFinish, lateStart, lateFinish,
+ *   totalFloat, freeFloat and isCritical; `criticalPath` lists the order codes of the zero-slack
+ *   chain that ends on the season end date.
+ */
+export const calculateCriticalPath = (tasks) => {
+  const schedule = new Map();
+  if (!tasks || tasks.length === 0) return { schedule, criticalPath: [], projectDuration: 0 };
+
+  const tasksByOrder = new Map(tasks.map(task => [task.order, task]));
+  const successors = new Map(tasks.map(task => [task.order, []]));
+  const remainingPredecessors = new Map();
+
+  tasks.forEach(task => {
+    const preceding = (task.precedingTasks || []).filter(order => tasksByOrder.has(order));
+    remainingPredecessors.set(task.order, preceding.length);
+    preceding.forEach(order => successors.get(order).push(task.order));
+  });
+
+  // Topological order (Kahn), ties broken by order code so results are stable
+  const ready = tasks.filter(task => remainingPredecessors.get(task.order) === 0).map(task => task.order);
+  const topoOrder = [];
+  while (ready.length > 0) {
+    ready.sort(compareOrderCodes);
+    const order = ready.shift();
+    topoOrder.push(order);
+    successors.get(order).forEach(next => {
+      remainingPredecessors.set(next, remainingPredecessors.get(next) - 1);
+      if (remainingPredecessors.get(next) === 0) ready.push(next);
+    });
+  }
+  if (topoOrder.length < tasks.length) {
+    console.error('Could not resolve all task dependencies for critical path. Check for circular dependencies.');
+  }
+
+  // Forward pass
+  const early = new Map();
+  topoOrder.forEach(order => {
+    const task = tasksByOrder.get(order);
+    const earlyStart = (task.precedingTasks || [])
+      .filter(pred => early.has(pred))
+      .reduce((max, pred) => Math.max(max, early.get(pred).finish), 0);
+    early.set(order, { start: earlyStart, finish: earlyStart + (Number(task.leadTime) || 0) });
+  });
+  const projectDuration = Math.max(0, ...[...early.values()].map(e => e.finish));
+
+  // Backward pass
+  const late = new Map();
+  [...topoOrder].reverse().forEach(order => {
+    const task = tasksByOrder.get(order);
+    const next = successors.get(order).filter(succ => late.has(succ));
+    const lateFinish = next.length > 0
+      ? Math.min(...next.map(succ => late.get(succ).start))
+      : projectDuration;
+    late.set(order, { start: lateFinish - (Number(task.leadTime) || 0), finish: lateFinish });
+  });
+
+  topoOrder.forEach(order => {
+    const task = tasksByOrder.get(order);
+    const { start: earlyStart, finish: earlyFinish } = early.get(order);
+    const { start: lateStart, finish: lateFinish } = late.get(order);
+    const next = successors.get(order).filter(succ => early.has(succ));
+    const freeFloat = next.length > 0
+      ? Math.min(...next.map(succ => early.get(succ).start)) - earlyFinish
+      : projectDuration - earlyFinish;
+    const totalFloat = lateStart - earlyStart;
+    schedule.set(task._id, {
+      earlyStart,
+      earlyFinish,
+      lateStart,
+      lateFinish,
+      totalFloat,
+      freeFloat,
+      isCritical: totalFloat === 0,
+    });
+  });
+
+  // Walk back from the task that finishes last along zero-float predecessors
+  const criticalPath = [];
+  let current = topoOrder
+    .filter(order => schedule.get(tasksByOrder.get(order)._id).isCritical && early.get(order).finish === projectDuration)
+    .sort(compareOrderCodes)[0];
+  while (current) {
+    criticalPath.unshift(current);
+    const { start } = early.get(current);
+    current = (tasksByOrder.get(current).precedingTasks || [])
+      .filter(pred => early.has(pred) && early.get(pred).finish === start && schedule.get(tasksByOrder.get(pred)._id).isCritical)
+      .sort(compareOrderCodes)[0];
+  }
+
+  return { schedule, criticalPath, projectDuration };
+};
@@ -0,0 +1,69 @@
+import moment from 'moment';
+import { calculateBackScheduledTimeline, calculateCriticalPath } from './timeline';
+
+// A -> B -> D and A -> C -> D, with C the longer branch
+const tasks = [
+  { _id: 't1', order: 'A', precedingTasks: [], leadTime: 3, responsible: ['Design'] },
+  { _id: 't2', order: 'B', precedingTasks: ['A'], leadTime: 2, responsible: ['Design'] },
+  { _id: 't3', order: 'C', precedingTasks: ['A'], leadTime: 5, responsible: ['Sourcing'] },
+  { _id: 't4', order: 'D', precedingTasks: ['B', 'C'], leadTime: 1, responsible: ['Sourcing'] },
+];
+
+const formatTimeline = (timeline) => Object.fromEntries([...timeline].map(([id, { start, end }]) => [
+  id, [moment(start).format('YYYY-MM-DD'), moment(end).format('YYYY-MM-DD')],
+]));
+
+describe('calculateCriticalPath', () => {
+  it('returns an empty result for no tasks', () => {
+    expect(calculateCriticalPath([])).toEqual({ schedule: new Map(), criticalPath: [], projectDuration: 0 });
+  });
+
+  it('follows the longest chain of lead times', () => {
+    const { criticalPath, projectDuration } = calculateCriticalPath(tasks);
+    expect(projectDuration).toBe(9);
+    expect(criticalPath).toEqual(['A', 'C', 'D']);
+  });
+
+  it('gives tasks off the critical path their float', () => {
+    const { schedule } = calculateCriticalPath(tasks);
+    expect(schedule.get('t2')).toEqual({
+      earlyStart: 3, earlyFinish: 5, lateStart: 6, lateFinish: 8, totalFloat: 3, freeFloat: 3, isCritical: false,
+    });
+    expect(schedule.get('t3')).toMatchObject({ earlyStart: 3, totalFloat: 0, isCritical: true });
+  });
+
+  it('ignores unknown order codes and leaves out tasks in a cycle', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { schedule, criticalPath, projectDuration } = calculateCriticalPath([
+      { _id: 't1', order: 'A', precedingTasks: ['Z'], leadTime: 2 },
+      { _id: 't2', order: 'B', precedingTasks: ['C'], leadTime: 1 },
+      { _id: 't3', order: 'C', precedingTasks: ['B'], leadTime: 1 },
+    ]);
+    expect([...schedule.keys()]).toEqual(['t1']);
+    expect(criticalPath).toEqual(['A']);
+    expect(projectDuration).toBe(2);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+});
+
+describe('calculateBackScheduledTimeline', () => {
+  it('ends each task when the earliest of its successors starts', () => {
+    expect(formatTimeline(calculateBackScheduledTimeline(tasks, '2025-03-31'))).toEqual({
+      t4: ['2025-03-30', '2025-03-31'],
+      t2: ['2025-03-28', '2025-03-30'],
+      t3: ['2025-03-25', '2025-03-30'],
+      t1: ['2025-03-22', '2025-03-25'],
+    });
+  });
+
+  it('counts lead times in working days when given a calendar', () => {
+    const calendar = {
+      // Two calendar days per working day
+      subtractWorkingDays: jest.fn((date, days) => moment(date).subtract(days * 2, 'days')),
+    };
+    const timeline = calculateBackScheduledTimeline([tasks[0]], '2025-03-31', { calendar });
+    expect(calendar.subtractWorkingDays).toHaveBeenCalledWith(expect.anything(), 3, ['Design']);
+    expect(formatTimeline(timeline)).toEqual({ t1: ['2025-03-25', '2025-03-31'] });
+  });
+});
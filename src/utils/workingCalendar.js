@@ -0,0 +1,139 @@
+import moment from 'moment';
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DATE_KEY_FORMAT = 'YYYY-MM-DD';
+
+const toDateKey = (date) => moment(date).format(DATE_KEY_FORMAT);
+
+/**
+ * Tells whether a calendar defines any non-working days at all. When it does
+ * not, working-day arithmetic is identical to calendar-day arithmetic.
+ * @param {object|null} calendar - `{ restDays: number[], holidays: object[] }`
+ * @returns {boolean}
+ */
+export const hasNonWorkingDays = (calendar) => Boolean(
+  calendar && ((calendar.restDays || []).length > 0 || (calendar.holidays || []).length > 0)
+);
+
+/**
+ * Builds working-day helpers from the admin-managed calendar.
+ * Holidays without departments apply to everyone; the others only to the listed
+ * departments. A day is a holiday for a task if it applies to any of its
+ * responsible departments.
+ * @param {object} calendar
+ * @param {Array<number>} calendar.restDays - Weekly rest days, 0 = Sunday.
+ * @param {Array<{date: string, name: string, departments?: Array<string>}>} calendar.holidays
+ * @returns {{ isWorkingDay: Function, addWorkingDays: Function, subtractWorkingDays: Function, diffWorkingDays: Function }}
+ */
+export const createWorkingCalendar = (calendar) => {
+  const restDays = new Set(calendar?.restDays || []);
+  const holidaysByDate = new Map();
+  (calendar?.holidays || []).forEach(holiday => {
+    const key = toDateKey(holiday.date);
+    if (!holidaysByDate.has(key)) holidaysByDate.set(key, []);
+    holidaysByDate.get(key).push(holiday);
+  });
+
+  const isWorkingDay = (date, departments = []) => {
+    const day = moment(date);
+    if (restDays.has(day.day())) return false;
+    const holidays = holidaysByDate.get(day.format(DATE_KEY_FORMAT));
+    if (!holidays) return true;
+    return !holidays.some(holiday => (
+      !holiday.departments || holiday.departments.length === 0
+        || holiday.departments.some(dept => departments.includes(dept))
+    ));
+  };
+
+  // Moves forward one day at a time, counting only working days
+  const addWorkingDays = (startDate, days, departments = []) => {
+    const cursor = moment(startDate);
+    let remaining = Number(days) || 0;
+    let guard = 0;
+    while (remaining > 0 && guard < 3660) {
+      cursor.add(1, 'day');
+      guard++;
+      if (isWorkingDay(cursor, departments)) remaining--;
+    }
+    return cursor;
+  };
+
+  // Moves backward one day at a time, counting only working days
+  const subtractWorkingDays = (endDate, days, departments = []) => {
+    const cursor = moment(endDate);
+    let remaining = Number(days) || 0;
+    let guard = 0;
+    while (remaining > 0 && guard < 3660) {
+      if (isWorkingDay(cursor, departments)) remaining--;
+      cursor.subtract(1, 'day');
+      guard++;
+    }
+    return cursor;
+  };
+
+  // Signed number of working days from `fromDate` to `toDate` (same semantics as moment#diff)
+  const diffWorkingDays = (toDate, fromDate, departments = []) => {
+    const from = moment(fromDate).startOf('day');
+    const to = moment(toDate).startOf('day');
+    const sign = to.isBefore(from) ? -1 : 1;
+    const [start, end] = sign > 0 ? [from, to] : [to, from];
+    let count = 0;
+    for (const cursor = start.clone().add(1, 'day'); !cursor.isAfter(end); cursor.add(1, 'day')) {
+      if (isWorkingDay(cursor, departments)) count++;
+    }
+    return sign * count;
+  };
+
+  return { isWorkingDay, addWorkingDays, subtractWorkingDays, diffWorkingDays };
+};
+
+const parseIcsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value.trim());
+  return match ? moment(`${match[1]}-${match[2]}-${match[3]}`, DATE_KEY_FORMAT) : null;
+};
+
+const unescapeIcsText = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+/**
+ * Reads holidays from an iCalendar (.ics) file. Every VEVENT becomes one
+ * holiday per day it covers; DTEND is exclusive as in the iCalendar spec.
+ * @param {string} text - Contents of the .ics file.
+ * @returns {Array<{date: string, name: string}>}
+ */
+export const parseIcsHolidays = (text) => {
+  // Unfold continuation lines (lines starting with a space or tab)
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const holidays = [];
+  let event = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (event?.start) {
+        const end = event.end && event.end.isAfter(event.start) ? event.end : moment(event.start).add(1, 'day');
+        for (const day = moment(event.start); day.isBefore(end); day.add(1, 'day')) {
+          holidays.push({ date: day.format(DATE_KEY_FORMAT), name: event.name || 'Holiday' });
+        }
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const property = line.substring(0, separator).split(';')[0].toUpperCase();
+    const value = line.substring(separator + 1);
+    if (property === 'DTSTART') event.start = parseIcsDate(value);
+    if (property === 'DTEND') event.end = parseIcsDate(value);
+    if (property === 'SUMMARY') event.name = unescapeIcsText(value);
+  });
+
+  return holidays;
+};
@@ -0,0 +1,69 @@
+import { createWorkingCalendar, hasNonWorkingDays, parseIcsHolidays } from './workingCalendar';
+
+// March 2025: the 7th is a Friday, the 10th a Monday
+const calendar = createWorkingCalendar({
+  restDays: [0, 6],
+  holidays: [
+    { date: '2025-03-11', name: 'Company day' },
+    { date: '2025-03-12', name: 'Sourcing offsite', departments: ['Sourcing'] },
+  ],
+});
+
+const format = (date) => date.format('YYYY-MM-DD');
+
+describe('createWorkingCalendar', () => {
+  it('skips rest days and holidays of the given departments', () => {
+    expect(calendar.isWorkingDay('2025-03-08')).toBe(false);
+    expect(calendar.isWorkingDay('2025-03-11', ['Design'])).toBe(false);
+    expect(calendar.isWorkingDay('2025-03-12', ['Design'])).toBe(true);
+    expect(calendar.isWorkingDay('2025-03-12', ['Design', 'Sourcing'])).toBe(false);
+  });
+
+  it('adds working days after the start date', () => {
+    expect(format(calendar.addWorkingDays('2025-03-07', 2, ['Design']))).toBe('2025-03-12');
+    expect(format(calendar.addWorkingDays('2025-03-07', 2, ['Sourcing']))).toBe('2025-03-13');
+  });
+
+  it('subtracts working days counting the end date', () => {
+    expect(format(calendar.subtractWorkingDays('2025-03-12', 2, ['Design']))).toBe('2025-03-09');
+  });
+
+  it('counts signed working days between two dates', () => {
+    expect(calendar.diffWorkingDays('2025-03-12', '2025-03-07', ['Design'])).toBe(2);
+    expect(calendar.diffWorkingDays('2025-03-07', '2025-03-12', ['Design'])).toBe(-2);
+    expect(calendar.diffWorkingDays('2025-03-12', '2025-03-07', ['Sourcing'])).toBe(1);
+  });
+
+  it('counts every day without a calendar', () => {
+    const everyDay = createWorkingCalendar(null);
+    expect(format(everyDay.addWorkingDays('2025-03-07', 3))).toBe('2025-03-10');
+    expect(hasNonWorkingDays(null)).toBe(false);
+    expect(hasNonWorkingDays({ restDays: [0], holidays: [] })).toBe(true);
+  });
+});
+
+describe('parseIcsHolidays', () => {
+  it('reads one holiday per day of each event, with DTEND exclusive', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20251225',
+      'DTEND;VALUE=DATE:20251227',
+      'SUMMARY:Christmas\\, Boxing',
+      '  Day',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20260101T000000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:No date',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+    expect(parseIcsHolidays(ics)).toEqual([
+      { date: '2025-12-25', name: 'Christmas, Boxing Day' },
+      { date: '2025-12-26', name: 'Christmas, Boxing Day' },
+      { date: '2026-01-01', name: 'Holiday' },
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+import moment from 'moment';
+
+/**
+ * Returns the date an open task is due: its computed end date, or its computed
+ * start plus its lead time when no end date was computed.
+ * @param {object} task
+ * @returns {moment.Moment|null}
+ */
+export const getTaskDueDate = (task) => {
+  if (task.computedDates?.end) return moment(task.computedDates.end);
+  if (task.computedDates?.start) return moment(task.computedDates.start).add(task.leadTime || 0, 'days');
+  return null;
+};
+
+/**
+ * Counts the open tasks of every department per week, by due date. A task with
+ * several responsible departments counts for each of them; tasks due before the
+ * first week are counted as overdue.
+ * @param {Array<{season: object, tasks: Array<object>}>} seasons
+ * @param {object} options
+ * @param {Date|string} options.startDate - Any day in the first week.
+ * @param {number} options.weeks - Number of weeks to cover.
+ * @param {Array<{name: string, weeklyCapacity?: number}>} [options.departments] - Listed even without tasks.
+ * @returns {{weekStarts: Array<moment.Moment>, rows: Array<{department: string, capacity: number|null, overdue: Array<object>, weeks: Array<{tasks: Array<object>, leadDays: number}>}>}}
+ */
+export const calculateDepartmentWorkload = (seasons, { startDate, weeks, departments = [] }) => {
+  const firstWeek = moment(startDate).startOf('isoWeek');
+  const weekStarts = Array.from({ length: weeks }, (_, index) => firstWeek.clone().add(index, 'weeks'));
+  const rowsByDepartment = new Map();
+
+  const getRow = (name) => {
+    if (!rowsByDepartment.has(name)) {
+      const capacity = departments.find(department => department.name === name)?.weeklyCapacity;
+      rowsByDepartment.set(name, {
+        department: name,
+        capacity: capacity > 0 ? capacity : null,
+        overdue: [],
+        weeks: weekStarts.map(() => ({ tasks: [], leadDays: 0 })),
+      });
+    }
+    return rowsByDepartment.get(name);
+  };
+
+  departments.forEach(department => getRow(department.name));
+
+  seasons.forEach(({ season, tasks }) => {
+    tasks
+      .filter(task => task.status !== 'completed')
+      .forEach(task => {
+        const dueDate = getTaskDueDate(task);
+        if (!dueDate) return;
+        const weekIndex = dueDate.clone().startOf('isoWeek').diff(firstWeek, 'weeks');
+        if (weekIndex >= weeks) return;
+        (task.responsible || []).forEach(name => {
+          const row = getRow(name);
+          if (weekIndex < 0) {
+            row.overdue.push({ season, task, dueDate });
+            return;
+          }
+          row.weeks[weekIndex].tasks.push({ season, task, dueDate });
+          row.weeks[weekIndex].leadDays += task.leadTime || 0;
+        });
+      });
+  });
+
+  const rows = [...rowsByDepartment.values()].sort((a, b) => a.department.localeCompare(b.department));
+  return { weekStarts, rows };
+};
+
+/**
+ * Lists every department week with more tasks due than the department's weekly
+ * capacity, earliest week first.
+ * @param {{weekStarts: Array<moment.Moment>, rows: Array<object>}} workload - See calculateDepartmentWorkload.
+ * @returns {Array<{department: string, weekStart: moment.Moment, taskCount: number, capacity: number, tasks: Array<object>}>}
+ */
+export const findOverloadedWeeks = ({ weekStarts, rows }) => rows
+  .filter(row => row.capacity)
+  .flatMap(row => row.weeks
+    .map((week, index) => ({
+      department: row.department,
+      weekStart: weekStarts[index],
+      taskCount: week.tasks.length,
+      capacity: row.capacity,
+      tasks: week.tasks,
+    }))
+    .filter(week => week.taskCount > row.capacity))
+  .sort((a, b) => a.weekStart.valueOf() - b.weekStart.valueOf() || b.taskCount - a.taskCount);